@@ -0,0 +1,66 @@
+/**
+ * A tiny stand-in for the Meta Graph API, for testing the Meta lead
+ * intake locally without a real Page.
+ *
+ * Usage:
+ *   npm run mock:meta-graph
+ *   META_GRAPH_API_URL=http://localhost:5099 npm run dev
+ *
+ * Any leadgen_id returns a sample lead, except:
+ *   - 'fail-<anything>' returns a 500 (to exercise the retry job)
+ *   - 'denied-<anything>' returns a 400 OAuth error (no retry)
+ * Any id starting with 'form-' returns a lead form.
+ */
+import express from 'express';
+
+const PORT = process.env.MOCK_META_GRAPH_PORT || 5099;
+const app = express();
+
+app.get('/:version/:id', (req, res) => {
+  const { id } = req.params;
+
+  if (!req.query.access_token) {
+    return res.status(400).json({
+      error: { message: 'An access token is required.', type: 'OAuthException', code: 104 },
+    });
+  }
+
+  if (id.startsWith('fail-')) {
+    return res.status(500).json({
+      error: { message: 'An unexpected error has occurred.', type: 'OAuthException', code: 2 },
+    });
+  }
+
+  if (id.startsWith('denied-')) {
+    return res.status(400).json({
+      error: { message: 'Invalid OAuth access token.', type: 'OAuthException', code: 190 },
+    });
+  }
+
+  if (id.startsWith('form-')) {
+    return res.json({ id, name: 'Mock Lead Form' });
+  }
+
+  res.json({
+    id,
+    created_time: new Date().toISOString().replace('Z', '+0000'),
+    ad_id: '23850000000000001',
+    ad_name: 'Mock Ad',
+    adset_id: '23850000000000002',
+    adset_name: 'Mock Ad Set',
+    campaign_id: '23850000000000003',
+    campaign_name: 'Mock Campaign',
+    form_id: 'form-1',
+    platform: 'fb',
+    field_data: [
+      { name: 'full_name', values: ['Mock Lead'] },
+      { name: 'email', values: [`lead-${id}@example.com`] },
+      { name: 'phone_number', values: ['+971501234567'] },
+      { name: 'budget', values: ['1M - 2M'] },
+    ],
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock Meta Graph API listening on http://localhost:${PORT}`);
+});
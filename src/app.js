@@ -4,6 +4,7 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import logger from './config/logger.js';
 import { HTTP_STATUS } from './utils/constants.js';
+import { redactUrl } from './utils/redact.js';
 
 // --- Import Routes ---
 import webhookRoutes from './routes/webhookRoutes.js';
@@ -12,6 +13,9 @@ import leadRoutes from './routes/leadRoutes.js';
 import sourceRoutes from './routes/sourceRoutes.js';
 import authRoutes from './routes/authRoutes.js';
 import reportRoutes from './routes/reportRoutes.js';
+import webhookEventRoutes from './routes/webhookEventRoutes.js';
+import rejectedLeadRoutes from './routes/rejectedLeadRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
 
 // --- Import Middlewares ---
 import { errorHandler, notFoundHandler } from './middlewares/errorHandler.js';
@@ -26,9 +30,19 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
 }));
 app.use(helmet());
-app.use(express.json());
+// Keep the raw body around for webhook signature checks
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
+// Webhook tokens travel in the query string; never log them
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
+
 const morganFormat = process.env.NODE_ENV === 'development' ? 'dev' : 'combined';
 app.use(
   morgan(morganFormat, {
@@ -64,6 +78,9 @@ app.use('/api/leads', leadRoutes);
 app.use('/api/sources', sourceRoutes);
 // --- ADDED ---
 app.use('/api/reports', reportRoutes);
+app.use('/api/webhook-events', webhookEventRoutes);
+app.use('/api/rejected-leads', rejectedLeadRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // --- Error Handling Middlewares ---
 app.use(notFoundHandler);
@@ -38,6 +38,25 @@ const env = {
   ADMIN_EMAIL: process.env.ADMIN_EMAIL || 'admin@example.com',
   ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || 'password123',
 
+  // --- Meta Graph API (for fetching lead ads data) ---
+  // Point META_GRAPH_API_URL at a local mock server for testing.
+  META_GRAPH_API_URL:
+    process.env.META_GRAPH_API_URL || 'https://graph.facebook.com',
+  META_GRAPH_API_VERSION: process.env.META_GRAPH_API_VERSION || 'v19.0',
+  // Fallback App Secret for X-Hub-Signature-256 checks
+  // (a Source's own 'config.metaAppSecret' takes precedence)
+  META_APP_SECRET: process.env.META_APP_SECRET || null,
+
+  // --- Email intake ---
+  // Folder that Email sources' local mailboxes ('config.mailboxPath')
+  // must be inside. Mailbox polling is off until it is set.
+  MAILBOX_ROOT: process.env.MAILBOX_ROOT || null,
+
+  // --- Background Worker ---
+  // Per job type concurrency, overriding the defaults in src/jobs/,
+  // e.g. 'push_to_bitrix=5,append_to_sheets=2'
+  JOB_CONCURRENCY: process.env.JOB_CONCURRENCY || '',
+
   // --- Security ---
   JWT_SECRET: process.env.JWT_SECRET || 'your-super-secret-jwt-key-replace-me',
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
@@ -0,0 +1,23 @@
+import env from './env.js';
+
+/**
+ * --- IMPORTANT ---
+ * Meta leadgen webhooks only send a 'leadgen_id'. The actual lead
+ * (field_data, ad/campaign names) is fetched from the Graph API using
+ * a Page Access Token, which is stored on each Meta Source as
+ * 'config.metaPageAccessToken'.
+ *
+ * 1. In Meta Business Settings, create a System User with access to the Page.
+ * 2. Generate a token with 'leads_retrieval' and 'pages_manage_ads'.
+ * 3. Save it on the Meta Source in the dashboard.
+ */
+
+/**
+ * Creates the full Graph API URL for a node or edge.
+ * @param {string} path - The Graph path (e.g., '1234567890' for a lead).
+ * @returns {string} The full URL, including the API version.
+ */
+export const getMetaGraphUrl = (path) => {
+  const baseUrl = env.META_GRAPH_API_URL.replace(/\/+$/, '');
+  return `${baseUrl}/${env.META_GRAPH_API_VERSION}/${path}`;
+};
@@ -0,0 +1,108 @@
+import Job from '../models/Job.js';
+import { HTTP_STATUS, DEAD_LETTER_JOB_STATUSES } from '../utils/constants.js';
+import logger from '../config/logger.js';
+import { requeueDeadLetterJobs } from '../lib/deadLetterQueue.js';
+
+/**
+ * Fetches the dead-letter queue (jobs that ran out of attempts or hit
+ * a permanent error), newest first, with pagination.
+ * Supports ?type= (a JOB_TYPE) and ?sourceId= (leadless jobs).
+ */
+export const getDeadLetterJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filters = { status: { $in: DEAD_LETTER_JOB_STATUSES } };
+    if (req.query.type) filters.type = req.query.type;
+    if (req.query.sourceId) filters.source = req.query.sourceId;
+
+    const jobs = await Job.find(filters)
+      .select('-payload')
+      .populate('lead', 'leadId name phone email siteName status')
+      .populate('source', 'name platform')
+      .sort({ deadLetteredAt: -1, updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const totalJobs = await Job.countDocuments(filters);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: jobs,
+      pagination: {
+        totalJobs,
+        totalPages: Math.ceil(totalJobs / limit),
+        currentPage: page,
+        limit,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching dead-lettered jobs:', error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error fetching dead-lettered jobs' });
+  }
+};
+
+/**
+ * Fetches a single job, including its payload and the error of every
+ * failed attempt.
+ */
+export const getJobById = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.jobId)
+      .populate('lead', 'leadId name phone email siteName status')
+      .populate('source', 'name platform')
+      .lean();
+
+    if (!job) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: 'Job not found' });
+    }
+
+    res.status(HTTP_STATUS.OK).json({ success: true, data: job });
+  } catch (error) {
+    logger.error(`Error fetching job ${req.params.jobId}:`, error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error fetching job' });
+  }
+};
+
+/**
+ * Moves a dead-lettered job back into the queue with a fresh set of
+ * attempts (e.g. once a Bitrix field or Sheet's sharing is fixed).
+ */
+export const requeueJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await Job.findById(jobId).select('status').lean();
+
+    if (!job) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: 'Job not found' });
+    }
+
+    const requeued = await requeueDeadLetterJobs({ _id: job._id });
+    if (requeued === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Only dead-lettered jobs can be requeued (this one is ${job.status}).`,
+      });
+    }
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json({ success: true, message: 'Job queued for retry.' });
+  } catch (error) {
+    logger.error(`Error requeueing job ${req.params.jobId}:`, error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error requeueing job' });
+  }
+};
@@ -2,8 +2,13 @@ import Lead from "../models/Lead.js";
 import Job from "../models/Job.js";
 import Source from "../models/Source.js";
 import ErrorLog from '../models/ErrorLog.js';
-import { HTTP_STATUS, LEAD_STATUSES, JOB_TYPES } from "../utils/constants.js";
+import LeadMessage from "../models/LeadMessage.js";
+import { HTTP_STATUS, LEAD_STATUSES } from "../utils/constants.js";
 import logger from "../config/logger.js";
+import { ingestLead, releaseSpamLead } from "../lib/leadIngestion.js";
+import { requeueDeadLetterJobs } from "../lib/deadLetterQueue.js";
+import { canonicalizeKey, sanitizeCustomFields } from "../lib/customFields.js";
+import { normalizePhone } from "../lib/phone.js";
 import { isValid, parseISO } from "date-fns"; // We'll need to install date-fns
 
 /**
@@ -49,6 +54,18 @@ const getDateRangeFilter = (queryParams) => {
   return Object.keys(createdAtFilter).length > 0 ? createdAtFilter : null;
 };
 
+// Ad hierarchy fields the lead table can filter on (exact match)
+const AD_FILTER_FIELDS = [
+  "campaignId",
+  "campaignName",
+  "adSetId",
+  "adSetName",
+  "adId",
+  "adName",
+  "formId",
+  "formName",
+];
+
 /** 
  * Fetches all leads with pagination, filtering, and sorting.
  * This is the main endpoint for the 'Leads' page on the frontend.
@@ -86,7 +103,36 @@ export const getAllLeads = async (req, res) => {
         { name: searchRegex },
         { email: searchRegex },
         { phone: searchRegex },
+        { phoneRaw: searchRegex },
       ];
+
+      // '050 123 4567' should also find '+971501234567'
+      const { e164 } = normalizePhone(req.query.search);
+      if (e164) {
+        filters.$or.push({ phone: e164 });
+      }
+    }
+
+    // 5. Filter leads whose phone number failed validation (?phoneValid=false)
+    if (req.query.phoneValid === "true" || req.query.phoneValid === "false") {
+      filters.phoneValid = req.query.phoneValid === "true";
+    }
+
+    // 6. Filter by custom fields, e.g. ?custom[preferred_contact_time]=Evening
+    if (req.query.custom && typeof req.query.custom === "object") {
+      for (const rawKey in req.query.custom) {
+        const key = canonicalizeKey(rawKey);
+        const value = req.query.custom[rawKey];
+        if (!key || typeof value !== "string") continue;
+        filters[`customFields.${key}`] = value;
+      }
+    }
+
+    // 7. Filter by ad hierarchy, e.g. ?campaignId=120210&adId=120215
+    for (const field of AD_FILTER_FIELDS) {
+      if (typeof req.query[field] === "string" && req.query[field]) {
+        filters[field] = req.query[field];
+      }
     }
 
     // --- Sorting ---
@@ -146,6 +192,8 @@ export const getLeadById = async (req, res) => {
     // Find all related jobs and errors
     const jobs = await Job.find({ lead: leadId }).sort({ createdAt: -1 }).lean();
     const errors = await ErrorLog.find({ lead: leadId }).sort({ createdAt: -1 }).lean();
+    // Chat messages (e.g. WhatsApp), oldest first
+    const messages = await LeadMessage.find({ lead: leadId }).sort({ sentAt: 1 }).lean();
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
@@ -153,6 +201,7 @@ export const getLeadById = async (req, res) => {
         lead,
         jobs,
         errors,
+        messages,
       },
     });
   } catch (error) {
@@ -163,13 +212,55 @@ export const getLeadById = async (req, res) => {
   }
 };
 // --- END NEW FUNCTION ---
+
+/**
+ * Fetches the original lead and every duplicate linked to it.
+ * The given ID may be either the original or one of its duplicates.
+ */
+export const getLeadDuplicates = async (req, res) => {
+  try {
+    const { leadId } = req.params;
+
+    const lead = await Lead.findById(leadId).lean();
+    if (!lead) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: 'Lead not found' });
+    }
+
+    // Always report against the original lead
+    const originalId = lead.duplicateOf || lead._id;
+    const [original, duplicates] = await Promise.all([
+      Lead.findById(originalId).populate('sourceId', 'name platform').lean(),
+      Lead.find({ duplicateOf: originalId })
+        .populate('sourceId', 'name platform')
+        .sort({ createdAt: -1 })
+        .lean(),
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        original,
+        duplicates,
+        count: duplicates.length,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching duplicates for lead ${req.params.leadId}:`, error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error fetching lead duplicates' });
+  }
+};
+
 /**
  * Manually creates a new lead from the admin dashboard.
  * (This controller is unchanged)
  */
 export const createLead = async (req, res) => {
   try {
-    const { name, phone, email, sourceId } = req.body;
+    const { name, phone, email, sourceId, customFields } = req.body;
     if (!phone && !email) {
       // Use our new validation
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -191,27 +282,16 @@ export const createLead = async (req, res) => {
         .json({ success: false, message: "Source not found." });
     }
 
-    const newLead = new Lead({
-      name,
-      phone,
-      email,
-      source: source.platform,
-      sourceId: source._id,
-      siteName: source.name,
-      status: LEAD_STATUSES.QUEUED,
-      sourceType: LEAD_SOURCES.MANUAL,
-      timestampUtc: new Date(),
-    });
-
-    await newLead.save();
-
-    await Job.insertMany([
-      { lead: newLead._id, type: JOB_TYPES.APPEND_TO_SHEETS, status: "QUEUED" },
-      { lead: newLead._id, type: JOB_TYPES.PUSH_TO_BITRIX, status: "QUEUED" },
-    ]);
+    // Validate, dedupe, save and queue jobs (one transaction)
+    const { lead } = await ingestLead(
+      source,
+      { name, phone, email, customFields: sanitizeCustomFields(customFields) },
+      // Entered by an admin, so there is nothing to screen
+      { payload: {}, screenSpam: false }
+    );
 
-    logger.info(`Manually created and queued lead ${newLead._id}`);
-    res.status(HTTP_STATUS.CREATED).json({ success: true, data: newLead });
+    logger.info(`Manually created and queued lead ${lead._id}`);
+    res.status(HTTP_STATUS.CREATED).json({ success: true, data: lead });
   } catch (error) {
     logger.error("Error manually creating lead:", error.message);
     res
@@ -221,48 +301,98 @@ export const createLead = async (req, res) => {
 };
 
 /**
- * Retries failed jobs for a specific lead.
- * (This controller is unchanged)
+ * Releases a lead that spam screening held back: it is treated as a
+ * real lead from now on and its Sheets/Bitrix jobs are queued.
  */
-export const retryLeadJobs = async (req, res) => {
+export const releaseSpam = async (req, res) => {
   try {
-    const { leadId } = req.params;
-
-    const failedJobs = await Job.find({
-      lead: leadId,
-      status: "FAILED",
-    });
+    const lead = await Lead.findById(req.params.leadId);
+    if (!lead) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: "Lead not found" });
+    }
+    if (lead.status !== LEAD_STATUSES.SPAM) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ success: false, message: "Lead is not held as spam." });
+    }
 
-    if (failedJobs.length === 0) {
-      return res.status(HTTP_STATUS.OK).json({
-        success: true,
-        message: "No failed jobs found for this lead.",
-      });
+    const released = await releaseSpamLead(lead, req.user);
+    if (!released) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ success: false, message: "Lead is not held as spam." });
     }
 
-    const jobIdsToRetry = failedJobs.map((job) => job._id);
+    res.status(HTTP_STATUS.OK).json({ success: true, data: released });
+  } catch (error) {
+    logger.error(`Error releasing lead ${req.params.leadId} from spam:`, error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: "Error releasing lead" });
+  }
+};
 
-    await Job.updateMany(
-      { _id: { $in: jobIdsToRetry } },
+/**
+ * Confirms that a held lead is spam. It keeps status 'spam' and its
+ * jobs are never run.
+ */
+export const confirmSpam = async (req, res) => {
+  try {
+    const { leadId } = req.params;
+
+    const lead = await Lead.findOneAndUpdate(
+      { _id: leadId, status: LEAD_STATUSES.SPAM },
       {
         $set: {
-          status: "QUEUED",
-          attempts: 0,
-          lastError: null,
-          runAt: new Date(),
+          "spam.review": "CONFIRMED",
+          "spam.reviewedBy": req.user?._id || null,
+          "spam.reviewedAt": new Date(),
         },
-      }
+      },
+      { new: true }
     );
 
-    await Lead.updateOne(
-      { _id: leadId },
-      { $set: { status: LEAD_STATUSES.QUEUED } }
-    );
+    if (!lead) {
+      const exists = await Lead.exists({ _id: leadId });
+      return res
+        .status(exists ? HTTP_STATUS.BAD_REQUEST : HTTP_STATUS.NOT_FOUND)
+        .json({
+          success: false,
+          message: exists ? "Lead is not held as spam." : "Lead not found",
+        });
+    }
+
+    logger.info(`Lead ${lead._id} confirmed as spam.`);
+    res.status(HTTP_STATUS.OK).json({ success: true, data: lead });
+  } catch (error) {
+    logger.error(`Error confirming lead ${req.params.leadId} as spam:`, error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: "Error confirming spam" });
+  }
+};
+
+/**
+ * Retries the dead-lettered (failed) jobs of a specific lead.
+ */
+export const retryLeadJobs = async (req, res) => {
+  try {
+    const { leadId } = req.params;
+
+    const requeued = await requeueDeadLetterJobs({ lead: leadId });
+    if (requeued === 0) {
+      return res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: "No failed jobs found for this lead.",
+      });
+    }
 
-    logger.info(`Retrying ${failedJobs.length} jobs for lead ${leadId}`);
+    logger.info(`Retrying ${requeued} jobs for lead ${leadId}`);
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: `Successfully queued ${failedJobs.length} jobs for retry.`,
+      message: `Successfully queued ${requeued} jobs for retry.`,
     });
   } catch (error) {
     logger.error(
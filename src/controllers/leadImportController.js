@@ -0,0 +1,281 @@
+import LeadImport from '../models/LeadImport.js';
+import LeadImportRow from '../models/LeadImportRow.js';
+import Source from '../models/Source.js';
+import Job from '../models/Job.js';
+import { HTTP_STATUS, JOB_TYPES } from '../utils/constants.js';
+import logger from '../config/logger.js';
+import { runInTransaction } from '../lib/transaction.js';
+import {
+  parseImportFile,
+  suggestMapping,
+  validateMapping,
+  buildImportErrorReport,
+  IMPORT_FIELDS,
+} from '../lib/leadImport.js';
+
+// Rows shown in the mapping preview
+const PREVIEW_ROWS = 5;
+
+/**
+ * Multipart fields arrive as strings; JSON bodies as booleans.
+ */
+const toBoolean = (value) => value === true || value === 'true';
+
+/**
+ * Reads the column mapping from the request. In a multipart upload
+ * it is sent as a JSON string.
+ */
+const readMapping = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * A Content-Disposition value for a download. Header values must be
+ * Latin-1, so names in other scripts (e.g. Arabic) are sent as
+ * RFC 5987 'filename*', with an ASCII-only 'filename' for old clients.
+ */
+const attachmentHeader = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * First step of an import: reads the uploaded file and returns its
+ * columns, a few sample rows and a suggested column mapping, so the
+ * admin can confirm the mapping before importing.
+ */
+export const previewLeadImport = async (req, res) => {
+  try {
+    const { headers, rows } = await parseImportFile(req.file);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: {
+        fileName: req.file.originalname,
+        headers,
+        sampleRows: rows
+          .slice(0, PREVIEW_ROWS)
+          .map(({ cells }) =>
+            Object.fromEntries(headers.map((header, i) => [header, cells[i]]))
+          ),
+        totalRows: rows.length,
+        suggestedMapping: suggestMapping(headers),
+        fields: IMPORT_FIELDS,
+      },
+    });
+  } catch (error) {
+    if (error.invalidFile) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ success: false, message: error.message });
+    }
+    logger.error('Error previewing lead import:', error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error reading import file' });
+  }
+};
+
+/**
+ * Starts an import. Multipart fields:
+ * - file: the .csv or .xlsx file
+ * - sourceId: the Source the leads are filed under
+ * - mapping: JSON of { leadField: columnHeader } (defaults to the suggestion)
+ * - skipDuplicates: 'true' to leave out rows that duplicate a lead
+ * - runJobs: 'true' to push imported leads to Sheets/Bitrix
+ *
+ * The leads are created by a background job; poll GET /import/:importId.
+ */
+export const createLeadImport = async (req, res) => {
+  try {
+    const { sourceId } = req.body;
+    if (!sourceId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Source ID is required.',
+      });
+    }
+
+    const source = await Source.findById(sourceId);
+    if (!source) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: 'Source not found.' });
+    }
+
+    const { headers, rows } = await parseImportFile(req.file);
+    const mapping = req.body.mapping
+      ? readMapping(req.body.mapping)
+      : suggestMapping(headers);
+
+    const mappingError = validateMapping(mapping, headers);
+    if (mappingError) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ success: false, message: mappingError });
+    }
+
+    // The import, its rows and its job are stored together, so an
+    // import can't be left QUEUED without a job to run it
+    const leadImport = await runInTransaction(async (session) => {
+      const [created] = await LeadImport.create(
+        [
+          {
+            source: source._id,
+            createdBy: req.user?._id || null,
+            fileName: req.file.originalname,
+            headers,
+            mapping: Object.entries(mapping).map(([field, column]) => ({ field, column })),
+            skipDuplicates: toBoolean(req.body.skipDuplicates),
+            runJobs: toBoolean(req.body.runJobs),
+            totalRows: rows.length,
+          },
+        ],
+        { session }
+      );
+
+      await LeadImportRow.insertMany(
+        rows.map(({ row, cells }) => ({ leadImport: created._id, row, cells })),
+        { session }
+      );
+      await Job.create(
+        [
+          {
+            type: JOB_TYPES.IMPORT_LEADS,
+            source: source._id,
+            leadImport: created._id,
+            status: 'QUEUED',
+          },
+        ],
+        { session }
+      );
+      return created;
+    });
+
+    logger.info(
+      `Lead import ${leadImport._id} queued: ${rows.length} rows for ${source.name}.`
+    );
+
+    res.status(HTTP_STATUS.CREATED).json({ success: true, data: leadImport });
+  } catch (error) {
+    if (error.invalidFile) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ success: false, message: error.message });
+    }
+    logger.error('Error creating lead import:', error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error creating lead import' });
+  }
+};
+
+/**
+ * Lists imports, newest first.
+ */
+export const getAllLeadImports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filters = {};
+    if (req.query.sourceId) filters.source = req.query.sourceId;
+    if (req.query.status) filters.status = req.query.status;
+
+    const imports = await LeadImport.find(filters)
+      .populate('source', 'name platform')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const totalImports = await LeadImport.countDocuments(filters);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: imports,
+      pagination: {
+        totalImports,
+        totalPages: Math.ceil(totalImports / limit),
+        currentPage: page,
+        limit,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching lead imports:', error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error fetching lead imports' });
+  }
+};
+
+/**
+ * Fetches an import with its progress counters.
+ */
+export const getLeadImportById = async (req, res) => {
+  try {
+    const leadImport = await LeadImport.findById(req.params.importId)
+      .populate('source', 'name platform')
+      .lean();
+
+    if (!leadImport) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: 'Lead import not found' });
+    }
+
+    res.status(HTTP_STATUS.OK).json({ success: true, data: leadImport });
+  } catch (error) {
+    logger.error(`Error fetching lead import ${req.params.importId}:`, error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error fetching lead import' });
+  }
+};
+
+/**
+ * Downloads the rejected rows of an import as a CSV file.
+ */
+export const downloadLeadImportErrors = async (req, res) => {
+  try {
+    const leadImport = await LeadImport.findById(req.params.importId)
+      .select('fileName headers')
+      .lean();
+
+    if (!leadImport) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: 'Lead import not found' });
+    }
+
+    const rejectedRows = await LeadImportRow.find({
+      leadImport: leadImport._id,
+      error: { $ne: null },
+    })
+      .sort({ row: 1 })
+      .lean();
+
+    const baseName = (leadImport.fileName || 'import').replace(/\.[^.]+$/, '');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', attachmentHeader(`${baseName}-errors.csv`));
+    res.status(HTTP_STATUS.OK).send(buildImportErrorReport(leadImport, rejectedRows));
+  } catch (error) {
+    logger.error(
+      `Error building error report for import ${req.params.importId}:`,
+      error.message
+    );
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error building import error report' });
+  }
+};
@@ -0,0 +1,67 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import LeadImport from '../models/LeadImport.js';
+import LeadImportRow from '../models/LeadImportRow.js';
+import { downloadLeadImportErrors } from './leadImportController.js';
+
+/**
+ * A response that records its headers, like Express's (which throws
+ * on header values that aren't Latin-1).
+ */
+const fakeRes = () => {
+  const res = { headers: {}, statusCode: null, body: null };
+  res.setHeader = (name, value) => {
+    if (/[^\x00-\xff]/.test(value)) throw new TypeError(`Invalid character in header content ["${name}"]`);
+    res.headers[name] = value;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.send = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.json = res.send;
+  return res;
+};
+
+const mockImport = (fileName) => {
+  mock.method(LeadImport, 'findById', () => ({
+    select: () => ({ lean: async () => ({ _id: 'import-1', fileName, headers: ['Name'] }) }),
+  }));
+  mock.method(LeadImportRow, 'find', () => ({
+    sort: () => ({ lean: async () => [{ row: 2, error: 'No phone or email.', cells: ['Jane'] }] }),
+  }));
+};
+
+describe('downloadLeadImportErrors', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('sends the rejected rows as a CSV attachment', async () => {
+    mockImport('May leads.xlsx');
+    const res = fakeRes();
+
+    await downloadLeadImportErrors({ params: { importId: 'import-1' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(
+      res.headers['Content-Disposition'],
+      `attachment; filename="May leads-errors.csv"; filename*=UTF-8''May%20leads-errors.csv`
+    );
+    assert.equal(res.body, 'Row,Error,Name\r\n2,No phone or email.,Jane\r\n');
+  });
+
+  it('downloads files named in other scripts', async () => {
+    mockImport('عملاء "مايو".csv');
+    const res = fakeRes();
+
+    await downloadLeadImportErrors({ params: { importId: 'import-1' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    const header = res.headers['Content-Disposition'];
+    assert.match(header, /^attachment; filename="[\x20-\x7e]+-errors\.csv"; /);
+    const encoded = header.match(/filename\*=UTF-8''(.+)$/)[1];
+    assert.equal(decodeURIComponent(encoded), 'عملاء "مايو"-errors.csv');
+  });
+});
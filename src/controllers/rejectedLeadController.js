@@ -0,0 +1,267 @@
+import RejectedLead from '../models/RejectedLead.js';
+import Source from '../models/Source.js';
+import { HTTP_STATUS } from '../utils/constants.js';
+import logger from '../config/logger.js';
+import { ingestLead } from '../lib/leadIngestion.js';
+
+// The fields an admin may fill in or correct before promoting
+const EDITABLE_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'userType',
+  'propertyType',
+  'budget',
+  'bedrooms',
+  'formName',
+  'campaignName',
+];
+
+/**
+ * Copies the admin's edits from the request body onto the record's
+ * normalized guess. Empty strings clear a field.
+ * @returns {boolean} - true if anything was sent.
+ */
+const applyEdits = (rejectedLead, body = {}) => {
+  let edited = false;
+  const normalized = { ...(rejectedLead.normalized || {}) };
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = body[field] === null ? '' : String(body[field]).trim();
+    normalized[field] = value || null;
+    edited = true;
+  }
+
+  if (edited) {
+    rejectedLead.normalized = normalized;
+    rejectedLead.markModified('normalized');
+  }
+  return edited;
+};
+
+/**
+ * Replies 404/400 unless the record exists and is still awaiting review.
+ * @returns {boolean} - true if a reply was sent.
+ */
+const rejectUnlessPending = (rejectedLead, res) => {
+  if (!rejectedLead) {
+    res
+      .status(HTTP_STATUS.NOT_FOUND)
+      .json({ success: false, message: 'Rejected lead not found' });
+    return true;
+  }
+  if (rejectedLead.status !== 'PENDING') {
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: `Rejected lead was already ${rejectedLead.status.toLowerCase()}.`,
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Fetches the review queue with pagination and filtering.
+ * Supports ?status= (PENDING, PROMOTED, DISCARDED) and ?sourceId=.
+ * Payloads are left out of the list; fetch a single record to see one.
+ */
+export const getAllRejectedLeads = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filters = {};
+    if (req.query.status) filters.status = req.query.status;
+    if (req.query.sourceId) filters.source = req.query.sourceId;
+
+    const rejectedLeads = await RejectedLead.find(filters)
+      .select('-payload')
+      .populate('source', 'name platform')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const totalRejectedLeads = await RejectedLead.countDocuments(filters);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: rejectedLeads,
+      pagination: {
+        totalRejectedLeads,
+        totalPages: Math.ceil(totalRejectedLeads / limit),
+        currentPage: page,
+        limit,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching rejected leads:', error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error fetching rejected leads' });
+  }
+};
+
+/**
+ * Fetches a single rejected lead, including its raw payload.
+ */
+export const getRejectedLeadById = async (req, res) => {
+  try {
+    const rejectedLead = await RejectedLead.findById(req.params.rejectedLeadId)
+      .populate('source', 'name platform')
+      .lean();
+
+    if (!rejectedLead) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: 'Rejected lead not found' });
+    }
+
+    res.status(HTTP_STATUS.OK).json({ success: true, data: rejectedLead });
+  } catch (error) {
+    logger.error(
+      `Error fetching rejected lead ${req.params.rejectedLeadId}:`,
+      error.message
+    );
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error fetching rejected lead' });
+  }
+};
+
+/**
+ * Saves an admin's corrections (name, email, phone, ...) without
+ * promoting the record yet.
+ */
+export const updateRejectedLead = async (req, res) => {
+  try {
+    const rejectedLead = await RejectedLead.findById(req.params.rejectedLeadId);
+    if (rejectUnlessPending(rejectedLead, res)) return;
+
+    applyEdits(rejectedLead, req.body);
+    await rejectedLead.save();
+
+    res.status(HTTP_STATUS.OK).json({ success: true, data: rejectedLead });
+  } catch (error) {
+    logger.error(
+      `Error updating rejected lead ${req.params.rejectedLeadId}:`,
+      error.message
+    );
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error updating rejected lead' });
+  }
+};
+
+/**
+ * Turns a rejected lead into a real Lead (with any edits sent in the
+ * body). It goes through the normal intake, so duplicates are
+ * detected and the Sheets/Bitrix jobs are queued.
+ */
+export const promoteRejectedLead = async (req, res) => {
+  try {
+    const { rejectedLeadId } = req.params;
+    const rejectedLead = await RejectedLead.findById(rejectedLeadId);
+    if (rejectUnlessPending(rejectedLead, res)) return;
+
+    applyEdits(rejectedLead, req.body);
+    const normalized = rejectedLead.normalized || {};
+    if (!normalized.phone && !normalized.email) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Phone number or email is required.',
+      });
+    }
+
+    const source = await Source.findById(rejectedLead.source);
+    if (!source) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: 'Source not found.' });
+    }
+
+    // Claim the record first, so it can't be promoted twice
+    const claimed = await RejectedLead.findOneAndUpdate(
+      { _id: rejectedLead._id, status: 'PENDING' },
+      {
+        $set: {
+          status: 'PROMOTED',
+          normalized,
+          reviewedBy: req.user?._id || null,
+          reviewedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Rejected lead was already reviewed.',
+      });
+    }
+
+    let result;
+    try {
+      // An admin has looked at it, so there is nothing to screen
+      result = await ingestLead(source, normalized, {
+        platform: rejectedLead.platform,
+        payload: rejectedLead.payload,
+        timestamp: rejectedLead.timestampUtc,
+        screenSpam: false,
+      });
+    } catch (error) {
+      // Back to the queue, so it can be tried again
+      await RejectedLead.updateOne(
+        { _id: rejectedLead._id },
+        { $set: { status: 'PENDING', reviewedBy: null, reviewedAt: null } }
+      );
+      throw error;
+    }
+
+    claimed.lead = result.lead._id;
+    await claimed.save();
+
+    logger.info(`Rejected lead ${rejectedLeadId} promoted to lead ${result.lead._id}.`);
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: { rejectedLead: claimed, lead: result.lead },
+    });
+  } catch (error) {
+    logger.error(
+      `Error promoting rejected lead ${req.params.rejectedLeadId}:`,
+      error.message
+    );
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error promoting rejected lead' });
+  }
+};
+
+/**
+ * Discards a rejected lead. The record is kept (status DISCARDED)
+ * so the review stays on file.
+ */
+export const discardRejectedLead = async (req, res) => {
+  try {
+    const rejectedLead = await RejectedLead.findById(req.params.rejectedLeadId);
+    if (rejectUnlessPending(rejectedLead, res)) return;
+
+    rejectedLead.status = 'DISCARDED';
+    rejectedLead.reviewedBy = req.user?._id || null;
+    rejectedLead.reviewedAt = new Date();
+    await rejectedLead.save();
+
+    logger.info(`Rejected lead ${rejectedLead._id} discarded.`);
+    res.status(HTTP_STATUS.OK).json({ success: true, data: rejectedLead });
+  } catch (error) {
+    logger.error(
+      `Error discarding rejected lead ${req.params.rejectedLeadId}:`,
+      error.message
+    );
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error discarding rejected lead' });
+  }
+};
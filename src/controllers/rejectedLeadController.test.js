@@ -0,0 +1,146 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import RejectedLead from '../models/RejectedLead.js';
+import Source from '../models/Source.js';
+import Lead from '../models/Lead.js';
+import Job from '../models/Job.js';
+import { HTTP_STATUS } from '../utils/constants.js';
+import { promoteRejectedLead, discardRejectedLead } from './rejectedLeadController.js';
+
+/**
+ * A minimal Express response that records what was sent.
+ */
+const fakeRes = () => {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const source = { _id: new mongoose.Types.ObjectId(), name: 'Review Test', config: {} };
+
+/**
+ * A pending RejectedLead document, as findById returns it.
+ */
+const pendingRecord = (normalized = { name: 'Jane' }) => ({
+  _id: 'rejected-1',
+  source: source._id,
+  platform: 'elementor',
+  status: 'PENDING',
+  normalized,
+  payload: { form: 'raw' },
+  markModified: () => {},
+  save: mock.fn(async () => {}),
+});
+
+const promote = async (body) => {
+  const res = fakeRes();
+  await promoteRejectedLead(
+    { params: { rejectedLeadId: 'rejected-1' }, body, user: { _id: 'admin-1' } },
+    res
+  );
+  return res;
+};
+
+describe('promoteRejectedLead', () => {
+  let claim;
+  let claimed;
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    claimed = { _id: 'rejected-1', save: mock.fn(async () => {}) };
+    mock.method(Source, 'findById', async () => source);
+    claim = mock.method(RejectedLead, 'findOneAndUpdate', async () => claimed);
+    // A new lead: no replay, no duplicate
+    mock.method(Lead, 'findOneAndUpdate', async () => null);
+    mock.method(Lead, 'findOne', () => ({ sort: () => ({ lean: async () => null }) }));
+    mock.method(Lead.prototype, 'save', async function save() {
+      saved.push(this);
+      return this;
+    });
+    mock.method(mongoose.connection, 'transaction', (fn) => fn(null));
+    mock.method(Job, 'insertMany', async () => []);
+    mock.method(Source, 'updateOne', async () => ({}));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("creates the lead with the admin's corrections", async () => {
+    mock.method(RejectedLead, 'findById', async () => pendingRecord());
+
+    const res = await promote({ phone: ' 050 482 7316 ', name: '' });
+
+    assert.equal(res.statusCode, HTTP_STATUS.CREATED);
+    const [lead] = saved;
+    assert.equal(lead.phone, '+971504827316');
+    assert.equal(lead.name, null);
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: 'rejected-1', status: 'PENDING' });
+    assert.equal(update.$set.status, 'PROMOTED');
+    assert.deepEqual(update.$set.normalized, { name: null, phone: '050 482 7316' });
+    assert.equal(claimed.lead, lead._id);
+    assert.equal(claimed.save.mock.callCount(), 1);
+  });
+
+  it('still needs a phone or email', async () => {
+    mock.method(RejectedLead, 'findById', async () => pendingRecord());
+    const res = await promote({ name: 'Jane Doe' });
+    assert.equal(res.statusCode, HTTP_STATUS.BAD_REQUEST);
+    assert.equal(claim.mock.callCount(), 0);
+  });
+
+  it('promotes a record only once', async () => {
+    mock.method(RejectedLead, 'findById', async () => pendingRecord({ email: 'jane@example.com' }));
+    claimed = null;
+    const res = await promote({});
+    assert.equal(res.statusCode, HTTP_STATUS.BAD_REQUEST);
+    assert.equal(saved.length, 0);
+  });
+
+  it('refuses records that were already reviewed', async () => {
+    mock.method(RejectedLead, 'findById', async () => ({ ...pendingRecord(), status: 'DISCARDED' }));
+    const res = await promote({ email: 'jane@example.com' });
+    assert.equal(res.statusCode, HTTP_STATUS.BAD_REQUEST);
+    assert.match(res.body.message, /already discarded/);
+  });
+
+  it('puts the record back in the queue when the lead cannot be saved', async () => {
+    mock.method(RejectedLead, 'findById', async () => pendingRecord({ email: 'jane@example.com' }));
+    Lead.prototype.save.mock.mockImplementation(async () => {
+      throw new Error('Database hiccup');
+    });
+    const reset = mock.method(RejectedLead, 'updateOne', async () => ({}));
+
+    const res = await promote({});
+
+    assert.equal(res.statusCode, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    assert.equal(reset.mock.calls[0].arguments[1].$set.status, 'PENDING');
+  });
+});
+
+describe('discardRejectedLead', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('keeps the record, marked DISCARDED', async () => {
+    const record = pendingRecord();
+    mock.method(RejectedLead, 'findById', async () => record);
+    const res = fakeRes();
+
+    await discardRejectedLead(
+      { params: { rejectedLeadId: 'rejected-1' }, user: { _id: 'admin-1' } },
+      res
+    );
+
+    assert.equal(res.statusCode, HTTP_STATUS.OK);
+    assert.equal(record.status, 'DISCARDED');
+    assert.equal(record.reviewedBy, 'admin-1');
+    assert.equal(record.save.mock.callCount(), 1);
+  });
+});
@@ -1,14 +1,42 @@
 import Lead from '../models/Lead.js';
 import Job from '../models/Job.js';
-import { HTTP_STATUS, LEAD_STATUSES } from '../utils/constants.js';
+import { HTTP_STATUS, LEAD_STATUSES, DEAD_LETTER_JOB_STATUSES } from '../utils/constants.js';
 import logger from '../config/logger.js';
+import { CLICK_ID_PARAMS } from '../lib/attribution.js';
+
+/**
+ * Builds the attribution filters every report accepts:
+ * - ?clickId=gclid|fbclid|ttclid|scCid  (leads that carry that click ID)
+ * - ?pageUrl=...   (landing page URL contains the text)
+ * - ?referrer=...  (referrer contains the text)
+ * @returns {object} - A Lead query (empty if no filter was given).
+ */
+const getAttributionFilter = (query) => {
+  const filter = {};
+
+  if (query.clickId && CLICK_ID_PARAMS[query.clickId]) {
+    filter[`attribution.${query.clickId}`] = { $exists: true, $ne: '' };
+  }
+
+  for (const field of ['pageUrl', 'referrer']) {
+    if (typeof query[field] === 'string' && query[field].trim()) {
+      // Plain text match, not a user-supplied regex
+      const text = query[field].trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter[`attribution.${field}`] = { $regex: text, $options: 'i' };
+    }
+  }
+
+  return filter;
+};
 
 /**
  * Fetches the main Key Performance Indicators (KPIs)
- * for the dashboard.
+ * for the dashboard. Lead counts accept the attribution filters.
  */
 export const getDashboardKpis = async (req, res) => {
   try {
+    const attributionFilter = getAttributionFilter(req.query);
+
     // 1. Define time ranges
     const now = new Date();
     const todayStart = new Date(now.setHours(0, 0, 0, 0));
@@ -22,16 +50,22 @@ export const getDashboardKpis = async (req, res) => {
       leadsBySource,
     ] = await Promise.all([
       // Count leads created since the start of today
-      Lead.countDocuments({ createdAt: { $gte: todayStart } }),
+      Lead.countDocuments({ ...attributionFilter, createdAt: { $gte: todayStart } }),
       
       // Count leads created in the last 24 hours
-      Lead.countDocuments({ createdAt: { $gte: twentyFourHoursAgo } }),
+      Lead.countDocuments({
+        ...attributionFilter,
+        createdAt: { $gte: twentyFourHoursAgo },
+      }),
       
-      // Count jobs (not leads) that are permanently failed
-      Job.countDocuments({ status: 'FAILED' }),
+      // Count jobs (not leads) in the dead-letter queue
+      Job.countDocuments({ status: { $in: DEAD_LETTER_JOB_STATUSES } }),
 
       // Aggregate leads by their source name
       Lead.aggregate([
+        {
+          $match: attributionFilter,
+        },
         {
           $group: {
             _id: '$siteName', // Group by the 'siteName' field
@@ -66,7 +100,7 @@ export const getDashboardKpis = async (req, res) => {
 
 /**
  * Fetches lead count data grouped by day for dashboard charts.
- * Defaults to the last 28 days.
+ * Defaults to the last 28 days. Accepts the attribution filters.
  */
 export const getLeadsOverTime = async (req, res) => {
   try {
@@ -85,6 +119,7 @@ export const getLeadsOverTime = async (req, res) => {
       // Stage 1: Filter leads within the date range
       {
         $match: {
+          ...getAttributionFilter(req.query),
           createdAt: { $gte: startDate },
         },
       },
@@ -1,6 +1,16 @@
 import Source from '../models/Source.js';
 import { HTTP_STATUS, LEAD_SOURCES } from '../utils/constants.js';
 import logger from '../config/logger.js';
+import { resolveMailboxPath } from '../lib/emailPoller.js';
+
+/**
+ * Local mailboxes must be inside MAILBOX_ROOT (see lib/emailPoller.js).
+ * @returns {string|null} - What's wrong, or null if it's allowed.
+ */
+const checkMailboxPath = (mailboxPath) => {
+  if (!mailboxPath || resolveMailboxPath(mailboxPath)) return null;
+  return 'Mailbox path must be inside the folder set as MAILBOX_ROOT.';
+};
 
 /**
  * Fetches all lead sources.
@@ -24,7 +34,7 @@ export const getAllSources = async (req, res) => {
  */
 export const createSource = async (req, res) => {
   try {
-    const { name, platform, config } = req.body;
+    const { name, platform, config, fieldMappings } = req.body;
 
     // 1. Validate input
     if (!name || !platform) {
@@ -41,6 +51,13 @@ export const createSource = async (req, res) => {
         .json({ success: false, message: 'Invalid platform type.' });
     }
 
+    const mailboxError = checkMailboxPath(config?.mailboxPath);
+    if (mailboxError) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ success: false, message: mailboxError });
+    }
+
     // 3. Check for duplicate name
     const existingSource = await Source.findOne({ name });
     if (existingSource) {
@@ -59,7 +76,26 @@ export const createSource = async (req, res) => {
         sheetId: config?.sheetId || null,
         sheetName: config?.sheetName || 'Leads',
         bitrixPipelineId: config?.bitrixPipelineId || null,
+        bitrixCustomFields: config?.bitrixCustomFields || {},
+        metaPageAccessToken: config?.metaPageAccessToken || null,
+        metaVerifyToken: config?.metaVerifyToken || null,
+        metaAppSecret: config?.metaAppSecret || null,
+        tiktokWebhookSecret: config?.tiktokWebhookSecret || null,
+        snapchatWebhookSecret: config?.snapchatWebhookSecret || null,
+        googleKey: config?.googleKey || null,
+        allowUnsignedWebhooks: config?.allowUnsignedWebhooks === true,
+        requireHeaderToken: config?.requireHeaderToken === true,
+        payloadPaths: config?.payloadPaths || {},
+        emailTemplates: config?.emailTemplates || [],
+        mailboxPath: config?.mailboxPath || null,
+        defaultCountry: config?.defaultCountry || undefined,
+        duplicateWindowHours: config?.duplicateWindowHours ?? 24,
+        duplicateScope: config?.duplicateScope || 'source',
+        duplicateJobTypes: config?.duplicateJobTypes || [],
+        spamThreshold: config?.spamThreshold ?? undefined,
+        honeypotFields: config?.honeypotFields || [],
       },
+      fieldMappings: fieldMappings || [],
       isActive: true,
     });
 
@@ -69,6 +105,12 @@ export const createSource = async (req, res) => {
     res.status(HTTP_STATUS.CREATED).json({ success: true, data: newSource });
   } catch (error) {
     logger.error('Error creating source:', error.message);
+    // Bad config or field mapping from the form
+    if (error.name === 'ValidationError') {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ success: false, message: error.message });
+    }
     res
       .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
       .json({ success: false, message: 'Error creating source' });
@@ -82,7 +124,7 @@ export const createSource = async (req, res) => {
 export const updateSource = async (req, res) => {
   try {
     const { sourceId } = req.params;
-    const { name, isActive, config } = req.body;
+    const { name, isActive, config, fieldMappings } = req.body;
 
     const source = await Source.findById(sourceId);
     if (!source) {
@@ -91,6 +133,13 @@ export const updateSource = async (req, res) => {
         .json({ success: false, message: 'Source not found.' });
     }
 
+    const mailboxError = checkMailboxPath(config?.mailboxPath);
+    if (mailboxError) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ success: false, message: mailboxError });
+    }
+
     // Update fields if they were provided
     if (name) source.name = name;
     if (typeof isActive === 'boolean') source.isActive = isActive;
@@ -99,14 +148,64 @@ export const updateSource = async (req, res) => {
       source.config.sheetName = config.sheetName || source.config.sheetName;
       source.config.bitrixPipelineId =
         config.bitrixPipelineId || source.config.bitrixPipelineId;
+      source.config.metaPageAccessToken =
+        config.metaPageAccessToken || source.config.metaPageAccessToken;
+      source.config.metaVerifyToken =
+        config.metaVerifyToken || source.config.metaVerifyToken;
+      source.config.metaAppSecret =
+        config.metaAppSecret || source.config.metaAppSecret;
+      source.config.tiktokWebhookSecret =
+        config.tiktokWebhookSecret || source.config.tiktokWebhookSecret;
+      source.config.snapchatWebhookSecret =
+        config.snapchatWebhookSecret || source.config.snapchatWebhookSecret;
+      source.config.googleKey = config.googleKey || source.config.googleKey;
+      if (typeof config.requireHeaderToken === 'boolean') {
+        source.config.requireHeaderToken = config.requireHeaderToken;
+      }
+      if (typeof config.allowUnsignedWebhooks === 'boolean') {
+        source.config.allowUnsignedWebhooks = config.allowUnsignedWebhooks;
+      }
+      if (config.payloadPaths) {
+        source.config.payloadPaths = config.payloadPaths;
+      }
+      if (config.emailTemplates) {
+        source.config.emailTemplates = config.emailTemplates;
+      }
+      source.config.mailboxPath = config.mailboxPath || source.config.mailboxPath;
+      if (config.bitrixCustomFields) {
+        source.config.bitrixCustomFields = config.bitrixCustomFields;
+      }
+      source.config.defaultCountry =
+        config.defaultCountry || source.config.defaultCountry;
+      // 0 is a valid window (disables duplicate detection), so use '??'
+      source.config.duplicateWindowHours =
+        config.duplicateWindowHours ?? source.config.duplicateWindowHours;
+      source.config.duplicateScope =
+        config.duplicateScope || source.config.duplicateScope;
+      source.config.duplicateJobTypes =
+        config.duplicateJobTypes || source.config.duplicateJobTypes;
+      // 0 is a valid threshold (turns screening off), so use '??'
+      source.config.spamThreshold =
+        config.spamThreshold ?? source.config.spamThreshold;
+      source.config.honeypotFields =
+        config.honeypotFields || source.config.honeypotFields;
     }
 
+    // The mapping is replaced as a whole (send [] to clear it)
+    if (Array.isArray(fieldMappings)) source.fieldMappings = fieldMappings;
+
     await source.save();
 
     logger.info(`Source updated: ${source.name} (ID: ${source._id})`);
     res.status(HTTP_STATUS.OK).json({ success: true, data: source });
   } catch (error) {
     logger.error('Error updating source:', error.message);
+    // Bad config or field mapping from the form
+    if (error.name === 'ValidationError') {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ success: false, message: error.message });
+    }
     res
       .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
       .json({ success: false, message: 'Error updating source' });
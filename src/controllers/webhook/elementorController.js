@@ -1,22 +1,23 @@
-import Lead from "../../models/Lead.js";
-import Source from "../../models/Source.js";
 import ErrorLog from "../../models/ErrorLog.js";
-import Job from "../../models/Job.js";
-import {
-  LEAD_STATUSES,
-  LEAD_SOURCES,
-  JOB_TYPES,
-  HTTP_STATUS,
-} from "../../utils/constants.js";
+import { LEAD_SOURCES } from "../../utils/constants.js";
 import logger from "../../config/logger.js";
+import { ingestLead } from "../../lib/leadIngestion.js";
+import { applyFieldMapping } from "../../lib/fieldMapping.js";
+import { extractCustomFields } from "../../lib/customFields.js";
+import { extractAttribution } from "../../lib/attribution.js";
+import { findFilledHoneypot } from "../../lib/spamCheck.js";
+import { normalizePhone, getSourceCountry } from "../../lib/phone.js";
 
 /**
- * Normalize Elementor webhook payload
+ * Normalize Elementor webhook payload.
+ * The Source's field mapping (if any) overrides the heuristics below.
  */
-const normalizeElementorPayload = (body) => {
+const normalizeElementorPayload = (body, source) => {
   if (!body) return {};
 
   let flatFields = {};
+  // Every field with all the names it is known by, for the field mapping
+  const entries = [];
   const formName = body.form_name || body.form?.name || "N/A";
 
   if (body.fields) {
@@ -29,14 +30,24 @@ const normalizeElementorPayload = (body) => {
           field.id?.toLowerCase() ||
           key.toLowerCase();
         flatFields[newKey] = field.value;
+        // Title first, so custom fields get a readable name
+        entries.push({
+          keys: [field.title, field.id, key],
+          value: field.value,
+          type: field.type,
+        });
       }
     }
   } else {
     // Handle "Simple" payload
     flatFields = body;
+    for (const key in body) {
+      entries.push({ keys: [key], value: body[key] });
+    }
   }
 
   const phoneRegex = /^[\+]?[0-9\s\-]{7,15}$/;
+  const country = getSourceCountry(source);
   let name = null,
     email = null,
     phone = null,
@@ -66,7 +77,12 @@ const normalizeElementorPayload = (body) => {
     )
       phone = value;
 
-    if (!phone && value.match(phoneRegex) && !value.includes("@"))
+    // Unlabelled fields only count as a phone if the number is valid
+    if (
+      !phone &&
+      value.match(phoneRegex) &&
+      normalizePhone(value, country).isValid
+    )
       phone = value;
     if (lower.startsWith("utm_")) utm[lower.replace("utm_", "")] = value;
 
@@ -90,96 +106,68 @@ const normalizeElementorPayload = (body) => {
     }`.trim();
   }
 
-  // --- ADDED: Return new fields ---
-  return {
-    name,
-    email,
-    phone,
-    formName,
-    utm,
-    userType,
-    propertyType,
-    budget,
-    bedrooms,
-  };
-};
-
-/**
- * Handle Elementor webhook — respond instantly, process asynchronously.
- * (This function is unchanged)
- */
-export const handleElementorWebhook = async (req, res) => {
-  const source = req.source;
-  const body = req.body;
-
-  // ✅ Respond immediately
-  res.status(HTTP_STATUS.OK).json({
-    success: true,
-    message: "Webhook received successfully.",
+  // "Advanced data" adds a 'meta' block with the page URL, user agent
+  // and IP; the simple payload sends them as plain keys ("Page URL")
+  const meta = body.meta || {};
+  const attribution = extractAttribution(entries, {
+    pageUrl: meta.page_url?.value,
+    userAgent: meta.user_agent?.value,
+    ip: meta.remote_ip?.value,
   });
 
-  // 🔄 Process the payload asynchronously
-  processElementorLead(source, body).catch((err) => {
-    logger.error("Async Elementor processing failed:", err.message);
-  });
+  // --- ADDED: Return new fields ---
+  const result = applyFieldMapping(
+    {
+      name,
+      email,
+      phone,
+      // Only sent when the site adds the submission id to the webhook
+      platformLeadId:
+        body.submission_id || body.meta?.submission_id?.value || null,
+      formName,
+      formId: body.form_id || body.form?.id || null,
+      utm,
+      attribution,
+      // Screened by the ingestion service (see lib/spamCheck.js)
+      honeypot: findFilledHoneypot(entries, source),
+      userType,
+      propertyType,
+      budget,
+      bedrooms,
+    },
+    entries,
+    source
+  );
+
+  // Everything else the form sent is kept as custom fields
+  result.customFields = extractCustomFields(entries, result, source);
+  return result;
 };
 
 /**
- * Background logic isolated to avoid res.json() reuse
+ * Creates a lead from a stored Elementor webhook body.
+ * Run by the PROCESS_WEBHOOK_EVENT job (see lib/webhookInbox.js).
+ *
+ * @param {object} source - The Source document.
+ * @param {object} body - The webhook body.
+ * @returns {Promise<{ processed: number, failed: number, replayed: number, lastError: string|null }>}
  */
-const processElementorLead = async (source, body) => {
+export const processElementorLead = async (source, body) => {
   try {
-    const normalized = normalizeElementorPayload(body);
-
-    // --- (Validation is unchanged) ---
-    if (!normalized.email && !normalized.phone) {
-      const message = "Lead rejected: no phone or email provided.";
-      logger.warn(message, { source: source?.name });
-      await ErrorLog.create({
-        source: source?._id,
-        context: "WEBHOOK_PROCESSING",
-        message,
-        payload: body,
-      });
-      return;
-    }
+    const normalized = normalizeElementorPayload(body, source);
 
-    // --- UPDATED: Add new fields to the Lead object ---
-    const newLead = new Lead({
-      name: normalized.name,
-      email: normalized.email,
-      phone: normalized.phone,
-      formName: normalized.formName,
-      utm: normalized.utm,
-
-      // --- ADDED ---
-      userType: normalized.userType,
-      propertyType: normalized.propertyType,
-      budget: normalized.budget,
-      bedrooms: normalized.bedrooms,
-      // --- END ADDED ---
-
-      source: LEAD_SOURCES.ELEMENTOR,
-      sourceId: source._id,
-      siteName: source.name,
-      status: LEAD_STATUSES.QUEUED,
+    // Validate, dedupe, save and queue jobs (one transaction)
+    const { outcome } = await ingestLead(source, normalized, {
+      platform: LEAD_SOURCES.ELEMENTOR,
       payload: body,
-      timestampUtc: new Date(),
     });
 
-    await newLead.save();
-
-    // --- (Job creation is unchanged) ---
-    await Job.insertMany([
-      { lead: newLead._id, type: JOB_TYPES.APPEND_TO_SHEETS, status: "QUEUED" },
-      { lead: newLead._id, type: JOB_TYPES.PUSH_TO_BITRIX, status: "QUEUED" },
-    ]);
-
-    await Source.updateOne({ _id: source._id }, { $inc: { leadCount: 1 } });
-
-    logger.info(
-      `✅ Lead ${newLead._id} created successfully from Elementor (${source.name}).`
-    );
+    return {
+      processed: 1,
+      failed: 0,
+      replayed: outcome === "replay" ? 1 : 0,
+      lastError: null,
+    };
   } catch (error) {
     // --- (Error handling is unchanged) ---
     logger.error("❌ Failed to process Elementor webhook:", {
@@ -195,5 +183,7 @@ const processElementorLead = async (source, body) => {
       stack: error.stack,
       payload: body,
     });
+
+    return { processed: 0, failed: 1, replayed: 0, lastError: error.message };
   }
 }; 
@@ -0,0 +1,136 @@
+import { simpleParser } from "mailparser";
+import ErrorLog from "../../models/ErrorLog.js";
+import { LEAD_SOURCES } from "../../utils/constants.js";
+import logger from "../../config/logger.js";
+import { ingestLead } from "../../lib/leadIngestion.js";
+
+/**
+ * Used when no template of the Source matches the sender. These fit
+ * the common "Label: value" layout of portal notifications.
+ */
+const DEFAULT_EMAIL_TEMPLATE = {
+  name: "Default",
+  fields: {
+    name: "(?:^|\\n)\\s*(?:full\\s*)?name\\s*[:\\-]\\s*(.+)",
+    email: "(?:^|\\n)\\s*e-?mail(?:\\s*address)?\\s*[:\\-]\\s*([^\\s<>]+@[^\\s<>]+)",
+    phone: "(?:^|\\n)\\s*(?:phone|mobile|tel(?:ephone)?|contact\\s*number)(?:\\s*number)?\\s*[:\\-]\\s*(\\+?[\\d][\\d\\s().-]{5,})",
+    listingReference: "(?:^|\\n)\\s*(?:listing\\s*)?(?:ref(?:erence)?|property\\s*id)(?:\\s*(?:no\\.?|number|id))?\\s*[:\\-#]\\s*([\\w/-]+)",
+  },
+};
+
+/**
+ * Finds the Source's template for a sender (and subject).
+ * Senders match on the full address or on a domain like '@portal.com'.
+ */
+const findEmailTemplate = (source, fromAddress, subject) => {
+  const from = (fromAddress || "").toLowerCase();
+  const templates = source.config?.emailTemplates || [];
+
+  const template = templates.find((t) => {
+    const senderMatches = (t.senders || []).some((sender) =>
+      sender.startsWith("@") ? from.endsWith(sender) : from === sender
+    );
+    if (!senderMatches) return false;
+    return !t.subjectPattern || new RegExp(t.subjectPattern, "i").test(subject || "");
+  });
+  return template || DEFAULT_EMAIL_TEMPLATE;
+};
+
+/**
+ * Runs a template pattern and returns its first capture group.
+ */
+const extract = (pattern, text) => {
+  if (!pattern) return null;
+  const match = text.match(new RegExp(pattern, "im"));
+  const value = match ? (match[1] ?? match[0]) : null;
+  return value ? value.trim() : null;
+};
+
+/**
+ * Normalizes a parsed email into lead fields, using the template
+ * that matches its sender.
+ */
+const normalizeEmailMessage = (mail, source) => {
+  const fromAddress = mail.from?.value?.[0]?.address || null;
+  const template = findEmailTemplate(source, fromAddress, mail.subject);
+  const text = `${mail.subject || ""}\n${mail.text || ""}`;
+
+  let email = extract(template.fields?.email, text);
+  // Portals often set Reply-To to the enquirer
+  const replyTo = mail.replyTo?.value?.[0]?.address;
+  if (!email && replyTo && replyTo.toLowerCase() !== (fromAddress || "").toLowerCase()) {
+    email = replyTo;
+  }
+
+  const listingReference = extract(template.fields?.listingReference, text);
+  const customFields = {};
+  if (listingReference) customFields.listing_reference = listingReference;
+  if (mail.subject) customFields.email_subject = mail.subject.slice(0, 1000);
+
+  return {
+    name: extract(template.fields?.name, text),
+    email,
+    phone: extract(template.fields?.phone, text),
+    formName: template.name,
+    campaignName: "N/A",
+    timestamp: mail.date,
+    customFields,
+    fromAddress,
+  };
+};
+
+/**
+ * Creates a lead from a stored email (raw RFC822 text).
+ * Run by the PROCESS_WEBHOOK_EVENT job (see lib/webhookInbox.js), for
+ * mails posted to the webhook and mails picked up by the mailbox poller.
+ *
+ * @param {object} source - The Email Source document.
+ * @param {object} body - { raw } with the full message.
+ * @returns {Promise<{ processed: number, failed: number, lastError: string|null }>}
+ */
+export const processEmailLead = async (source, body) => {
+  // The original message is kept as the lead's payload
+  const payload = { raw: body?.raw, mailbox: body?.mailbox };
+
+  try {
+    if (!body?.raw) {
+      throw new Error("Email event has no raw message.");
+    }
+
+    // 1️⃣ Parse and normalize the message
+    const mail = await simpleParser(body.raw);
+    const normalized = normalizeEmailMessage(mail, source);
+    // A message delivered twice (a retrying forwarder, a repeated POST
+    // or a mailbox read again) is a replay, not a new lead
+    normalized.platformLeadId = mail.messageId || null;
+    payload.messageId = mail.messageId || null;
+    payload.from = normalized.fromAddress;
+    payload.subject = mail.subject || null;
+
+    // 2️⃣ Validate, dedupe, save and queue jobs (one transaction)
+    await ingestLead(source, normalized, {
+      platform: LEAD_SOURCES.EMAIL,
+      payload,
+      timestamp: normalized.timestamp,
+    });
+
+    return { processed: 1, failed: 0, lastError: null };
+  } catch (error) {
+    // 3️⃣ Handle unexpected errors
+    logger.error("❌ Failed to process email lead:", {
+      message: error.message,
+      stack: error.stack,
+      source: source?.name,
+    });
+
+    await ErrorLog.create({
+      source: source?._id,
+      context: "WEBHOOK_PROCESSING",
+      message: error.message,
+      stack: error.stack,
+      payload,
+    });
+
+    return { processed: 0, failed: 1, lastError: error.message };
+  }
+};
@@ -0,0 +1,128 @@
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+// The webhook inbox imports the controllers; load it first, as the app does
+import "../../lib/webhookInbox.js";
+import Lead from "../../models/Lead.js";
+import Source from "../../models/Source.js";
+import Job from "../../models/Job.js";
+import ErrorLog from "../../models/ErrorLog.js";
+import { processEmailLead } from "./emailController.js";
+
+const source = {
+  _id: "65f000000000000000000004",
+  name: "Email Test",
+  platform: "email",
+  config: {
+    spamThreshold: 0,
+    emailTemplates: [
+      {
+        name: "Property Portal",
+        senders: ["@portal.example"],
+        subjectPattern: "new enquiry",
+        fields: {
+          name: "Client:\\s*(.+)",
+          phone: "Tel\\s*\\(mobile\\):\\s*([+\\d ]+)",
+          listingReference: "Ref\\s*#(\\w+)",
+        },
+      },
+    ],
+  },
+};
+
+const email = ({ from, subject, replyTo, text, messageId = "<m1@portal.example>" }) =>
+  [
+    `From: ${from}`,
+    ...(replyTo ? [`Reply-To: ${replyTo}`] : []),
+    `Subject: ${subject}`,
+    `Message-ID: ${messageId}`,
+    "Date: Thu, 01 Jan 2026 10:00:00 +0000",
+    "",
+    text,
+  ].join("\r\n");
+
+describe("processEmailLead", () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    // A new lead: no replay, no duplicate
+    mock.method(Lead, "findOneAndUpdate", async () => null);
+    mock.method(Lead, "findOne", () => ({ sort: () => ({ lean: async () => null }) }));
+    mock.method(Lead.prototype, "save", async function save() {
+      saved.push(this);
+      return this;
+    });
+    mock.method(mongoose.connection, "transaction", (fn) => fn(null));
+    mock.method(Job, "insertMany", async () => []);
+    mock.method(Source, "updateOne", async () => ({}));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("reads a lead with the template of its sender", async () => {
+    const result = await processEmailLead(source, {
+      raw: email({
+        from: "Portal <leads@portal.example>",
+        subject: "New enquiry for your listing",
+        text: "Client: Jane Doe\nTel (mobile): +971 50 123 4567\nRef #AB123\n",
+        replyTo: "jane@example.com",
+      }),
+    });
+
+    assert.deepEqual(result, { processed: 1, failed: 0, lastError: null });
+    const [lead] = saved;
+    assert.equal(lead.name, "Jane Doe");
+    assert.equal(lead.phone, "+971501234567");
+    // No email in the text, so the enquirer's Reply-To is used
+    assert.equal(lead.email, "jane@example.com");
+    assert.equal(lead.formName, "Property Portal");
+    assert.equal(lead.customFields.get("listing_reference"), "AB123");
+    assert.equal(lead.platformLeadId, "<m1@portal.example>");
+  });
+
+  it("falls back to the default template", async () => {
+    await processEmailLead(source, {
+      raw: email({
+        from: "noreply@other.example",
+        subject: "New enquiry",
+        text: "Name: John Smith\nEmail: john@example.com\nPhone: 050 123 4567\n",
+      }),
+    });
+
+    const [lead] = saved;
+    assert.equal(lead.formName, "Default");
+    assert.equal(lead.name, "John Smith");
+    assert.equal(lead.email, "john@example.com");
+    assert.equal(lead.phone, "+971501234567");
+  });
+
+  it("treats a mail delivered again as a replay of its Message-ID", async () => {
+    const findOneAndUpdate = mock.method(Lead, "findOneAndUpdate", async () => ({
+      _id: "lead-1",
+      leadId: 1,
+    }));
+
+    const result = await processEmailLead(source, {
+      raw: email({
+        from: "noreply@other.example",
+        subject: "Enquiry",
+        text: "Email: john@example.com\n",
+        messageId: "<again@other.example>",
+      }),
+    });
+
+    assert.equal(result.processed, 1);
+    assert.equal(findOneAndUpdate.mock.calls[0].arguments[0].platformLeadId, "<again@other.example>");
+    assert.equal(saved.length, 0);
+  });
+
+  it("reports an event without a message as failed", async () => {
+    mock.method(ErrorLog, "create", async () => ({}));
+    const result = await processEmailLead(source, {});
+    assert.deepEqual(result, {
+      processed: 0,
+      failed: 1,
+      lastError: "Email event has no raw message.",
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import ErrorLog from "../../models/ErrorLog.js";
+import { LEAD_SOURCES } from "../../utils/constants.js";
+import logger from "../../config/logger.js";
+import { ingestLead } from "../../lib/leadIngestion.js";
+import { applyFieldMapping } from "../../lib/fieldMapping.js";
+import { extractCustomFields } from "../../lib/customFields.js";
+import { extractAttribution } from "../../lib/attribution.js";
+import { findFilledHoneypot } from "../../lib/spamCheck.js";
+import { getValueAtPath, flattenObject } from "../../utils/jsonPath.js";
+
+/**
+ * Where each Lead field is read from when the Source doesn't say.
+ * These fit a plain, flat JSON body like { name, email, phone, ... }.
+ */
+const DEFAULT_PAYLOAD_PATHS = {
+  leads: null, // Path to an array of leads, for batched deliveries
+  name: "name",
+  firstName: "first_name",
+  lastName: "last_name",
+  email: "email",
+  phone: "phone",
+  userType: "user_type",
+  propertyType: "property_type",
+  budget: "budget",
+  bedrooms: "bedrooms",
+  formName: "form_name",
+  campaignName: "campaign_name",
+  campaignId: "campaign_id",
+  adSetName: "adset_name",
+  adSetId: "adset_id",
+  adName: "ad_name",
+  adId: "ad_id",
+  formId: "form_id",
+  timestamp: "created_at",
+  utm: {
+    source: "utm_source",
+    medium: "utm_medium",
+    campaign: "utm_campaign",
+    term: "utm_term",
+    content: "utm_content",
+  },
+};
+
+/**
+ * Merges a Source's configured payload paths over the defaults.
+ */
+const getPayloadPaths = (source) => {
+  const configured = source.config?.payloadPaths || {};
+  const paths = { ...DEFAULT_PAYLOAD_PATHS, utm: { ...DEFAULT_PAYLOAD_PATHS.utm } };
+
+  for (const key of Object.keys(DEFAULT_PAYLOAD_PATHS)) {
+    if (key === "utm") continue;
+    if (configured[key]) paths[key] = configured[key];
+  }
+  for (const key of Object.keys(DEFAULT_PAYLOAD_PATHS.utm)) {
+    if (configured.utm?.[key]) paths.utm[key] = configured.utm[key];
+  }
+  return paths;
+};
+
+/**
+ * Reads a plain text value from a path ('' and objects count as missing).
+ */
+const readText = (item, path) => {
+  const value = getValueAtPath(item, path);
+  if (value === undefined || value === null || typeof value === "object") {
+    return null;
+  }
+  return String(value).trim() || null;
+};
+
+/**
+ * Accepts Unix seconds, Unix milliseconds or any date string.
+ */
+const parseTimestamp = (value) => {
+  if (value === null || value === undefined || value === "") return new Date();
+  const number = Number(value);
+  let date;
+  if (!isNaN(number)) {
+    date = new Date(number < 1e12 ? number * 1000 : number);
+  } else {
+    date = new Date(value);
+  }
+  return isNaN(date.getTime()) ? new Date() : date;
+};
+
+/**
+ * Normalizes one lead from a generic JSON webhook, using the JSON
+ * paths configured on the Source. The Source's field mapping (if any)
+ * is applied on top, with dotted paths as the field names.
+ */
+const normalizeGenericPayload = (item, source) => {
+  const paths = getPayloadPaths(source);
+
+  let name = readText(item, paths.name);
+  if (!name) {
+    const firstName = readText(item, paths.firstName);
+    const lastName = readText(item, paths.lastName);
+    if (firstName || lastName) {
+      name = `${firstName || ""} ${lastName || ""}`.trim();
+    }
+  }
+
+  const utm = {};
+  for (const key of Object.keys(paths.utm)) {
+    const value = readText(item, paths.utm[key]);
+    if (value) utm[key] = value;
+  }
+
+  // Every primitive in the body, by dotted path
+  const flat = flattenObject(item);
+  const entries = Object.keys(flat).map((key) => ({
+    keys: [key],
+    value: flat[key],
+  }));
+
+  const result = applyFieldMapping(
+    {
+      name,
+      email: readText(item, paths.email),
+      phone: readText(item, paths.phone),
+      formName: readText(item, paths.formName) || "N/A",
+      campaignName: readText(item, paths.campaignName) || "N/A",
+      campaignId: readText(item, paths.campaignId),
+      adSetName: readText(item, paths.adSetName),
+      adSetId: readText(item, paths.adSetId),
+      adName: readText(item, paths.adName),
+      adId: readText(item, paths.adId),
+      formId: readText(item, paths.formId),
+      timestamp: getValueAtPath(item, paths.timestamp),
+      utm,
+      // Click IDs, page URL, IP, ... wherever they are in the body
+      attribution: extractAttribution(entries),
+      honeypot: findFilledHoneypot(entries, source),
+      userType: readText(item, paths.userType),
+      propertyType: readText(item, paths.propertyType),
+      budget: readText(item, paths.budget),
+      bedrooms: readText(item, paths.bedrooms),
+    },
+    entries,
+    source
+  );
+
+  // Fields we already read through a configured path aren't custom
+  const usedPaths = new Set(
+    [
+      ...Object.values(paths).filter((p) => typeof p === "string"),
+      ...Object.values(paths.utm),
+    ].map((p) => p.replace(/\[(\w+)\]/g, ".$1"))
+  );
+  result.customFields = extractCustomFields(
+    entries.filter((entry) => !usedPaths.has(entry.keys[0])),
+    result,
+    source
+  );
+  return result;
+};
+
+/**
+ * Creates leads from a stored generic JSON webhook body.
+ * Run by the PROCESS_WEBHOOK_EVENT job (see lib/webhookInbox.js).
+ *
+ * If the Source sets a 'leads' path, every item of that array is a
+ * lead; otherwise the whole body is one lead. A failing item is
+ * logged on its own and never stops the rest of the batch.
+ *
+ * @param {object} source - The generic Source document.
+ * @param {object} body - The webhook body.
+ * @returns {Promise<{ processed: number, failed: number, lastError: string|null }>}
+ */
+export const processGenericLead = async (source, body) => {
+  const { leads } = getPayloadPaths(source);
+  let items = [body];
+  if (leads) {
+    const list = getValueAtPath(body, leads);
+    items = Array.isArray(list) ? list : [];
+  }
+
+  let failed = 0;
+  let lastError = null;
+
+  for (const [index, item] of items.entries()) {
+    try {
+      await createGenericLead(source, item);
+    } catch (error) {
+      failed += 1;
+      lastError = error.message;
+      logger.error("❌ Failed to process generic webhook lead:", {
+        message: error.message,
+        stack: error.stack,
+        source: source?.name,
+      });
+
+      await ErrorLog.create({
+        source: source?._id,
+        context: "WEBHOOK_PROCESSING",
+        message: error.message,
+        stack: error.stack,
+        payload: { itemIndex: index, item },
+      });
+    }
+  }
+
+  if (items.length === 0) {
+    logger.warn(`Generic webhook (${source.name}): no leads found at '${leads}'.`);
+  }
+
+  return { processed: items.length - failed, failed, lastError };
+};
+
+/**
+ * Normalizes, validates and saves a single generic lead, then queues its jobs.
+ * @param {object} source - The generic Source document.
+ * @param {object} item - One lead from the delivery.
+ */
+const createGenericLead = async (source, item) => {
+  // 1️⃣ Normalize the payload
+  const normalized = normalizeGenericPayload(item, source);
+
+  // 2️⃣ Validate, dedupe, save and queue jobs (one transaction)
+  await ingestLead(source, normalized, {
+    platform: LEAD_SOURCES.GENERIC,
+    payload: item,
+    timestamp: parseTimestamp(normalized.timestamp),
+  });
+};
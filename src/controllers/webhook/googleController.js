@@ -0,0 +1,141 @@
+import ErrorLog from "../../models/ErrorLog.js";
+import { LEAD_SOURCES } from "../../utils/constants.js";
+import logger from "../../config/logger.js";
+import { ingestLead } from "../../lib/leadIngestion.js";
+import { applyFieldMapping } from "../../lib/fieldMapping.js";
+import { extractCustomFields } from "../../lib/customFields.js";
+import { extractAttribution } from "../../lib/attribution.js";
+
+/**
+ * Normalizes the incoming payload from a Google Ads lead form webhook.
+ * Standard questions have fixed column IDs (FULL_NAME, EMAIL,
+ * PHONE_NUMBER, ...); custom questions use their own IDs and titles.
+ * The Source's field mapping (if any) overrides the guesses below.
+ */
+const normalizeGooglePayload = (body, source) => {
+  const columns = Array.isArray(body.user_column_data)
+    ? body.user_column_data
+    : [];
+
+  const values = {};
+  for (const column of columns) {
+    const value = column.string_value;
+    if (column.column_id && value) values[column.column_id] = value;
+  }
+
+  let name = values.FULL_NAME || null;
+  if (!name && (values.FIRST_NAME || values.LAST_NAME)) {
+    name = `${values.FIRST_NAME || ""} ${values.LAST_NAME || ""}`.trim();
+  }
+
+  let userType = null;
+  let propertyType = null;
+  let budget = null;
+  let bedrooms = null;
+
+  // Custom questions (guesses by title; adjust as needed)
+  for (const column of columns) {
+    const title = (column.column_name || column.column_id || "").toLowerCase();
+    const value = column.string_value;
+    if (!value) continue;
+
+    if (title.includes("user type") || title.includes("investor"))
+      userType = value;
+
+    if (title.includes("property type") || title.includes("property"))
+      propertyType = value;
+
+    if (title.includes("budget"))
+      budget = value;
+
+    if (title.includes("bedroom") || title.includes("beds"))
+      bedrooms = value;
+  }
+
+  // Google columns can be matched by their ID or their title
+  const entries = columns.map((column) => ({
+    keys: [column.column_id, column.column_name],
+    value: column.string_value,
+  }));
+
+  const result = applyFieldMapping(
+    {
+      name,
+      email: values.EMAIL || values.WORK_EMAIL || null,
+      phone: values.PHONE_NUMBER || values.WORK_PHONE || null,
+      platformLeadId: body.lead_id || null,
+      // Google only sends IDs; the names aren't part of the webhook
+      formName: body.form_id ? `Google form ${body.form_id}` : "N/A",
+      campaignName: body.campaign_id ? `Google campaign ${body.campaign_id}` : "N/A",
+      campaignId: body.campaign_id ? String(body.campaign_id) : null,
+      adSetId: body.adgroup_id ? String(body.adgroup_id) : null,
+      // Google's ad is the "creative"
+      adId: body.creative_id ? String(body.creative_id) : null,
+      formId: body.form_id ? String(body.form_id) : null,
+      // The click that opened the lead form
+      attribution: extractAttribution(entries, { gclid: body.gcl_id }),
+      userType,
+      propertyType,
+      budget,
+      bedrooms,
+    },
+    entries,
+    source
+  );
+
+  // Everything else the form sent is kept as custom fields
+  result.customFields = extractCustomFields(entries, result, source);
+  return result;
+};
+
+/**
+ * Creates a lead from a stored Google Ads lead form webhook body.
+ * Run by the PROCESS_WEBHOOK_EVENT job (see lib/webhookInbox.js).
+ * The 'google_key' was already checked by 'verifyGoogleKey'.
+ *
+ * @param {object} source - The Google Source document.
+ * @param {object} body - The webhook body.
+ * @returns {Promise<{ processed: number, failed: number, replayed: number, lastError: string|null }>}
+ */
+export const processGoogleLead = async (source, body) => {
+  try {
+    // 1️⃣ Normalize the payload
+    const normalized = normalizeGooglePayload(body, source);
+
+    if (body.is_test) {
+      logger.info(`Google Ads test lead received for ${source.name}.`);
+    }
+
+    // 2️⃣ Validate, dedupe, save and queue jobs (one transaction)
+    const { outcome } = await ingestLead(source, normalized, {
+      platform: LEAD_SOURCES.GOOGLE,
+      payload: body,
+      // Google sends no submission time; the webhook is near real time
+      timestamp: new Date(),
+    });
+
+    return {
+      processed: 1,
+      failed: 0,
+      replayed: outcome === "replay" ? 1 : 0,
+      lastError: null,
+    };
+  } catch (error) {
+    // 3️⃣ Handle unexpected errors
+    logger.error("❌ Failed to process Google Ads webhook:", {
+      message: error.message,
+      stack: error.stack,
+      source: source?.name,
+    });
+
+    await ErrorLog.create({
+      source: source?._id,
+      context: "WEBHOOK_PROCESSING",
+      message: error.message,
+      stack: error.stack,
+      payload: body,
+    });
+
+    return { processed: 0, failed: 1, replayed: 0, lastError: error.message };
+  }
+};
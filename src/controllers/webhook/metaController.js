@@ -1,25 +1,32 @@
-import Lead from "../../models/Lead.js";
-import Source from "../../models/Source.js";
 import ErrorLog from "../../models/ErrorLog.js";
 import Job from "../../models/Job.js";
 import {
-  LEAD_STATUSES,
   LEAD_SOURCES,
   JOB_TYPES,
-  HTTP_STATUS,
+  JOB_ERROR_CLASSES,
 } from "../../utils/constants.js";
 import logger from "../../config/logger.js";
+import { ingestLead, findReplayedLead } from "../../lib/leadIngestion.js";
+import { applyFieldMapping } from "../../lib/fieldMapping.js";
+import { extractCustomFields } from "../../lib/customFields.js";
+import { extractAttribution } from "../../lib/attribution.js";
+import { fetchMetaLead } from "../../integrations/meta.js";
+import { getJobType, getRetryDelay } from "../../jobs/registry.js";
 
 /**
  * Normalizes the incoming payload from a Meta Lead Ad webhook.
+ * The Source's field mapping (if any) overrides the guesses below.
  */
-const normalizeMetaPayload = (value) => {
+const normalizeMetaPayload = (value, source) => {
   const {
     field_data,
     campaign_name,
     form_name,
     ad_name,
     adset_name,
+    campaign_id,
+    ad_id,
+    form_id,
   } = value;
 
   let name = null;
@@ -53,7 +60,7 @@ const normalizeMetaPayload = (value) => {
       (fieldName.includes("phone") || fieldName === "phone_number") &&
       !phone
     ) {
-      phone = fieldValue.replace(/[\s\+\-]/g, "");
+      phone = fieldValue; // Cleaned up by buildPhoneFields()
     }
 
     // --- ADDED: Logic to find your new fields ---
@@ -72,125 +79,215 @@ const normalizeMetaPayload = (value) => {
     // --- END ADDED ---
   }
 
+  // Meta fields are only known by their name
+  const entries = field_data.map((field) => ({
+    keys: [field.name],
+    value: field.values?.[0],
+  }));
+
   // --- ADDED: Return new fields ---
-  return {
-    name,
-    email,
-    phone,
-    formName: form_name || "N/A",
-    campaignName: campaign_name || "N/A",
-    adName: ad_name || "N/A",
-    adSetName: adset_name || "N/A",
-    userType,
-    propertyType,
-    budget,
-    bedrooms,
-  };
+  const result = applyFieldMapping(
+    {
+      name,
+      email,
+      phone,
+      // 'id' when fetched from the Graph API, 'leadgen_id' in test webhooks
+      platformLeadId: value.id || value.leadgen_id || null,
+      formName: form_name || "N/A",
+      campaignName: campaign_name || "N/A",
+      adName: ad_name || "N/A",
+      adSetName: adset_name || "N/A",
+      campaignId: campaign_id || null,
+      // Webhooks still call the ad set 'adgroup_id'
+      adSetId: value.adset_id || value.adgroup_id || null,
+      adId: ad_id || null,
+      formId: form_id || null,
+      // Only what the form collected (e.g. hidden fields)
+      attribution: extractAttribution(entries),
+      userType,
+      propertyType,
+      budget,
+      bedrooms,
+    },
+    entries,
+    source
+  );
+
+  // Everything else the form sent is kept as custom fields
+  result.customFields = extractCustomFields(entries, result, source);
+  return result;
 };
 
 /**
- * Handle Meta webhook — respond instantly, process asynchronously.
- * (This function is unchanged)
+ * Meta sends 'created_time' as Unix seconds in webhooks and as an
+ * ISO string from the Graph API.
  */
-export const handleMetaWebhook = async (req, res) => {
-  const source = req.source;
-  const body = req.body;
-
-  // ✅ Respond immediately
-  res.status(HTTP_STATUS.OK).json({
-    success: true,
-    message: "Webhook received successfully.",
-  });
-
-  // 🔄 Process the payload asynchronously
-  processMetaLead(source, body).catch((err) => {
-    logger.error("Async Meta processing failed:", err.message);
-  });
+const parseMetaTime = (createdTime) => {
+  if (!createdTime) return new Date();
+  const date =
+    typeof createdTime === "number"
+      ? new Date(createdTime * 1000)
+      : new Date(createdTime);
+  return isNaN(date.getTime()) ? new Date() : date;
 };
 
 /**
- * Background logic isolated to avoid res.json() reuse
+ * Creates leads from a stored Meta webhook body.
+ * Run by the PROCESS_WEBHOOK_EVENT job (see lib/webhookInbox.js).
+ *
+ * Meta batches several leads into one delivery under load, so every
+ * entry and every change is processed. A failing item is logged on
+ * its own and never stops the rest of the batch.
+ *
+ * An aborted job (see lib/worker.js) stops the batch: the event is
+ * failed and retried as a whole.
+ *
+ * @param {object} source - The Meta Source document.
+ * @param {object} body - The webhook body.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the Graph API calls.
+ * @returns {Promise<{ processed: number, failed: number, replayed: number, lastError: string|null }>}
  */
-const processMetaLead = async (source, body) => {
-  try {
-    const entry = body.entry?.[0];
-    const change = entry?.changes?.[0];
-    const value = change?.value;
+export const processMetaLead = async (source, body, { signal } = {}) => {
+  const entries = Array.isArray(body?.entry) ? body.entry : [];
+  let processed = 0;
+  let failed = 0;
+  let replayed = 0;
+  let lastError = null;
 
-    if (change?.field !== "leadgen" || !value) {
-      logger.info("Meta webhook received, but not a leadgen event. Ignored.");
-      return;
-    }
+  for (const entry of entries) {
+    const changes = Array.isArray(entry?.changes) ? entry.changes : [];
 
-    // 1️⃣ Normalize the payload
-    const normalized = normalizeMetaPayload(value);
-
-    // 2️⃣ Validate before saving
-    if (!normalized.email && !normalized.phone) {
-      const message = "Lead rejected: no phone or email provided.";
-      logger.warn(message, { source: source?.name });
-      await ErrorLog.create({
-        source: source?._id,
-        context: "WEBHOOK_PROCESSING",
-        message,
-        payload: body,
-      });
-      return;
-    }
-
-    // 3️⃣ Create new lead (NOW INCLUDES NEW FIELDS)
-    const newLead = new Lead({
-      name: normalized.name,
-      email: normalized.email,
-      phone: normalized.phone,
-      formName: normalized.formName,
-      campaignName: normalized.campaignName,
-      adName: normalized.adName,
-      adSetName: normalized.adSetName,
-      
-      // --- ADDED ---
-      userType: normalized.userType,
-      propertyType: normalized.propertyType,
-      budget: normalized.budget,
-      bedrooms: normalized.bedrooms,
-      // --- END ADDED ---
-
-      source: LEAD_SOURCES.META,
-      sourceId: source._id,
-      siteName: source.name,
-      status: LEAD_STATUSES.QUEUED,
-      payload: body,
-      timestampUtc: new Date(value.created_time * 1000 || Date.now()),
-    });
+    for (const [index, change] of changes.entries()) {
+      if (change?.field !== "leadgen" || !change.value) continue;
 
-    await newLead.save();
+      signal?.throwIfAborted();
+      try {
+        const outcome = await processMetaLeadgen(source, change.value, signal);
+        processed += 1;
+        if (outcome === "replay") replayed += 1;
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        failed += 1;
+        lastError = error.message;
+        // 3️⃣ Handle unexpected errors, per item
+        logger.error("❌ Failed to process Meta leadgen event:", {
+          message: error.message,
+          stack: error.stack,
+          source: source?.name,
+          leadgenId: change.value.leadgen_id,
+        });
 
-    // 4️⃣ Queue background jobs (Unchanged)
-    await Job.insertMany([
-      { lead: newLead._id, type: JOB_TYPES.APPEND_TO_SHEETS, status: "QUEUED" },
-      { lead: newLead._id, type: JOB_TYPES.PUSH_TO_BITRIX, status: "QUEUED" },
-    ]);
-
-    // 5️⃣ Increment source's lead count (Unchanged)
-    await Source.updateOne({ _id: source._id }, { $inc: { leadCount: 1 } });
+        await ErrorLog.create({
+          source: source?._id,
+          context: "WEBHOOK_PROCESSING",
+          message: error.message,
+          stack: error.stack,
+          payload: { entryId: entry.id, changeIndex: index, change },
+        });
+      }
+    }
+  }
 
+  if (processed + failed === 0) {
+    logger.info("Meta webhook received, but not a leadgen event. Ignored.");
+  } else {
     logger.info(
-      `✅ Lead ${newLead._id} (ID: ${newLead.leadId}) created successfully from Meta (${source.name}).`
+      `Meta webhook (${source.name}): ${processed} leadgen event(s) processed, ${failed} failed.`
     );
+  }
+
+  return { processed, failed, replayed, lastError };
+};
+
+/**
+ * Processes a single leadgen event from a Meta webhook.
+ * @param {object} source - The Meta Source document.
+ * @param {object} value - The change 'value' (leadgen_id, form_id, ...).
+ * @param {AbortSignal} [signal] - Cancels the Graph API calls.
+ * @returns {Promise<string|undefined>} - The ingestion outcome, if the lead was handled now.
+ */
+const processMetaLeadgen = async (source, value, signal) => {
+  // Some test tools post the full lead in the webhook itself
+  if (value.field_data) {
+    return createMetaLead(source, value, { webhook: value });
+  }
+
+  // Real leadgen webhooks only carry the leadgen_id
+  try {
+    return await fetchAndCreateMetaLead(source, value, { signal });
   } catch (error) {
-    // 6️⃣ Handle unexpected errors (Unchanged)
-    logger.error("❌ Failed to process Meta webhook:", {
-      message: error.message,
-      stack: error.stack,
-      source: source?.name,
-    });
+    // An aborted job is retried as a whole; no separate fetch job
+    if (error.retryable === false || signal?.aborted) throw error;
+
+    // Throttled by the Graph API: wait as long as it asked (capped by
+    // the job type's retry policy)
+    const waitMs =
+      error.errorClass === JOB_ERROR_CLASSES.RATE_LIMITED
+        ? getRetryDelay(
+            getJobType(JOB_TYPES.FETCH_META_LEAD),
+            0,
+            error.errorClass,
+            error.retryAfterMs
+          )
+        : 0;
 
-    await ErrorLog.create({
-      source: source?._id,
-      context: "WEBHOOK_PROCESSING",
-      message: error.message,
-      stack: error.stack,
-      payload: body,
+    // Let the worker retry the fetch (with backoff)
+    logger.warn(
+      `Meta lead ${value.leadgen_id} fetch failed, queued for retry: ${error.message}`
+    );
+    await Job.create({
+      type: JOB_TYPES.FETCH_META_LEAD,
+      source: source._id,
+      payload: value,
+      status: "QUEUED",
+      lastError: error.message,
+      runAt: new Date(Date.now() + waitMs),
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Fetches a lead from the Graph API and creates it.
+ * Used at intake and by the worker's FETCH_META_LEAD retries.
+ *
+ * @param {object} source - The Meta Source document.
+ * @param {object} value - The leadgen webhook 'value' (leadgen_id, form_id, ...).
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the Graph API calls.
+ * @returns {Promise<string>} - The ingestion outcome ('created', 'replay', ...).
+ * @throws {Error} - If the fetch fails (classified, see lib/jobErrors.js).
+ */
+export const fetchAndCreateMetaLead = async (source, value, { signal } = {}) => {
+  // A redelivered leadgen_id needs no Graph API call at all
+  const replay = await findReplayedLead(source, value.leadgen_id);
+  if (replay) return replay.outcome;
+
+  const leadData = await fetchMetaLead(
+    value.leadgen_id,
+    source.config?.metaPageAccessToken,
+    { signal }
+  );
+  return createMetaLead(source, leadData, { webhook: value, graph: leadData });
+};
+
+/**
+ * Normalizes, validates and saves a Meta lead, then queues its jobs.
+ *
+ * @param {object} source - The Meta Source document.
+ * @param {object} value - The lead data (field_data, campaign_name, ...).
+ * @param {object} payload - The raw data to keep on the lead.
+ * @returns {Promise<string>} - The ingestion outcome.
+ */
+const createMetaLead = async (source, value, payload) => {
+  // 1️⃣ Normalize the payload
+  const normalized = normalizeMetaPayload(value, source);
+
+  // 2️⃣ Validate, dedupe, save and queue jobs (one transaction)
+  const { outcome } = await ingestLead(source, normalized, {
+    platform: LEAD_SOURCES.META,
+    payload,
+    timestamp: parseMetaTime(value.created_time),
+  });
+  return outcome;
+};
@@ -0,0 +1,180 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+// The webhook inbox imports the controllers; load it first, as the app does
+import "../../lib/webhookInbox.js";
+import Lead from "../../models/Lead.js";
+import Source from "../../models/Source.js";
+import ErrorLog from "../../models/ErrorLog.js";
+import Job from "../../models/Job.js";
+import { JOB_TYPES } from "../../utils/constants.js";
+import { processMetaLead } from "./metaController.js";
+
+const source = { _id: "65f000000000000000000001", name: "Meta Test", config: {} };
+
+const leadgen = (leadgenId) => ({
+  field: "leadgen",
+  value: { leadgen_id: leadgenId, form_id: "555" },
+});
+
+describe("processMetaLead", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("processes every leadgen change of a batched delivery", async () => {
+    // Every leadgen_id is already stored, so no Graph API call is made
+    const findOneAndUpdate = mock.method(Lead, "findOneAndUpdate", async () => ({
+      _id: "lead",
+      leadId: 1,
+      source: "meta",
+    }));
+
+    const result = await processMetaLead(source, {
+      entry: [
+        { id: "page-1", changes: [leadgen("1"), { field: "feed", value: {} }, leadgen("2")] },
+        { id: "page-2", changes: [leadgen("3")] },
+      ],
+    });
+
+    assert.deepEqual(result, { processed: 3, failed: 0, replayed: 3, lastError: null });
+    assert.deepEqual(
+      findOneAndUpdate.mock.calls.map((call) => call.arguments[0].platformLeadId),
+      ["1", "2", "3"]
+    );
+  });
+
+  it("queues a FETCH_META_LEAD job when a fetch fails", async () => {
+    mock.method(Lead, "findOneAndUpdate", async (filter) => {
+      if (filter.platformLeadId === "2") throw new Error("Database hiccup");
+      return { _id: "lead", leadId: 1, source: "meta" };
+    });
+    const jobCreate = mock.method(Job, "create", async () => ({}));
+
+    const result = await processMetaLead(source, {
+      entry: [{ id: "page-1", changes: [leadgen("1"), leadgen("2"), leadgen("3")] }],
+    });
+
+    assert.deepEqual(result, { processed: 3, failed: 0, replayed: 2, lastError: null });
+    assert.equal(jobCreate.mock.callCount(), 1);
+    assert.equal(jobCreate.mock.calls[0].arguments[0].type, JOB_TYPES.FETCH_META_LEAD);
+    assert.equal(jobCreate.mock.calls[0].arguments[0].payload.leadgen_id, "2");
+  });
+
+  it("keeps going when one change fails for good", async () => {
+    mock.method(Lead, "findOneAndUpdate", async (filter) => {
+      if (filter.platformLeadId === "2") {
+        throw Object.assign(new Error("Bad leadgen"), { retryable: false });
+      }
+      return { _id: "lead", leadId: 1, source: "meta" };
+    });
+    const errorLog = mock.method(ErrorLog, "create", async () => ({}));
+
+    const result = await processMetaLead(source, {
+      entry: [{ id: "page-1", changes: [leadgen("1"), leadgen("2"), leadgen("3")] }],
+    });
+
+    assert.deepEqual(result, {
+      processed: 2,
+      failed: 1,
+      replayed: 2,
+      lastError: "Bad leadgen",
+    });
+    assert.equal(errorLog.mock.callCount(), 1);
+    assert.equal(errorLog.mock.calls[0].arguments[0].payload.changeIndex, 1);
+  });
+
+  it("stops the batch when its job is aborted, queueing nothing", async () => {
+    const controller = new AbortController();
+    const findOneAndUpdate = mock.method(Lead, "findOneAndUpdate", async (filter) => {
+      if (filter.platformLeadId === "2") {
+        controller.abort(new Error("Job timed out"));
+        throw new Error("This operation was aborted");
+      }
+      return { _id: "lead", leadId: 1, source: "meta" };
+    });
+    const jobCreate = mock.method(Job, "create", async () => ({}));
+    const errorLog = mock.method(ErrorLog, "create", async () => ({}));
+
+    await assert.rejects(
+      processMetaLead(
+        source,
+        { entry: [{ id: "page-1", changes: [leadgen("1"), leadgen("2"), leadgen("3")] }] },
+        { signal: controller.signal }
+      ),
+      /aborted/
+    );
+
+    assert.equal(findOneAndUpdate.mock.callCount(), 2);
+    assert.equal(jobCreate.mock.callCount(), 0);
+    assert.equal(errorLog.mock.callCount(), 0);
+  });
+
+  it("ignores deliveries without leadgen changes", async () => {
+    assert.deepEqual(await processMetaLead(source, { object: "page" }), {
+      processed: 0,
+      failed: 0,
+      replayed: 0,
+      lastError: null,
+    });
+  });
+});
+
+/**
+ * Stubs the database for a brand-new lead and returns the saved leads.
+ */
+const stubNewLead = () => {
+  const saved = [];
+  mock.method(Lead, "findOneAndUpdate", async () => null);
+  mock.method(Lead, "countDocuments", async () => 0);
+  mock.method(Lead, "findOne", () => ({ sort: () => ({ lean: async () => null }) }));
+  mock.method(Lead.prototype, "save", async function save() {
+    saved.push(this);
+    return this;
+  });
+  mock.method(mongoose.connection, "transaction", (fn) => fn(null));
+  mock.method(Job, "insertMany", async () => []);
+  mock.method(Source, "updateOne", async () => ({}));
+  return saved;
+};
+
+describe("Meta ad hierarchy", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("stores the campaign, ad set, ad and form of a lead", async () => {
+    const saved = stubNewLead();
+
+    await processMetaLead(source, {
+      entry: [
+        {
+          changes: [
+            {
+              field: "leadgen",
+              value: {
+                leadgen_id: "1",
+                field_data: [{ name: "email", values: ["jane@example.com"] }],
+                campaign_id: "120210",
+                campaign_name: "Spring",
+                adgroup_id: "120211",
+                adset_name: "UAE 25-45",
+                ad_id: "120215",
+                ad_name: "Video A",
+                form_id: "555",
+                form_name: "Spring Form",
+              },
+            },
+          ],
+        },
+      ],
+    });
+
+    const [lead] = saved;
+    assert.deepEqual(
+      [lead.campaignId, lead.campaignName, lead.adSetId, lead.adSetName],
+      ["120210", "Spring", "120211", "UAE 25-45"]
+    );
+    assert.deepEqual(
+      [lead.adId, lead.adName, lead.formId, lead.formName],
+      ["120215", "Video A", "555", "Spring Form"]
+    );
+  });
+});
+
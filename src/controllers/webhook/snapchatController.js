@@ -1,19 +1,16 @@
-import Lead from "../../models/Lead.js";
-import Source from "../../models/Source.js";
 import ErrorLog from "../../models/ErrorLog.js";
-import Job from "../../models/Job.js";
-import {
-  LEAD_STATUSES,
-  LEAD_SOURCES,
-  JOB_TYPES,
-  HTTP_STATUS,
-} from "../../utils/constants.js";
+import { LEAD_SOURCES } from "../../utils/constants.js";
 import logger from "../../config/logger.js";
+import { ingestLead } from "../../lib/leadIngestion.js";
+import { applyFieldMapping } from "../../lib/fieldMapping.js";
+import { extractCustomFields } from "../../lib/customFields.js";
+import { extractAttribution } from "../../lib/attribution.js";
 
 /**
  * Normalizes the incoming payload from a Snapchat Lead Ad webhook.
+ * The Source's field mapping (if any) overrides the guesses below.
  */
-const normalizeSnapchatPayload = (body) => {
+const normalizeSnapchatPayload = (body, source) => {
   const lead = body.lead || {};
   const ad = body.ad || {};
 
@@ -34,104 +31,70 @@ const normalizeSnapchatPayload = (body) => {
   let bedrooms = lead.bedrooms || lead.beds || null;
   // --- END ADDED ---
 
-  return {
-    name,
-    email,
-    phone,
-    formName: ad.form_name || "N/A",
-    campaignName: ad.campaign_name || "N/A",
-    adName: ad.ad_name || "N/A",
-    adSetName: ad.ad_squad_name || "N/A", // Snapchat calls ad sets "squads"
-    timestamp: body.lead?.created_at,
-    userType,
-    propertyType,
-    budget,
-    bedrooms,
-  };
+  // Snapchat uses the field name as the key
+  const entries = Object.keys(lead).map((key) => ({
+    keys: [key],
+    value: lead[key],
+  }));
+
+  const result = applyFieldMapping(
+    {
+      name,
+      email,
+      phone,
+      platformLeadId: lead.id || lead.lead_id || body.lead_id || null,
+      formName: ad.form_name || "N/A",
+      campaignName: ad.campaign_name || "N/A",
+      adName: ad.ad_name || "N/A",
+      adSetName: ad.ad_squad_name || "N/A", // Snapchat calls ad sets "squads"
+      campaignId: ad.campaign_id || null,
+      adSetId: ad.ad_squad_id || null,
+      adId: ad.ad_id || ad.id || null,
+      formId: ad.form_id || null,
+      timestamp: body.lead?.created_at,
+      attribution: extractAttribution(entries),
+      userType,
+      propertyType,
+      budget,
+      bedrooms,
+    },
+    entries,
+    source
+  );
+
+  // Everything else the form sent is kept as custom fields
+  result.customFields = extractCustomFields(entries, result, source);
+  return result;
 };
 
 /**
- * Handle Snapchat webhook — respond instantly, process asynchronously.
- * (This function is unchanged)
+ * Creates a lead from a stored Snapchat webhook body.
+ * Run by the PROCESS_WEBHOOK_EVENT job (see lib/webhookInbox.js).
+ *
+ * @param {object} source - The Source document.
+ * @param {object} body - The webhook body.
+ * @returns {Promise<{ processed: number, failed: number, replayed: number, lastError: string|null }>}
  */
-export const handleSnapchatWebhook = async (req, res) => {
-  const source = req.source;
-  const body = req.body;
-
-  // ✅ Respond immediately
-  res.status(HTTP_STATUS.OK).json({
-    success: true,
-    message: "Webhook received successfully.",
-  });
-
-  // 🔄 Process the payload asynchronously
-  processSnapchatLead(source, body).catch((err) => {
-    logger.error("Async Snapchat processing failed:", err.message);
-  });
-};
-
-/**
- * Background logic isolated to avoid res.json() reuse
- */
-const processSnapchatLead = async (source, body) => {
+export const processSnapchatLead = async (source, body) => {
   try {
     // 1️⃣ Normalize the payload
-    const normalized = normalizeSnapchatPayload(body);
+    const normalized = normalizeSnapchatPayload(body, source);
 
-    // 2️⃣ Validate before saving
-    if (!normalized.email && !normalized.phone) {
-      const message = "Lead rejected: no phone or email provided.";
-      logger.warn(message, { source: source?.name });
-      await ErrorLog.create({
-        source: source?._id,
-        context: "WEBHOOK_PROCESSING",
-        message,
-        payload: body,
-      });
-      return;
-    }
-
-    // 3️⃣ Create new lead (NOW INCLUDES NEW FIELDS)
-    const newLead = new Lead({
-      name: normalized.name,
-      email: normalized.email,
-      phone: normalized.phone,
-      formName: normalized.formName,
-      campaignName: normalized.campaignName,
-      adName: normalized.adName,
-      adSetName: normalized.adSetName,
-      
-      // --- ADDED ---
-      userType: normalized.userType,
-      propertyType: normalized.propertyType,
-      budget: normalized.budget,
-      bedrooms: normalized.bedrooms,
-      // --- END ADDED ---
-
-      source: LEAD_SOURCES.SNAPCHAT,
-      sourceId: source._id,
-      siteName: source.name,
-      status: LEAD_STATUSES.QUEUED,
+    // 2️⃣ Validate, dedupe, save and queue jobs (one transaction)
+    const { outcome } = await ingestLead(source, normalized, {
+      platform: LEAD_SOURCES.SNAPCHAT,
       payload: body,
-      timestampUtc: new Date(normalized.timestamp || Date.now()),
+      timestamp: new Date(normalized.timestamp || Date.now()),
     });
 
-    await newLead.save();
-
-    // 4️⃣ Queue background jobs (Unchanged)
-    await Job.insertMany([
-      { lead: newLead._id, type: JOB_TYPES.APPEND_TO_SHEETS, status: "QUEUED" },
-      { lead: newLead._id, type: JOB_TYPES.PUSH_TO_BITRIX, status: "QUEUED" },
-    ]);
-
-    // 5️⃣ Increment source's lead count (Unchanged)
-    await Source.updateOne({ _id: source._id }, { $inc: { leadCount: 1 } });
-
-    logger.info(
-      `✅ Lead ${newLead._id} (ID: ${newLead.leadId}) created successfully from Snapchat (${source.name}).`
-    );
+    return {
+      processed: 1,
+      failed: 0,
+      replayed: outcome === "replay" ? 1 : 0,
+      lastError: null,
+    };
   } catch (error) {
-    // 6️⃣ Handle unexpected errors (Unchanged)
+    // 3️⃣ Handle unexpected errors (Unchanged)
     logger.error("❌ Failed to process Snapchat webhook:", {
       message: error.message,
       stack: error.stack,
@@ -145,5 +108,7 @@ const processSnapchatLead = async (source, body) => {
       stack: error.stack,
       payload: body,
     });
+
+    return { processed: 0, failed: 1, replayed: 0, lastError: error.message };
   }
 };
\ No newline at end of file
@@ -1,19 +1,16 @@
-import Lead from "../../models/Lead.js";
-import Source from "../../models/Source.js";
 import ErrorLog from "../../models/ErrorLog.js";
-import Job from "../../models/Job.js";
-import {
-  LEAD_STATUSES,
-  LEAD_SOURCES,
-  JOB_TYPES,
-  HTTP_STATUS,
-} from "../../utils/constants.js";
+import { LEAD_SOURCES } from "../../utils/constants.js";
 import logger from "../../config/logger.js";
+import { ingestLead } from "../../lib/leadIngestion.js";
+import { applyFieldMapping } from "../../lib/fieldMapping.js";
+import { extractCustomFields } from "../../lib/customFields.js";
+import { extractAttribution } from "../../lib/attribution.js";
 
 /**
  * Normalizes the incoming payload from a TikTok Lead Ad webhook.
+ * The Source's field mapping (if any) overrides the guesses below.
  */
-const normalizeTikTokPayload = (body) => {
+const normalizeTikTokPayload = (body, source) => {
   const { lead_data } = body;
   const fields = lead_data?.field_list || [];
 
@@ -55,13 +52,13 @@ const normalizeTikTokPayload = (body) => {
     // (These are guesses; adjust fieldName.includes() as needed)
     if (fieldName.includes("user_type") || fieldName.includes("investor"))
       userType = fieldValue;
-    
+
     if (fieldName.includes("property_type") || fieldName.includes("property"))
       propertyType = fieldValue;
-    
+
     if (fieldName.includes("budget"))
       budget = fieldValue;
-    
+
     if (fieldName.includes("bedroom") || fieldName.includes("beds"))
       bedrooms = fieldValue;
     // --- END ADDED ---
@@ -76,117 +73,133 @@ const normalizeTikTokPayload = (body) => {
     }
   }
 
+  // TikTok fields can be matched by name or by their question id
+  const entries = fields.map((field) => ({
+    keys: [field.field_name, field.field_id],
+    value: field.field_value,
+  }));
+
   // --- ADDED: Return new fields ---
-  return {
-    name,
-    email,
-    phone,
-    formName: lead_data?.form_name || "N/A",
-    campaignName: lead_data?.campaign_name || "N/A",
-    adName: lead_data?.ad_name || "N/A",
-    adSetName: lead_data?.adset_name || "N/A",
-    timestamp: body.lead_data?.create_time,
-    userType,
-    propertyType,
-    budget,
-    bedrooms,
-  };
+  const result = applyFieldMapping(
+    {
+      name,
+      email,
+      phone,
+      platformLeadId: lead_data?.lead_id || body.lead_id || null,
+      formName: lead_data?.form_name || "N/A",
+      campaignName: lead_data?.campaign_name || "N/A",
+      adName: lead_data?.ad_name || "N/A",
+      adSetName: lead_data?.adset_name || lead_data?.adgroup_name || "N/A",
+      campaignId: lead_data?.campaign_id || null,
+      // TikTok calls ad sets "ad groups"
+      adSetId: lead_data?.adgroup_id || lead_data?.adset_id || null,
+      adId: lead_data?.ad_id || null,
+      formId: lead_data?.form_id || null,
+      timestamp: body.lead_data?.create_time,
+      attribution: extractAttribution(entries),
+      userType,
+      propertyType,
+      budget,
+      bedrooms,
+    },
+    entries,
+    source
+  );
+
+  // Everything else the form sent is kept as custom fields
+  result.customFields = extractCustomFields(entries, result, source);
+  return result;
 };
 
 /**
- * Handle TikTok webhook — respond instantly, process asynchronously.
- * (This function is unchanged)
+ * Splits a TikTok delivery into individual leads.
+ * Batched deliveries wrap leads as entry[].changes[].value; a single
+ * lead is posted as-is (with 'lead_data' at the top level).
+ * @param {object} body - The webhook body.
+ * @returns {Array<object>} - One item per lead, each with 'lead_data'.
  */
-export const handleTikTokWebhook = async (req, res) => {
-  const source = req.source;
-  const body = req.body;
-
-  // ✅ Respond immediately
-  res.status(HTTP_STATUS.OK).json({
-    success: true,
-    message: "Webhook received successfully.",
-  });
+const extractTikTokLeads = (body) => {
+  if (!Array.isArray(body?.entry)) {
+    return body ? [body] : [];
+  }
 
-  // 🔄 Process the payload asynchronously
-  processTikTokLead(source, body).catch((err) => {
-    logger.error("Async TikTok processing failed:", err.message);
-  });
+  const items = [];
+  for (const entry of body.entry) {
+    if (Array.isArray(entry?.changes)) {
+      for (const change of entry.changes) {
+        if (change?.value) items.push(change.value);
+      }
+    } else if (entry?.lead_data) {
+      items.push(entry);
+    }
+  }
+  return items;
 };
 
 /**
- * Background logic isolated to avoid res.json() reuse
+ * Creates leads from a stored TikTok webhook body.
+ * Run by the PROCESS_WEBHOOK_EVENT job (see lib/webhookInbox.js).
+ *
+ * Every lead in a batched delivery is processed; a failing item is
+ * logged on its own and never stops the rest of the batch.
+ *
+ * @param {object} source - The TikTok Source document.
+ * @param {object} body - The webhook body.
+ * @returns {Promise<{ processed: number, failed: number, replayed: number, lastError: string|null }>}
  */
-const processTikTokLead = async (source, body) => {
-  try {
-    // 1️⃣ Normalize the payload
-    const normalized = normalizeTikTokPayload(body);
-
-    // 2️⃣ Validate before saving
-    if (!normalized.email && !normalized.phone) {
-      const message = "Lead rejected: no phone or email provided.";
-      logger.warn(message, { source: source?.name });
+export const processTikTokLead = async (source, body) => {
+  const items = extractTikTokLeads(body);
+  let failed = 0;
+  let replayed = 0;
+  let lastError = null;
+
+  for (const [index, item] of items.entries()) {
+    try {
+      const outcome = await createTikTokLead(source, item);
+      if (outcome === "replay") replayed += 1;
+    } catch (error) {
+      failed += 1;
+      lastError = error.message;
+      // 3️⃣ Handle unexpected errors, per item
+      logger.error("❌ Failed to process TikTok lead:", {
+        message: error.message,
+        stack: error.stack,
+        source: source?.name,
+      });
+
       await ErrorLog.create({
         source: source?._id,
         context: "WEBHOOK_PROCESSING",
-        message,
-        payload: body,
+        message: error.message,
+        stack: error.stack,
+        payload: { itemIndex: index, item },
       });
-      return;
     }
+  }
 
-    // 3️⃣ Create new lead (NOW INCLUDES NEW FIELDS)
-    const newLead = new Lead({
-      name: normalized.name,
-      email: normalized.email,
-      phone: normalized.phone,
-      formName: normalized.formName,
-      campaignName: normalized.campaignName,
-      adName: normalized.adName,
-      adSetName: normalized.adSetName,
-      
-      // --- ADDED ---
-      userType: normalized.userType,
-      propertyType: normalized.propertyType,
-      budget: normalized.budget,
-      bedrooms: normalized.bedrooms,
-      // --- END ADDED ---
-
-      source: LEAD_SOURCES.TIKTOK,
-      sourceId: source._id,
-      siteName: source.name,
-      status: LEAD_STATUSES.QUEUED,
-      payload: body,
-      timestampUtc: new Date(normalized.timestamp || Date.now()),
-    });
-
-    await newLead.save();
-
-    // 4️⃣ Queue background jobs (Unchanged)
-    await Job.insertMany([
-      { lead: newLead._id, type: JOB_TYPES.APPEND_TO_SHEETS, status: "QUEUED" },
-      { lead: newLead._id, type: JOB_TYPES.PUSH_TO_BITRIX, status: "QUEUED" },
-    ]);
-
-    // 5️⃣ Increment source's lead count (Unchanged)
-    await Source.updateOne({ _id: source._id }, { $inc: { leadCount: 1 } });
-
+  if (items.length > 1) {
     logger.info(
-      `✅ Lead ${newLead._id} (ID: ${newLead.leadId}) created successfully from TikTok (${source.name}).`
+      `TikTok webhook (${source.name}): ${items.length - failed} of ${items.length} leads processed.`
     );
-  } catch (error) {
-    // 6️⃣ Handle unexpected errors (Unchanged)
-    logger.error("❌ Failed to process TikTok webhook:", {
-      message: error.message,
-      stack: error.stack,
-      source: source?.name,
-    });
-
-    await ErrorLog.create({
-      source: source?._id,
-      context: "WEBHOOK_PROCESSING",
-      message: error.message,
-      stack: error.stack,
-      payload: body,
-    });
   }
-};
\ No newline at end of file
+  return { processed: items.length - failed, failed, replayed, lastError };
+};
+
+/**
+ * Normalizes, validates and saves a single TikTok lead, then queues its jobs.
+ * @param {object} source - The TikTok Source document.
+ * @param {object} item - One lead from the delivery (with 'lead_data').
+ * @returns {Promise<string>} - The ingestion outcome.
+ */
+const createTikTokLead = async (source, item) => {
+  // 1️⃣ Normalize the payload
+  const normalized = normalizeTikTokPayload(item, source);
+
+  // 2️⃣ Validate, dedupe, save and queue jobs (one transaction)
+  const { outcome } = await ingestLead(source, normalized, {
+    platform: LEAD_SOURCES.TIKTOK,
+    payload: item,
+    timestamp: new Date(normalized.timestamp || Date.now()),
+  });
+  return outcome;
+};
@@ -0,0 +1,119 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+// The webhook inbox imports the controllers; load it first, as the app does
+import "../../lib/webhookInbox.js";
+import Lead from "../../models/Lead.js";
+import Source from "../../models/Source.js";
+import Job from "../../models/Job.js";
+import ErrorLog from "../../models/ErrorLog.js";
+import { processTikTokLead } from "./tiktokController.js";
+
+const source = { _id: "65f000000000000000000002", name: "TikTok Test", config: {} };
+
+const item = (leadId) => ({ lead_data: { lead_id: leadId, field_list: [] } });
+
+describe("processTikTokLead", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("splits batched deliveries into single leads", async () => {
+    // Every lead is already stored, so each one is a replay
+    const findOneAndUpdate = mock.method(Lead, "findOneAndUpdate", async () => ({
+      _id: "lead",
+      leadId: 1,
+      source: "tiktok",
+    }));
+
+    const result = await processTikTokLead(source, {
+      entry: [
+        { changes: [{ value: item("1") }, { value: item("2") }] },
+        item("3"),
+        { id: "no-lead" },
+      ],
+    });
+
+    assert.deepEqual(result, { processed: 3, failed: 0, replayed: 3, lastError: null });
+    assert.deepEqual(
+      findOneAndUpdate.mock.calls.map((call) => call.arguments[0].platformLeadId),
+      ["1", "2", "3"]
+    );
+  });
+
+  it("reads a single lead posted as-is", async () => {
+    mock.method(Lead, "findOneAndUpdate", async () => ({ _id: "lead", leadId: 1 }));
+    const result = await processTikTokLead(source, item("9"));
+    assert.equal(result.processed, 1);
+  });
+
+  it("keeps going when one lead fails", async () => {
+    mock.method(Lead, "findOneAndUpdate", async (filter) => {
+      if (filter.platformLeadId === "1") throw new Error("Database hiccup");
+      return { _id: "lead", leadId: 1 };
+    });
+    const errorLog = mock.method(ErrorLog, "create", async () => ({}));
+
+    const result = await processTikTokLead(source, {
+      entry: [{ changes: [{ value: item("1") }, { value: item("2") }] }],
+    });
+
+    assert.deepEqual(result, {
+      processed: 1,
+      failed: 1,
+      replayed: 1,
+      lastError: "Database hiccup",
+    });
+    assert.equal(errorLog.mock.calls[0].arguments[0].payload.itemIndex, 0);
+  });
+});
+
+/**
+ * Stubs the database for a brand-new lead and returns the saved leads.
+ */
+const stubNewLead = () => {
+  const saved = [];
+  mock.method(Lead, "findOneAndUpdate", async () => null);
+  mock.method(Lead, "countDocuments", async () => 0);
+  mock.method(Lead, "findOne", () => ({ sort: () => ({ lean: async () => null }) }));
+  mock.method(Lead.prototype, "save", async function save() {
+    saved.push(this);
+    return this;
+  });
+  mock.method(mongoose.connection, "transaction", (fn) => fn(null));
+  mock.method(Job, "insertMany", async () => []);
+  mock.method(Source, "updateOne", async () => ({}));
+  return saved;
+};
+
+describe("TikTok ad hierarchy", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("stores the campaign, ad group, ad and form of a lead", async () => {
+    const saved = stubNewLead();
+
+    await processTikTokLead(source, {
+      lead_data: {
+        lead_id: "1",
+        field_list: [{ field_name: "email", field_value: "jane@example.com" }],
+        campaign_id: "170001",
+        campaign_name: "Spring",
+        adgroup_id: "170002",
+        adgroup_name: "UAE 25-45",
+        ad_id: "170003",
+        ad_name: "Video A",
+        form_id: "170004",
+        form_name: "Spring Form",
+      },
+    });
+
+    const [lead] = saved;
+    assert.deepEqual(
+      [lead.campaignId, lead.campaignName, lead.adSetId, lead.adSetName],
+      ["170001", "Spring", "170002", "UAE 25-45"]
+    );
+    assert.deepEqual(
+      [lead.adId, lead.adName, lead.formId, lead.formName],
+      ["170003", "Video A", "170004", "Spring Form"]
+    );
+  });
+});
+
@@ -0,0 +1,205 @@
+import Lead from "../../models/Lead.js";
+import LeadMessage from "../../models/LeadMessage.js";
+import ErrorLog from "../../models/ErrorLog.js";
+import { LEAD_SOURCES } from "../../utils/constants.js";
+import logger from "../../config/logger.js";
+import { normalizePhoneForMatch } from "../../lib/duplicateCheck.js";
+import { ingestLead } from "../../lib/leadIngestion.js";
+import { applyFieldMapping } from "../../lib/fieldMapping.js";
+import { extractCustomFields } from "../../lib/customFields.js";
+import { extractAttribution } from "../../lib/attribution.js";
+import { getSourceCountry } from "../../lib/phone.js";
+
+/**
+ * Pulls the readable text out of a WhatsApp message, whatever its type.
+ */
+const getMessageText = (message) =>
+  message.text?.body ||
+  message.button?.text ||
+  message.interactive?.button_reply?.title ||
+  message.interactive?.list_reply?.title ||
+  message[message.type]?.caption ||
+  null;
+
+/**
+ * WhatsApp timestamps are Unix seconds, sent as strings.
+ */
+const parseWhatsAppTime = (timestamp) => {
+  const seconds = Number(timestamp);
+  return seconds ? new Date(seconds * 1000) : new Date();
+};
+
+/**
+ * Normalizes the first message of a conversation into lead fields.
+ * The profile name and number come from the webhook's 'contacts';
+ * the click-to-WhatsApp ad (if any) from the message's 'referral'.
+ * The Source's field mapping (if any) overrides the guesses below.
+ */
+const normalizeWhatsAppMessage = (message, contact, source) => {
+  const referral = message.referral || {};
+
+  const entries = [
+    { keys: ["referral_source_id"], value: referral.source_id },
+    { keys: ["referral_source_type"], value: referral.source_type },
+    { keys: ["referral_source_url"], value: referral.source_url },
+    { keys: ["referral_headline"], value: referral.headline },
+    { keys: ["referral_body"], value: referral.body },
+    { keys: ["ctwa_clid"], value: referral.ctwa_clid },
+    { keys: ["first_message"], value: getMessageText(message) },
+  ].filter((entry) => entry.value);
+
+  const result = applyFieldMapping(
+    {
+      name: contact?.profile?.name || null,
+      email: null,
+      // wa_id is the full international number without the '+'
+      phone: message.from ? `+${message.from}` : null,
+      formName: "WhatsApp",
+      campaignName: "N/A",
+      // Click-to-WhatsApp ads refer with the ad's ID
+      adId: referral.source_type === "ad" ? referral.source_id || null : null,
+      timestamp: message.timestamp,
+      attribution: extractAttribution(entries),
+    },
+    entries,
+    source
+  );
+
+  result.customFields = extractCustomFields(entries, result, source);
+  return result;
+};
+
+/**
+ * Splits a WhatsApp Cloud API delivery into its inbound messages.
+ * Deliveries look like entry[].changes[] with field 'messages'; status
+ * updates (sent/delivered/read) come the same way and are skipped.
+ * @param {object} body - The webhook body.
+ * @returns {Array<{ message: object, contact: object|null }>}
+ */
+const extractWhatsAppMessages = (body) => {
+  const items = [];
+  for (const entry of body?.entry || []) {
+    for (const change of entry?.changes || []) {
+      if (change?.field !== "messages") continue;
+      const value = change.value || {};
+      for (const message of value.messages || []) {
+        const contact =
+          (value.contacts || []).find((c) => c.wa_id === message.from) ||
+          value.contacts?.[0] ||
+          null;
+        items.push({ message, contact });
+      }
+    }
+  }
+  return items;
+};
+
+/**
+ * Creates leads and messages from a stored WhatsApp webhook body.
+ * Run by the PROCESS_WEBHOOK_EVENT job (see lib/webhookInbox.js).
+ *
+ * Messages are handled in order, so a first message and its follow-ups
+ * in the same delivery end up on one lead. A failing message is logged
+ * on its own and never stops the rest of the batch.
+ *
+ * @param {object} source - The WhatsApp Source document.
+ * @param {object} body - The webhook body.
+ * @returns {Promise<{ processed: number, failed: number, lastError: string|null }>}
+ */
+export const processWhatsAppMessages = async (source, body) => {
+  const items = extractWhatsAppMessages(body);
+  let failed = 0;
+  let lastError = null;
+
+  for (const [index, { message, contact }] of items.entries()) {
+    try {
+      await saveWhatsAppMessage(source, message, contact);
+    } catch (error) {
+      failed += 1;
+      lastError = error.message;
+      logger.error("❌ Failed to process WhatsApp message:", {
+        message: error.message,
+        stack: error.stack,
+        source: source?.name,
+      });
+
+      await ErrorLog.create({
+        source: source?._id,
+        context: "WEBHOOK_PROCESSING",
+        message: error.message,
+        stack: error.stack,
+        payload: { itemIndex: index, message, contact },
+      });
+    }
+  }
+
+  return { processed: items.length - failed, failed, lastError };
+};
+
+/**
+ * Stores one inbound message on the lead for its number, creating the
+ * lead first if this number hasn't written to this source before.
+ * @param {object} source - The WhatsApp Source document.
+ * @param {object} message - One message from the delivery.
+ * @param {object|null} contact - The sender's contact info.
+ */
+const saveWhatsAppMessage = async (source, message, contact) => {
+  // Redelivered (or replayed) messages are already stored
+  const known = await LeadMessage.exists({
+    channel: LEAD_SOURCES.WHATSAPP,
+    externalId: message.id,
+  });
+  if (known) return;
+
+  // 1️⃣ Find the lead for this number, or create it
+  const phoneNormalized = normalizePhoneForMatch(
+    message.from ? `+${message.from}` : null,
+    getSourceCountry(source)
+  );
+  let lead = phoneNormalized
+    ? await Lead.findOne({
+        sourceId: source._id,
+        source: LEAD_SOURCES.WHATSAPP,
+        phoneNormalized,
+      }).sort({ createdAt: -1 })
+    : null;
+
+  if (!lead) {
+    lead = await createWhatsAppLead(source, message, contact);
+    if (!lead) return;
+  }
+
+  // 2️⃣ Attach the message to the lead
+  try {
+    await LeadMessage.create({
+      lead: lead._id,
+      source: source._id,
+      channel: LEAD_SOURCES.WHATSAPP,
+      externalId: message.id,
+      from: message.from,
+      type: message.type,
+      text: getMessageText(message),
+      sentAt: parseWhatsAppTime(message.timestamp),
+      payload: message,
+    });
+  } catch (error) {
+    // Lost a race with a redelivery of the same message
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Creates a lead from the first message of a new conversation.
+ * @returns {Promise<object|null>} - The new Lead, or null if rejected.
+ */
+const createWhatsAppLead = async (source, message, contact) => {
+  const normalized = normalizeWhatsAppMessage(message, contact, source);
+
+  // Validate, dedupe, save and queue jobs (one transaction)
+  const { lead } = await ingestLead(source, normalized, {
+    platform: LEAD_SOURCES.WHATSAPP,
+    payload: { message, contact },
+    timestamp: parseWhatsAppTime(normalized.timestamp),
+  });
+  return lead;
+};
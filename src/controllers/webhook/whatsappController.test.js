@@ -0,0 +1,113 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+// The webhook inbox imports the controllers; load it first, as the app does
+import "../../lib/webhookInbox.js";
+import Lead from "../../models/Lead.js";
+import LeadMessage from "../../models/LeadMessage.js";
+import ErrorLog from "../../models/ErrorLog.js";
+import { processWhatsAppMessages } from "./whatsappController.js";
+
+const source = { _id: "65f000000000000000000003", name: "WhatsApp Test", config: {} };
+
+const delivery = (messages, statuses = []) => ({
+  entry: [
+    {
+      changes: [
+        {
+          field: "messages",
+          value: {
+            contacts: [{ wa_id: "971501234567", profile: { name: "Jane" } }],
+            messages,
+            statuses,
+          },
+        },
+        { field: "account_update", value: {} },
+      ],
+    },
+  ],
+});
+
+const message = (id, extra = { type: "text", text: { body: "Hi" } }) => ({
+  id,
+  from: "971501234567",
+  timestamp: "1700000000",
+  ...extra,
+});
+
+/**
+ * Stubs the lead lookup so every number already has a lead.
+ */
+const existingLead = () =>
+  mock.method(Lead, "findOne", () => ({ sort: async () => ({ _id: "lead-1" }) }));
+
+describe("processWhatsAppMessages", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("attaches every message to the lead for its number", async () => {
+    const findOne = existingLead();
+    mock.method(LeadMessage, "exists", async () => null);
+    const create = mock.method(LeadMessage, "create", async () => ({}));
+
+    const result = await processWhatsAppMessages(
+      source,
+      delivery(
+        [
+          message("wamid.1"),
+          message("wamid.2", { type: "button", button: { text: "Call me" } }),
+          message("wamid.3", { type: "image", image: { caption: "Floor plan?" } }),
+        ],
+        [{ id: "wamid.0", status: "read" }]
+      )
+    );
+
+    assert.deepEqual(result, { processed: 3, failed: 0, lastError: null });
+    assert.equal(findOne.mock.calls[0].arguments[0].phoneNormalized, "971501234567");
+    assert.deepEqual(
+      create.mock.calls.map(({ arguments: [data] }) => [data.lead, data.externalId, data.text]),
+      [
+        ["lead-1", "wamid.1", "Hi"],
+        ["lead-1", "wamid.2", "Call me"],
+        ["lead-1", "wamid.3", "Floor plan?"],
+      ]
+    );
+    assert.deepEqual(create.mock.calls[0].arguments[0].sentAt, new Date(1700000000 * 1000));
+  });
+
+  it("skips messages that are already stored", async () => {
+    existingLead();
+    mock.method(LeadMessage, "exists", async () => ({ _id: "message-1" }));
+    const create = mock.method(LeadMessage, "create", async () => ({}));
+
+    const result = await processWhatsAppMessages(source, delivery([message("wamid.1")]));
+    assert.equal(result.processed, 1);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("ignores a duplicate key from a concurrent redelivery", async () => {
+    existingLead();
+    mock.method(LeadMessage, "exists", async () => null);
+    mock.method(LeadMessage, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    });
+
+    const result = await processWhatsAppMessages(source, delivery([message("wamid.1")]));
+    assert.deepEqual(result, { processed: 1, failed: 0, lastError: null });
+  });
+
+  it("keeps going when one message fails", async () => {
+    existingLead();
+    mock.method(LeadMessage, "exists", async () => null);
+    mock.method(LeadMessage, "create", async (data) => {
+      if (data.externalId === "wamid.1") throw new Error("Database hiccup");
+      return {};
+    });
+    const errorLog = mock.method(ErrorLog, "create", async () => ({}));
+
+    const result = await processWhatsAppMessages(
+      source,
+      delivery([message("wamid.1"), message("wamid.2")])
+    );
+    assert.deepEqual(result, { processed: 1, failed: 1, lastError: "Database hiccup" });
+    assert.equal(errorLog.mock.calls[0].arguments[0].payload.itemIndex, 0);
+  });
+});
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { HTTP_STATUS } from '../utils/constants.js';
+import logger from '../config/logger.js';
+import { replayWebhookEvents } from '../lib/webhookInbox.js';
+
+// Never replay more than this many events in one request
+const MAX_REPLAY_BATCH = 500;
+
+/**
+ * Builds the list filter from the query string.
+ * Supports ?status=, ?platform=, ?sourceId= and ?from=/?to= (ISO dates).
+ */
+const buildEventFilters = (query) => {
+  const filters = {};
+  if (query.status) filters.status = query.status;
+  if (query.platform) filters.platform = query.platform;
+  if (query.sourceId) filters.source = query.sourceId;
+  if (query.from || query.to) {
+    filters.receivedAt = {};
+    if (query.from) filters.receivedAt.$gte = new Date(query.from);
+    if (query.to) filters.receivedAt.$lte = new Date(query.to);
+  }
+  return filters;
+};
+
+/**
+ * Fetches raw webhook events with pagination and filtering.
+ * Bodies are left out of the list; fetch a single event to see one.
+ */
+export const getAllWebhookEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filters = buildEventFilters(req.query);
+
+    const events = await WebhookEvent.find(filters)
+      .select('-body -headers -query')
+      .populate('source', 'name platform')
+      .sort({ receivedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const totalEvents = await WebhookEvent.countDocuments(filters);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: events,
+      pagination: {
+        totalEvents,
+        totalPages: Math.ceil(totalEvents / limit),
+        currentPage: page,
+        limit,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook events:', error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error fetching webhook events' });
+  }
+};
+
+/**
+ * Fetches a single raw webhook event, including its headers and body.
+ */
+export const getWebhookEventById = async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.eventId)
+      .populate('source', 'name platform')
+      .lean();
+
+    if (!event) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: 'Webhook event not found' });
+    }
+
+    res.status(HTTP_STATUS.OK).json({ success: true, data: event });
+  } catch (error) {
+    logger.error(
+      `Error fetching webhook event ${req.params.eventId}:`,
+      error.message
+    );
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error fetching webhook event' });
+  }
+};
+
+/**
+ * Replays a single webhook event through its platform's normalizer.
+ */
+export const replayWebhookEvent = async (req, res) => {
+  try {
+    const { queued, busy } = await replayWebhookEvents([req.params.eventId]);
+
+    if (busy > 0) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Webhook event is still queued or being processed.',
+      });
+    }
+    if (queued === 0) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json({ success: false, message: 'Webhook event not found' });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Webhook event queued for replay.',
+    });
+  } catch (error) {
+    logger.error(
+      `Error replaying webhook event ${req.params.eventId}:`,
+      error.message
+    );
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error replaying webhook event' });
+  }
+};
+
+/**
+ * Replays many webhook events at once.
+ * Body: { eventIds: [...] } or { filters: { status, platform, sourceId, from, to } }
+ * Events still queued or being processed are skipped.
+ */
+export const replayManyWebhookEvents = async (req, res) => {
+  try {
+    const { eventIds, filters } = req.body;
+    let ids = [];
+
+    if (Array.isArray(eventIds) && eventIds.length > 0) {
+      ids = eventIds.filter((id) => mongoose.isValidObjectId(id));
+    } else if (filters && Object.keys(filters).length > 0) {
+      const events = await WebhookEvent.find(buildEventFilters(filters))
+        .select('_id')
+        .sort({ receivedAt: 1 })
+        .limit(MAX_REPLAY_BATCH)
+        .lean();
+      ids = events.map((event) => event._id);
+    } else {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Provide eventIds or filters to replay.',
+      });
+    }
+
+    if (ids.length > MAX_REPLAY_BATCH) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Cannot replay more than ${MAX_REPLAY_BATCH} events at once.`,
+      });
+    }
+
+    const { queued, busy } = await replayWebhookEvents(ids);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `Queued ${queued} webhook event(s) for replay.`,
+      data: { queued, skipped: busy },
+    });
+  } catch (error) {
+    logger.error('Error replaying webhook events:', error.message);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ success: false, message: 'Error replaying webhook events' });
+  }
+};
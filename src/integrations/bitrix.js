@@ -2,6 +2,34 @@ import axios from 'axios';
 import { getBitrixApiUrl } from '../config/bitrix.js';
 import logger from '../config/logger.js';
 import ErrorLog from '../models/ErrorLog.js';
+import { getCustomFieldEntries, canonicalizeKey } from '../lib/customFields.js';
+import { getAttributionEntries } from '../lib/attribution.js';
+import { classifyHttpError, classifyError } from '../lib/jobErrors.js';
+import { JOB_ERROR_CLASSES } from '../utils/constants.js';
+
+// Bitrix24 allows ~2 requests a second per portal; past that it
+// answers QUERY_LIMIT_EXCEEDED (usually with a 503)
+const RATE_LIMIT_DELAY_MS = 10 * 1000;
+
+/**
+ * Classifies a failed Bitrix call (see lib/jobErrors.js): the request
+ * limit is a rate limit, 5xx and network errors are retryable, and
+ * errors about the lead itself (400, bad fields) are permanent.
+ */
+const classifyBitrixError = (error) => {
+  const bitrixError = error.response?.data?.error || error.bitrixError;
+  if (bitrixError === 'QUERY_LIMIT_EXCEEDED') {
+    return classifyError(error, JOB_ERROR_CLASSES.RATE_LIMITED, {
+      retryAfterMs: RATE_LIMIT_DELAY_MS,
+      statusCode: error.response?.status || null,
+    });
+  }
+  if (error.bitrixError) {
+    // A 200 with an error in the body: Bitrix rejected the lead
+    return classifyError(error, JOB_ERROR_CLASSES.PERMANENT);
+  }
+  return classifyHttpError(error);
+};
 
 /**
  * Maps our universal Lead model to the Bitrix24 crm.lead.add API format.
@@ -10,6 +38,13 @@ import ErrorLog from '../models/ErrorLog.js';
  * @returns {object} - The payload ready for the Bitrix API.
  */
 const mapLeadToBitrix = (lead, sourceConfig) => {
+  const customEntries = getCustomFieldEntries(lead);
+  // Custom fields are listed in the comments, one per line
+  const customLines = customEntries.map(([key, value]) => `${key}: ${value}`);
+  // So are click IDs and landing page details
+  const attributionEntries = getAttributionEntries(lead);
+  const attributionLines = attributionEntries.map(([label, value]) => `${label}: ${value}`);
+
   // --- Bitrix Field Mapping ---
   // This is a standard mapping. You can customize it as needed.
   const bitrixData = {
@@ -28,7 +63,12 @@ const mapLeadToBitrix = (lead, sourceConfig) => {
       // --- Source & Tracking ---
       SOURCE_ID: 'WEB', // A default source type (e.g., 'WEB', 'ADVERTISING')
       SOURCE_DESCRIPTION: lead.siteName || lead.source, // e.g., "Website #5"
-      COMMENTS: `Form: ${lead.formName}\nCampaign: ${lead.campaignName}`,
+      COMMENTS: [
+        `Form: ${lead.formName}`,
+        `Campaign: ${lead.campaignName}`,
+        ...attributionLines,
+        ...customLines,
+      ].join('\n'),
 
       // --- UTM Tags ---
       UTM_SOURCE: lead.utm?.source || '',
@@ -48,6 +88,23 @@ const mapLeadToBitrix = (lead, sourceConfig) => {
     bitrixData.fields.CATEGORY_ID = sourceConfig.bitrixPipelineId;
   }
 
+  // (Optional) Custom fields mapped to Bitrix user fields (UF_CRM_*).
+  // Attribution values can be mapped too, by canonical label
+  // (e.g. 'gclid', 'page_url', 'user_agent').
+  const ufMap = sourceConfig.bitrixCustomFields;
+  if (ufMap) {
+    const ufEntries = ufMap instanceof Map ? [...ufMap.entries()] : Object.entries(ufMap);
+    const customValues = new Map([
+      ...attributionEntries.map(([label, value]) => [canonicalizeKey(label), value]),
+      ...customEntries,
+    ]);
+    for (const [key, ufField] of ufEntries) {
+      if (customValues.has(key)) {
+        bitrixData.fields[ufField] = customValues.get(key);
+      }
+    }
+  }
+
   return bitrixData;
 };
 
@@ -56,9 +113,12 @@ const mapLeadToBitrix = (lead, sourceConfig) => {
  *
  * @param {object} lead - The full Lead document from MongoDB.
  * @param {object} sourceConfig - The config object from the Source model.
- * @returns {Promise<boolean>} - True on success, false on failure.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the API call.
+ * @returns {Promise<boolean>} - True on success (or if Bitrix isn't configured).
+ * @throws {Error} - Classified (see lib/jobErrors.js), if the push failed.
  */
-export const pushLeadToBitrix = async (lead, sourceConfig) => {
+export const pushLeadToBitrix = async (lead, sourceConfig, { signal } = {}) => {
   const apiUrl = getBitrixApiUrl('crm.lead.add');
 
   // 1. Check if Bitrix is configured
@@ -77,7 +137,7 @@ export const pushLeadToBitrix = async (lead, sourceConfig) => {
     const payload = mapLeadToBitrix(lead, sourceConfig);
 
     // 3. Make the API call to Bitrix
-    const response = await axios.post(apiUrl, payload);
+    const response = await axios.post(apiUrl, payload, { signal });
 
     // 4. Check for a successful Bitrix response
     if (response.data && response.data.result) {
@@ -89,7 +149,9 @@ export const pushLeadToBitrix = async (lead, sourceConfig) => {
       // Handle cases where Bitrix returns 200 OK but has an API error
       const errorMessage =
         response.data?.error_description || 'Unknown Bitrix API error';
-      throw new Error(errorMessage);
+      const error = new Error(errorMessage);
+      error.bitrixError = response.data?.error || 'UNKNOWN';
+      throw error;
     }
   } catch (error) {
     const errorMessage = error.response
@@ -111,6 +173,8 @@ export const pushLeadToBitrix = async (lead, sourceConfig) => {
         sentData: mapLeadToBitrix(lead, sourceConfig), // Log what we tried to send
       },
     });
-    return false;
+    // The worker decides from the class whether to retry
+    error.message = `Bitrix: ${errorMessage}`;
+    throw classifyBitrixError(error);
   }
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+import axios from 'axios';
+import { getMetaGraphUrl } from '../config/meta.js';
+import logger from '../config/logger.js';
+import { JOB_ERROR_CLASSES } from '../utils/constants.js';
+import { classifyHttpError, classifyError } from '../lib/jobErrors.js';
+
+// The lead fields we ask the Graph API for
+const LEAD_FIELDS = [
+  'id',
+  'created_time',
+  'field_data',
+  'ad_id',
+  'ad_name',
+  'adset_id',
+  'adset_name',
+  'campaign_id',
+  'campaign_name',
+  'form_id',
+  'platform',
+].join(',');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Graph API error codes for throttling (sent with a 400, not a 429)
+const META_RATE_LIMIT_CODES = [4, 17, 32, 613, 80004];
+
+// Without a Retry-After, throttled calls wait this long
+const RATE_LIMIT_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Wraps a Graph API failure in a classified Error (see lib/jobErrors.js).
+ * Auth and permission errors (4xx) won't fix themselves, but rate
+ * limits, 5xx and network errors might.
+ */
+const toGraphError = (error, leadgenId) => {
+  const graphError = error.response?.data?.error;
+  const wrapped = new Error(
+    `Meta Graph API: Failed to fetch lead ${leadgenId}: ${graphError?.message || error.message}`
+  );
+  classifyHttpError(error, wrapped);
+  if (META_RATE_LIMIT_CODES.includes(graphError?.code)) {
+    classifyError(wrapped, JOB_ERROR_CLASSES.RATE_LIMITED, {
+      retryAfterMs: wrapped.retryAfterMs ?? RATE_LIMIT_DELAY_MS,
+      statusCode: wrapped.statusCode,
+    });
+  }
+  return wrapped;
+};
+
+/**
+ * Fetches the name of a lead form. Best effort: the lead itself is
+ * still usable without it.
+ * @returns {Promise<string|null>}
+ */
+const fetchFormName = async (formId, accessToken, signal) => {
+  if (!formId) return null;
+  try {
+    const response = await axios.get(getMetaGraphUrl(formId), {
+      params: { fields: 'name', access_token: accessToken },
+      timeout: REQUEST_TIMEOUT_MS,
+      signal,
+    });
+    return response.data?.name || null;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logger.warn(`Meta Graph API: Could not fetch form ${formId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Fetches a single lead from the Graph API by its leadgen ID.
+ *
+ * @param {string} leadgenId - The 'leadgen_id' from the webhook.
+ * @param {string} accessToken - The Page Access Token of the source.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the API calls.
+ * @returns {Promise<object>} - The lead in the same shape the webhook
+ *   normalizer expects (field_data, campaign_name, form_name, ...).
+ * @throws {Error} - Classified (see lib/jobErrors.js); permanent for
+ *   errors a retry won't fix (missing token, bad permissions).
+ */
+export const fetchMetaLead = async (leadgenId, accessToken, { signal } = {}) => {
+  if (!leadgenId) {
+    const error = new Error('Meta Graph API: No leadgen_id in webhook.');
+    error.retryable = false;
+    throw error;
+  }
+  if (!accessToken) {
+    const error = new Error(
+      'Meta Graph API: Source has no page access token configured.'
+    );
+    error.retryable = false;
+    throw error;
+  }
+
+  logger.info(`Meta Graph API: Fetching lead ${leadgenId}.`);
+
+  let lead;
+  try {
+    const response = await axios.get(getMetaGraphUrl(leadgenId), {
+      params: { fields: LEAD_FIELDS, access_token: accessToken },
+      timeout: REQUEST_TIMEOUT_MS,
+      signal,
+    });
+    lead = response.data;
+  } catch (error) {
+    throw toGraphError(error, leadgenId);
+  }
+
+  if (!lead || !Array.isArray(lead.field_data)) {
+    const error = new Error(
+      `Meta Graph API: Lead ${leadgenId} came back without field_data.`
+    );
+    error.retryable = true;
+    throw error;
+  }
+
+  return {
+    ...lead,
+    form_name: await fetchFormName(lead.form_id, accessToken, signal),
+  };
+};
@@ -0,0 +1,110 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { JOB_ERROR_CLASSES } from '../utils/constants.js';
+import { fetchMetaLead } from './meta.js';
+
+/**
+ * An axios error for a failed Graph API call.
+ */
+const graphError = (status, error, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers, data: { error } },
+  });
+
+describe('fetchMetaLead', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('fails permanently without a leadgen_id or token', async () => {
+    const get = mock.method(axios, 'get');
+    await assert.rejects(fetchMetaLead(null, 'token'), { retryable: false });
+    await assert.rejects(fetchMetaLead('123', ''), { retryable: false });
+    assert.equal(get.mock.callCount(), 0);
+  });
+
+  it('returns the lead with its form name', async () => {
+    const get = mock.method(axios, 'get', async (url) =>
+      url.endsWith('/555')
+        ? { data: { name: 'Spring Campaign Form' } }
+        : { data: { id: '123', form_id: '555', field_data: [] } }
+    );
+
+    const lead = await fetchMetaLead('123', 'token');
+    assert.equal(lead.form_name, 'Spring Campaign Form');
+    assert.deepEqual(lead.field_data, []);
+    assert.equal(get.mock.calls[0].arguments[1].params.access_token, 'token');
+  });
+
+  it('still returns the lead when the form name cannot be fetched', async () => {
+    mock.method(axios, 'get', async (url) => {
+      if (url.endsWith('/555')) throw graphError(403, { message: 'No access', code: 10 });
+      return { data: { id: '123', form_id: '555', field_data: [] } };
+    });
+
+    const lead = await fetchMetaLead('123', 'token');
+    assert.equal(lead.form_name, null);
+  });
+
+  it('cancels its calls with the given signal', async () => {
+    const controller = new AbortController();
+    const get = mock.method(axios, 'get', async (url) => {
+      if (url.endsWith('/555')) {
+        controller.abort();
+        throw Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' });
+      }
+      return { data: { id: '123', form_id: '555', field_data: [] } };
+    });
+
+    // An aborted form name fetch doesn't pass as a missing name
+    await assert.rejects(fetchMetaLead('123', 'token', { signal: controller.signal }), /canceled/);
+    assert.deepEqual(
+      get.mock.calls.map((call) => call.arguments[1].signal),
+      [controller.signal, controller.signal]
+    );
+  });
+
+  it('retries a lead that came back without field_data', async () => {
+    mock.method(axios, 'get', async () => ({ data: { id: '123' } }));
+    await assert.rejects(fetchMetaLead('123', 'token'), { retryable: true });
+  });
+
+  it('treats auth and permission errors as permanent', async () => {
+    mock.method(axios, 'get', async () => {
+      throw graphError(400, { message: 'Invalid OAuth access token.', code: 190 });
+    });
+    await assert.rejects(fetchMetaLead('123', 'token'), {
+      errorClass: JOB_ERROR_CLASSES.PERMANENT,
+      statusCode: 400,
+      message: /Invalid OAuth access token/,
+    });
+  });
+
+  it('treats Graph throttling codes as rate limits', async () => {
+    mock.method(axios, 'get', async () => {
+      throw graphError(400, { message: 'Application request limit reached', code: 4 });
+    });
+    await assert.rejects(fetchMetaLead('123', 'token'), {
+      errorClass: JOB_ERROR_CLASSES.RATE_LIMITED,
+      retryAfterMs: 5 * 60 * 1000,
+    });
+  });
+
+  it('uses the Retry-After of a 429', async () => {
+    mock.method(axios, 'get', async () => {
+      throw graphError(429, { message: 'Too many calls' }, { 'retry-after': '30' });
+    });
+    await assert.rejects(fetchMetaLead('123', 'token'), {
+      errorClass: JOB_ERROR_CLASSES.RATE_LIMITED,
+      retryAfterMs: 30000,
+    });
+  });
+
+  it('retries network errors', async () => {
+    mock.method(axios, 'get', async () => {
+      throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    });
+    await assert.rejects(fetchMetaLead('123', 'token'), {
+      errorClass: JOB_ERROR_CLASSES.RETRYABLE,
+    });
+  });
+});
@@ -1,11 +1,26 @@
+import crypto from 'crypto';
+import { setTimeout as sleep } from 'timers/promises';
 import { getSheetsClient } from '../config/google.js';
 import logger from '../config/logger.js';
 import ErrorLog from '../models/ErrorLog.js';
+import { getCustomFieldEntries } from '../lib/customFields.js';
+import { classifyHttpError, classifyError } from '../lib/jobErrors.js';
+import { NODE_ID, acquireLock, releaseLock } from '../lib/distributedLock.js';
+import { JOB_ERROR_CLASSES } from '../utils/constants.js';
+
+// Without a Retry-After, quota errors wait for the next minute's quota
+const RATE_LIMIT_DELAY_MS = 60 * 1000;
+// How long a header change may hold its lock, and how often a job
+// waiting for it checks again
+const HEADER_LOCK_TTL_MS = 30 * 1000;
+const HEADER_LOCK_RETRY_MS = 250;
 
 /**
  * --- THIS IS THE NEW HEADER ROW ---
- * The order of these titles MUST match the order of the
- * 'row' variable below.
+ * Each title MUST have a value in 'buildStandardValues' below.
+ * Cells are filled by header title, so sheets created before a
+ * column was added just get it appended. A lead's custom fields
+ * are added as extra columns after these.
  */
 const HEADER_ROW = [
   "Date",
@@ -21,19 +36,120 @@ const HEADER_ROW = [
   "Source Name",
   "Form Name",
   "Campaign",
+  "Campaign ID",
+  "Ad Set",
+  "Ad Set ID",
+  "Ad",
+  "Ad ID",
+  "Form ID",
   "utm_source",
   "utm_medium",
   "utm_campaign",
   "utm_term",
   "utm_content",
+  "gclid",
+  "fbclid",
+  "ttclid",
+  "ScCid",
+  "Page URL",
+  "Referrer",
+  "IP Address",
+  "User Agent",
   "Internal Mongo ID"
 ];
 
+/**
+ * The lead's value for every HEADER_ROW column, by title.
+ */
+const buildStandardValues = (lead) =>
+  new Map([
+    ["Date", lead.timestampUae.toISOString()],
+    ["Lead ID", lead.leadId ? `LEAD#${lead.leadId}` : 'N/A'],
+    ["Name", lead.name || 'N/A'],
+    ["Phone", lead.phone || 'N/A'],
+    ["Email", lead.email || 'N/A'],
+    ["User Type", lead.userType || 'N/A'],
+    ["Property Type", lead.propertyType || 'N/A'],
+    ["Budget", lead.budget || 'N/A'],
+    ["Bedrooms", lead.bedrooms || 'N/A'],
+    ["Platform", lead.source || 'N/A'],
+    ["Source Name", lead.siteName || 'N/A'],
+    ["Form Name", lead.formName || 'N/A'],
+    ["Campaign", lead.campaignName || 'N/A'],
+    ["Campaign ID", lead.campaignId || ''],
+    ["Ad Set", lead.adSetName || 'N/A'],
+    ["Ad Set ID", lead.adSetId || ''],
+    ["Ad", lead.adName || 'N/A'],
+    ["Ad ID", lead.adId || ''],
+    ["Form ID", lead.formId || ''],
+    ["utm_source", lead.utm?.source || 'N/A'],
+    ["utm_medium", lead.utm?.medium || 'N/A'],
+    ["utm_campaign", lead.utm?.campaign || 'N/A'],
+    ["utm_term", lead.utm?.term || 'N/A'],
+    ["utm_content", lead.utm?.content || 'N/A'],
+    ["gclid", lead.attribution?.gclid || ''],
+    ["fbclid", lead.attribution?.fbclid || ''],
+    ["ttclid", lead.attribution?.ttclid || ''],
+    ["ScCid", lead.attribution?.scCid || ''],
+    ["Page URL", lead.attribution?.pageUrl || ''],
+    ["Referrer", lead.attribution?.referrer || ''],
+    ["IP Address", lead.attribution?.ip || ''],
+    ["User Agent", lead.attribution?.userAgent || ''],
+    ["Internal Mongo ID", lead._id.toString()],
+  ]);
+
+/**
+ * Classifies a failed Sheets API call (see lib/jobErrors.js). Google
+ * reports quota errors as 429, or as 403 with a rate-limit reason;
+ * other 4xx errors (sheet not shared, bad ID) are permanent.
+ */
+const classifySheetsError = (error) => {
+  const reason = error.errors?.[0]?.reason || error.response?.data?.error?.errors?.[0]?.reason;
+  if (['rateLimitExceeded', 'userRateLimitExceeded'].includes(reason)) {
+    return classifyError(error, JOB_ERROR_CLASSES.RATE_LIMITED, {
+      retryAfterMs: RATE_LIMIT_DELAY_MS,
+      statusCode: error.response?.status || null,
+    });
+  }
+  classifyHttpError(error);
+  // The write quota is per minute
+  if (error.errorClass === JOB_ERROR_CLASSES.RATE_LIMITED && error.retryAfterMs === null) {
+    error.retryAfterMs = RATE_LIMIT_DELAY_MS;
+  }
+  return error;
+};
+
+/**
+ * Runs 'work' holding the header lock of a sheet (tab), so two jobs,
+ * in this process or another, can't both rewrite row 1 and drop each
+ * other's new columns. Waits for the lock if another job holds it.
+ */
+const withHeaderLock = async (sheetId, sheetName, signal, work) => {
+  const lockName = `sheets:header:${sheetId}:${sheetName}`;
+  // Each call is its own owner: jobs of one process must wait too
+  const owner = `${NODE_ID}:${crypto.randomUUID()}`;
+
+  while (!(await acquireLock(lockName, HEADER_LOCK_TTL_MS, owner))) {
+    await sleep(HEADER_LOCK_RETRY_MS, undefined, { signal });
+  }
+  try {
+    return await work();
+  } finally {
+    await releaseLock(lockName, owner).catch(() => {});
+  }
+};
+
 /**
  * Appends a single lead's data as a new row to a
  * specified Google Sheet.
+ * @param {object} lead - The full Lead document from MongoDB.
+ * @param {object} sourceConfig - The config object from the Source model.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the API calls.
+ * @returns {Promise<boolean>} - True on success (or if the source has no sheet).
+ * @throws {Error} - Classified (see lib/jobErrors.js), if the append failed.
  */
-export const appendLeadToSheet = async (lead, sourceConfig) => {
+export const appendLeadToSheet = async (lead, sourceConfig, { signal } = {}) => {
   const { sheetId, sheetName } = sourceConfig;
 
   if (!sheetId || !sheetName) {
@@ -51,62 +167,90 @@ export const appendLeadToSheet = async (lead, sourceConfig) => {
     const sheets = await getSheetsClient();
 
     // --- NEW LOGIC: Check for header row ---
-    // 1. Check if cell A1 in the specified sheet (tab) is empty.
-    const headerCheck = await sheets.spreadsheets.values.get({
-      spreadsheetId: sheetId,
-      range: `${sheetName}!A1:A1`, // Check only the very first cell
-    });
+    // 1. Read the whole header row (row 1) of the specified sheet (tab).
+    const readHeader = async () => {
+      const headerCheck = await sheets.spreadsheets.values.get(
+        {
+          spreadsheetId: sheetId,
+          range: `${sheetName}!1:1`,
+        },
+        { signal }
+      );
+      // If the 'values' array is missing, the sheet is empty.
+      return headerCheck.data.values?.[0] || [];
+    };
 
-    // 2. If the 'values' array is missing, the sheet is empty.
-    const headerExists = headerCheck.data.values && headerCheck.data.values.length > 0;
+    let header = await readHeader();
+    const customEntries = getCustomFieldEntries(lead);
+    const customKeys = customEntries.map(([key]) => key);
+    const isMissing = (columns) => (key) => !columns.includes(key);
 
-    if (!headerExists) {
-      // 3. If no header, append our HEADER_ROW first.
-      logger.info(`Google Sheets: No header found in '${sheetName}'. Creating one...`);
-      await sheets.spreadsheets.values.append({
-        spreadsheetId: sheetId,
-        range: `${sheetName}!A1`, // Start at A1
-        valueInputOption: 'USER_ENTERED',
-        resource: {
-          values: [HEADER_ROW], // Note the double array
-        },
+    // 2. Changing the header is a read-modify-write, so it is done under
+    // a lock, reading the row again in case another job just changed it.
+    if ([...HEADER_ROW, ...customKeys].some(isMissing(header))) {
+      header = await withHeaderLock(sheetId, sheetName, signal, async () => {
+        const current = await readHeader();
+
+        if (current.length === 0) {
+          // 3. If no header, append our HEADER_ROW (plus this lead's custom fields) first.
+          logger.info(`Google Sheets: No header found in '${sheetName}'. Creating one...`);
+          const created = [...HEADER_ROW, ...customKeys];
+          await sheets.spreadsheets.values.append(
+            {
+              spreadsheetId: sheetId,
+              range: `${sheetName}!A1`, // Start at A1
+              valueInputOption: 'USER_ENTERED',
+              resource: {
+                values: [created], // Note the double array
+              },
+            },
+            { signal }
+          );
+          return created;
+        }
+
+        // 3b. Add a column for any standard column or custom field
+        // this sheet hasn't seen yet (at the end, so nothing moves).
+        const missingKeys = [...HEADER_ROW, ...customKeys].filter(isMissing(current));
+        if (missingKeys.length === 0) return current;
+
+        const extended = [...current, ...missingKeys];
+        logger.info(
+          `Google Sheets: Adding columns to '${sheetName}': ${missingKeys.join(', ')}`
+        );
+        await sheets.spreadsheets.values.update(
+          {
+            spreadsheetId: sheetId,
+            range: `${sheetName}!A1`,
+            valueInputOption: 'USER_ENTERED',
+            resource: {
+              values: [extended],
+            },
+          },
+          { signal }
+        );
+        return extended;
       });
     }
     // --- END NEW LOGIC ---
 
 
-    // 4. Format the lead data row (this order must match HEADER_ROW)
-    const row = [
-      lead.timestampUae.toISOString(),
-      lead.leadId ? `LEAD#${lead.leadId}` : 'N/A',
-      lead.name || 'N/A',
-      lead.phone || 'N/A',
-      lead.email || 'N/A',
-      lead.userType || 'N/A',
-      lead.propertyType || 'N/A',
-      lead.budget || 'N/A',
-      lead.bedrooms || 'N/A',
-      lead.source || 'N/A',
-      lead.siteName || 'N/A',
-      lead.formName || 'N/A',
-      lead.campaignName || 'N/A',
-      lead.utm?.source || 'N/A',
-      lead.utm?.medium || 'N/A',
-      lead.utm?.campaign || 'N/A',
-      lead.utm?.term || 'N/A',
-      lead.utm?.content || 'N/A',
-      lead._id.toString(),
-    ];
+    // 4. Fill every column of the sheet by its header title
+    const values = new Map([...buildStandardValues(lead), ...customEntries]);
+    const row = header.map((title) => values.get(title) ?? '');
 
     // 5. Append the actual lead data row
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: sheetId,
-      range: `${sheetName}!A1`, // Append to the first empty row (after header)
-      valueInputOption: 'USER_ENTERED',
-      resource: {
-        values: [row],
+    await sheets.spreadsheets.values.append(
+      {
+        spreadsheetId: sheetId,
+        range: `${sheetName}!A1`, // Append to the first empty row (after header)
+        valueInputOption: 'USER_ENTERED',
+        resource: {
+          values: [row],
+        },
       },
-    });
+      { signal }
+    );
 
     logger.info(`Google Sheets: Successfully appended lead ${lead.leadId || lead._id}.`);
     return true;
@@ -122,6 +266,7 @@ export const appendLeadToSheet = async (lead, sourceConfig) => {
       stack: error.stack,
       payload: { sheetId, sheetName },
     });
-    return false;
+    // The worker decides from the class whether to retry
+    throw classifySheetsError(error);
   }
 };
\ No newline at end of file
@@ -0,0 +1,99 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { google } from 'googleapis';
+import Lock from '../models/Lock.js';
+import ErrorLog from '../models/ErrorLog.js';
+import { appendLeadToSheet } from './sheets.js';
+
+const config = { sheetId: 'sheet-1', sheetName: 'Leads' };
+
+const makeLead = (id, customFields) => ({
+  _id: id,
+  leadId: id,
+  timestampUae: new Date('2026-01-01T00:00:00Z'),
+  name: `Lead ${id}`,
+  customFields,
+});
+
+/**
+ * An in-memory sheet whose API calls each take a turn of the event
+ * loop, so concurrent appends interleave like real ones.
+ */
+const fakeSheet = () => {
+  const sheet = { rows: [] };
+  const later = (fn) => new Promise((resolve) => setImmediate(() => resolve(fn())));
+  sheet.values = {
+    get: () => later(() => ({ data: { values: sheet.rows[0] ? [[...sheet.rows[0]]] : undefined } })),
+    update: ({ resource }) => later(() => (sheet.rows[0] = resource.values[0])),
+    append: ({ resource }) => later(() => sheet.rows.push(resource.values[0])),
+  };
+  return sheet;
+};
+
+/**
+ * Keeps locks in memory, with the same rules as the Lock collection.
+ */
+const mockLocks = () => {
+  const locks = new Map();
+  mock.method(Lock, 'findOneAndUpdate', async ({ name }, { $set }) => {
+    const held = locks.get(name);
+    if (held && held.owner !== $set.owner && held.expiresAt > new Date()) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    locks.set(name, { ...$set });
+    return { name };
+  });
+  mock.method(Lock, 'deleteOne', async ({ name, owner }) => {
+    if (locks.get(name)?.owner === owner) locks.delete(name);
+  });
+  return locks;
+};
+
+describe('appendLeadToSheet', () => {
+  let sheet;
+
+  beforeEach(() => {
+    sheet = fakeSheet();
+    mock.method(google.auth, 'GoogleAuth', function GoogleAuth() {
+      return { getClient: async () => ({}) };
+    });
+    mock.method(google, 'sheets', () => ({ spreadsheets: { values: sheet.values } }));
+    mock.method(ErrorLog, 'create', async () => ({}));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('keeps the columns that concurrent appends add', async () => {
+    const locks = mockLocks();
+
+    await Promise.all([
+      appendLeadToSheet(makeLead('1', { license_no: 'L-1' }), config),
+      appendLeadToSheet(makeLead('2', { nationality: 'AE' }), config),
+      appendLeadToSheet(makeLead('3', { license_no: 'L-3' }), config),
+    ]);
+
+    // One header row, holding every lead's custom field
+    const [header, ...rows] = sheet.rows;
+    assert.equal(rows.length, 3);
+    assert.equal(header[0], 'Date');
+    assert.equal(header.filter((title) => title === 'Date').length, 1);
+    assert.deepEqual(header.slice(-2).sort(), ['license_no', 'nationality']);
+
+    const cell = (row, title) => row[header.indexOf(title)];
+    const byLead = Object.fromEntries(rows.map((row) => [cell(row, 'Internal Mongo ID'), row]));
+    assert.equal(cell(byLead['1'], 'license_no'), 'L-1');
+    assert.equal(cell(byLead['2'], 'nationality'), 'AE');
+    assert.equal(cell(byLead['3'], 'license_no'), 'L-3');
+    assert.equal(locks.size, 0);
+  });
+
+  it('takes no lock when the header already has every column', async () => {
+    mockLocks();
+    await appendLeadToSheet(makeLead('1', { license_no: 'L-1' }), config);
+    Lock.findOneAndUpdate.mock.resetCalls();
+
+    await appendLeadToSheet(makeLead('2', { license_no: 'L-2' }), config);
+
+    assert.equal(Lock.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(sheet.rows.length, 3);
+  });
+});
@@ -0,0 +1,15 @@
+import { JOB_TYPES } from '../utils/constants.js';
+import { pushLeadToBitrix } from '../integrations/bitrix.js';
+import { registerJobType } from './registry.js';
+
+// Creates every new lead in Bitrix24
+registerJobType(JOB_TYPES.PUSH_TO_BITRIX, {
+  handler: (job, { lead, sourceConfig, signal }) =>
+    pushLeadToBitrix(lead, sourceConfig, { signal }),
+  leadStatusField: 'bitrixStatus',
+  queueForLeads: true,
+  // Bitrix throttles hard; rate limits clear within seconds
+  retry: { maxAttempts: 4, rateLimitDelayMs: 10 * 1000, rateLimitMaxAttempts: 20 },
+  timeoutMs: 30 * 1000,
+  concurrency: 5,
+});
@@ -0,0 +1,12 @@
+/**
+ * Registers every job type the worker can run.
+ * Each file calls registerJobType() (see jobs/registry.js); import a
+ * new job file here to plug it in.
+ */
+import './sheets.js';
+import './bitrix.js';
+import './webhookEvent.js';
+import './metaLead.js';
+import './leadImport.js';
+
+export * from './registry.js';
@@ -0,0 +1,14 @@
+import { JOB_TYPES } from '../utils/constants.js';
+import { runLeadImport } from '../lib/leadImport.js';
+import { registerJobType } from './registry.js';
+
+// Bulk imports from an uploaded file
+registerJobType(JOB_TYPES.IMPORT_LEADS, {
+  handler: (job, { signal }) => runLeadImport(job.leadImport, { signal }),
+  leadless: true,
+  errorContext: 'LEAD_IMPORT_JOB',
+  // Large files take as long as they take; a retry resumes where
+  // the import stopped
+  timeoutMs: null,
+  describe: (job) => `import ${job.leadImport}`,
+});
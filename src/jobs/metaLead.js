@@ -0,0 +1,20 @@
+import { JOB_TYPES } from '../utils/constants.js';
+import { fetchAndCreateMetaLead } from '../controllers/webhook/metaController.js';
+import { registerJobType } from './registry.js';
+
+// Meta leads whose Graph API fetch failed at intake.
+// These jobs have no lead yet; completing them creates it.
+registerJobType(JOB_TYPES.FETCH_META_LEAD, {
+  handler: async (job, { signal }) => {
+    await job.populate('source');
+    if (!job.source) {
+      throw new Error(`Job ${job._id} is missing source data.`);
+    }
+    await fetchAndCreateMetaLead(job.source, job.payload, { signal });
+  },
+  leadless: true,
+  errorContext: 'META_FETCH_JOB',
+  timeoutMs: 60 * 1000,
+  concurrency: 2,
+  describe: (job) => `Meta lead ${job.payload?.leadgen_id}`,
+});
@@ -0,0 +1,138 @@
+import { JOB_TYPES, JOB_ERROR_CLASSES } from '../utils/constants.js';
+
+/**
+ * --- Job Handler Registry ---
+ * Every job type the worker can run is registered here with its
+ * handler and settings (see jobs/index.js for the built-in ones).
+ * The worker (lib/worker.js) looks jobs up by type, so a new job type
+ * is a new file in this folder plus its name in JOB_TYPES.
+ */
+
+// Used for any setting a job type leaves out
+const DEFAULT_RETRY = {
+  maxAttempts: 3, // Total tries, including the first one
+  baseDelayMs: 5000, // Wait before the first retry
+  factor: 5, // Each later retry waits this many times longer
+  maxDelayMs: 60 * 60 * 1000, // No retry waits longer than this (Retry-After included)
+  // Rate-limited attempts wait for the API's Retry-After (or this long)
+  // and get more tries, as they say nothing about the job itself
+  rateLimitDelayMs: 60 * 1000,
+  rateLimitMaxAttempts: 10,
+};
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+const jobTypes = new Map();
+
+/**
+ * Registers the handler for a job type.
+ *
+ * @param {string} type - One of JOB_TYPES.
+ * @param {object} definition
+ * @param {(job: object, context: object) => Promise<boolean|void>} definition.handler -
+ *   Runs the job. Gets { lead, source, sourceConfig } (for lead jobs)
+ *   and 'signal' (an AbortSignal, aborted on timeout) as context.
+ *   Throwing or returning false fails the attempt; thrown errors can
+ *   be classified (see lib/jobErrors.js) to decide how it is retried.
+ * @param {boolean} [definition.leadless] - true for jobs that run
+ *   before a lead exists (e.g. FETCH_META_LEAD). Their Job documents
+ *   don't need a lead (see models/Job.js).
+ * @param {string} [definition.leadStatusField] - Lead field the result
+ *   is reported into ('PENDING' -> 'SUCCESS'/'FAILED'/'SKIPPED').
+ * @param {boolean|((source: object) => boolean)} [definition.queueForLeads] -
+ *   Whether the job is queued for every new lead (optionally per source).
+ * @param {object} [definition.retry] - { maxAttempts, baseDelayMs, factor,
+ *   maxDelayMs, rateLimitDelayMs, rateLimitMaxAttempts } (see DEFAULT_RETRY).
+ * @param {number|null} [definition.timeoutMs] - How long an attempt may
+ *   take before it is aborted; null for no limit.
+ * @param {number} [definition.concurrency] - How many jobs of this type
+ *   one worker runs at a time (JOB_CONCURRENCY can override it).
+ * @param {string} [definition.errorContext] - ErrorLog context when a
+ *   leadless job fails for good.
+ * @param {(job: object) => string} [definition.describe] - What the job
+ *   is about, for log lines (e.g. 'import 65f...').
+ */
+export const registerJobType = (type, definition) => {
+  if (!Object.values(JOB_TYPES).includes(type)) {
+    throw new Error(`Cannot register unknown job type '${type}'. Add it to JOB_TYPES first.`);
+  }
+  if (typeof definition?.handler !== 'function') {
+    throw new Error(`Job type '${type}' needs a handler function.`);
+  }
+  if (jobTypes.has(type)) {
+    throw new Error(`Job type '${type}' is already registered.`);
+  }
+
+  jobTypes.set(type, {
+    type,
+    leadless: false,
+    leadStatusField: null,
+    concurrency: 1,
+    queueForLeads: false,
+    errorContext: null,
+    describe: null,
+    ...definition,
+    retry: { ...DEFAULT_RETRY, ...definition.retry },
+    timeoutMs: definition.timeoutMs === undefined ? DEFAULT_TIMEOUT_MS : definition.timeoutMs,
+  });
+};
+
+/**
+ * @param {string} type - One of JOB_TYPES.
+ * @returns {object|null} - The registered definition, or null.
+ */
+export const getJobType = (type) => jobTypes.get(type) || null;
+
+/**
+ * @returns {string[]} - Every job type that has a handler.
+ */
+export const getRegisteredJobTypes = () => [...jobTypes.keys()];
+
+/**
+ * The job types queued for a new lead from this source.
+ * @param {object} source - The Source document.
+ * @returns {string[]}
+ */
+export const getLeadJobTypes = (source) =>
+  [...jobTypes.values()]
+    .filter(({ leadless, queueForLeads }) =>
+      !leadless && (typeof queueForLeads === 'function' ? queueForLeads(source) : queueForLeads)
+    )
+    .map(({ type }) => type);
+
+/**
+ * @param {string} type - One of JOB_TYPES.
+ * @returns {string|null} - The Lead field this job type reports into.
+ */
+export const getLeadStatusField = (type) => jobTypes.get(type)?.leadStatusField || null;
+
+/**
+ * How long to wait before retrying after a failed attempt, or null if
+ * the job should go to the dead-letter queue.
+ * @param {object} definition - A registered job type.
+ * @param {number} attempts - Attempts made so far.
+ * @param {string} errorClass - One of JOB_ERROR_CLASSES.
+ * @param {number|null} [retryAfterMs] - The API's Retry-After, for rate
+ *   limits. Capped at 'maxDelayMs'; invalid values are ignored.
+ * @returns {number|null} - Delay in ms.
+ */
+export const getRetryDelay = (definition, attempts, errorClass, retryAfterMs = null) => {
+  const {
+    maxAttempts,
+    baseDelayMs,
+    factor,
+    maxDelayMs,
+    rateLimitDelayMs,
+    rateLimitMaxAttempts,
+  } = definition.retry;
+
+  if (errorClass === JOB_ERROR_CLASSES.PERMANENT) return null;
+  if (errorClass === JOB_ERROR_CLASSES.RATE_LIMITED) {
+    if (attempts >= rateLimitMaxAttempts) return null;
+    // A bad (or hostile) header mustn't park the job for days
+    const wait = Number.isFinite(retryAfterMs) && retryAfterMs >= 0 ? retryAfterMs : rateLimitDelayMs;
+    return Math.min(wait, maxDelayMs);
+  }
+
+  if (attempts >= maxAttempts) return null;
+  return Math.min(baseDelayMs * Math.pow(factor, attempts - 1), maxDelayMs);
+};
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JOB_TYPES, JOB_ERROR_CLASSES } from '../utils/constants.js';
+import {
+  registerJobType,
+  getJobType,
+  getRegisteredJobTypes,
+  getLeadJobTypes,
+  getLeadStatusField,
+  getRetryDelay,
+} from './registry.js';
+
+// Only this file's job types are registered: jobs/index.js isn't loaded
+const handler = async () => {};
+
+registerJobType(JOB_TYPES.APPEND_TO_SHEETS, {
+  handler,
+  leadStatusField: 'sheetStatus',
+  queueForLeads: true,
+  retry: { maxAttempts: 5, baseDelayMs: 1000, factor: 2 },
+});
+registerJobType(JOB_TYPES.PUSH_TO_BITRIX, {
+  handler,
+  leadStatusField: 'bitrixStatus',
+  queueForLeads: (source) => Boolean(source?.config?.bitrix),
+});
+registerJobType(JOB_TYPES.IMPORT_LEADS, {
+  handler,
+  leadless: true,
+  queueForLeads: true,
+  timeoutMs: null,
+});
+
+describe('registerJobType', () => {
+  it('fills in the defaults', () => {
+    const definition = getJobType(JOB_TYPES.PUSH_TO_BITRIX);
+    assert.equal(definition.concurrency, 1);
+    assert.equal(definition.leadless, false);
+    assert.equal(definition.timeoutMs, 60 * 1000);
+    assert.equal(definition.retry.maxAttempts, 3);
+  });
+
+  it('merges a partial retry policy over the defaults', () => {
+    const { retry } = getJobType(JOB_TYPES.APPEND_TO_SHEETS);
+    assert.equal(retry.maxAttempts, 5);
+    assert.equal(retry.baseDelayMs, 1000);
+    assert.equal(retry.maxDelayMs, 60 * 60 * 1000);
+  });
+
+  it('keeps a null timeout (no limit)', () => {
+    assert.equal(getJobType(JOB_TYPES.IMPORT_LEADS).timeoutMs, null);
+  });
+
+  it('refuses unknown types, missing handlers and second registrations', () => {
+    assert.throws(() => registerJobType('send_fax', { handler }), /unknown job type 'send_fax'/);
+    assert.throws(() => registerJobType(JOB_TYPES.FETCH_META_LEAD, {}), /needs a handler/);
+    assert.throws(
+      () => registerJobType(JOB_TYPES.APPEND_TO_SHEETS, { handler }),
+      /already registered/
+    );
+  });
+
+  it('lists the registered types', () => {
+    assert.deepEqual(getRegisteredJobTypes(), [
+      JOB_TYPES.APPEND_TO_SHEETS,
+      JOB_TYPES.PUSH_TO_BITRIX,
+      JOB_TYPES.IMPORT_LEADS,
+    ]);
+    assert.equal(getJobType(JOB_TYPES.FETCH_META_LEAD), null);
+  });
+});
+
+describe('getLeadJobTypes', () => {
+  it('returns the lead jobs queued for a source', () => {
+    assert.deepEqual(getLeadJobTypes({ config: {} }), [JOB_TYPES.APPEND_TO_SHEETS]);
+    assert.deepEqual(getLeadJobTypes({ config: { bitrix: true } }), [
+      JOB_TYPES.APPEND_TO_SHEETS,
+      JOB_TYPES.PUSH_TO_BITRIX,
+    ]);
+  });
+});
+
+describe('getLeadStatusField', () => {
+  it('returns the Lead field a job type reports into', () => {
+    assert.equal(getLeadStatusField(JOB_TYPES.APPEND_TO_SHEETS), 'sheetStatus');
+    assert.equal(getLeadStatusField(JOB_TYPES.IMPORT_LEADS), null);
+    assert.equal(getLeadStatusField('send_fax'), null);
+  });
+});
+
+describe('getRetryDelay', () => {
+  const definition = getJobType(JOB_TYPES.APPEND_TO_SHEETS);
+
+  it('backs off exponentially until the attempts run out', () => {
+    const delays = [1, 2, 3, 4, 5].map((attempts) =>
+      getRetryDelay(definition, attempts, JOB_ERROR_CLASSES.RETRYABLE)
+    );
+    assert.deepEqual(delays, [1000, 2000, 4000, 8000, null]);
+  });
+
+  it('never waits longer than maxDelayMs', () => {
+    const slow = { retry: { ...definition.retry, maxAttempts: 50 } };
+    assert.equal(getRetryDelay(slow, 40, JOB_ERROR_CLASSES.RETRYABLE), 60 * 60 * 1000);
+  });
+
+  it('does not retry permanent errors', () => {
+    assert.equal(getRetryDelay(definition, 1, JOB_ERROR_CLASSES.PERMANENT), null);
+  });
+
+  it('waits out a rate limit for as long as the API asks', () => {
+    const { RATE_LIMITED } = JOB_ERROR_CLASSES;
+    assert.equal(getRetryDelay(definition, 1, RATE_LIMITED, 5000), 5000);
+    assert.equal(getRetryDelay(definition, 1, RATE_LIMITED, 0), 0);
+    // Rate limits have their own attempts, separate from maxAttempts
+    assert.equal(getRetryDelay(definition, 9, RATE_LIMITED, 5000), 5000);
+    assert.equal(getRetryDelay(definition, 10, RATE_LIMITED, 5000), null);
+  });
+
+  it('falls back to rateLimitDelayMs without a usable Retry-After', () => {
+    const { RATE_LIMITED } = JOB_ERROR_CLASSES;
+    for (const retryAfterMs of [null, undefined, -3000, NaN, Infinity]) {
+      assert.equal(getRetryDelay(definition, 1, RATE_LIMITED, retryAfterMs), 60 * 1000);
+    }
+  });
+
+  it('caps a huge Retry-After at maxDelayMs', () => {
+    const { RATE_LIMITED } = JOB_ERROR_CLASSES;
+    assert.equal(getRetryDelay(definition, 1, RATE_LIMITED, 1e12), 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,17 @@
+import { JOB_TYPES } from '../utils/constants.js';
+import { appendLeadToSheet } from '../integrations/sheets.js';
+import { registerJobType } from './registry.js';
+
+// Appends every new lead to its source's Google Sheet
+registerJobType(JOB_TYPES.APPEND_TO_SHEETS, {
+  handler: (job, { lead, sourceConfig, signal }) =>
+    appendLeadToSheet(lead, sourceConfig, { signal }),
+  leadStatusField: 'sheetStatus',
+  queueForLeads: true,
+  // Sheets errors are mostly quota or sharing problems; give it time
+  retry: { maxAttempts: 5, baseDelayMs: 10 * 1000, factor: 3 },
+  timeoutMs: 60 * 1000,
+  // Keep well under the Sheets API's per-minute write quota. Header
+  // changes are serialized per sheet (see integrations/sheets.js).
+  concurrency: 2,
+});
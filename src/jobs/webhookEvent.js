@@ -0,0 +1,15 @@
+import { JOB_TYPES } from '../utils/constants.js';
+import { processWebhookEvent } from '../lib/webhookInbox.js';
+import { registerJobType } from './registry.js';
+
+// Stored webhook requests, run through their platform's normalizer.
+// These jobs have no lead yet; completing them creates it.
+registerJobType(JOB_TYPES.PROCESS_WEBHOOK_EVENT, {
+  handler: (job, { signal }) => processWebhookEvent(job.webhookEvent, { signal }),
+  leadless: true,
+  errorContext: 'WEBHOOK_EVENT_JOB',
+  // One request can hold several leads (and Meta Graph API calls)
+  timeoutMs: 2 * 60 * 1000,
+  concurrency: 3,
+  describe: (job) => `webhook event ${job.webhookEvent}`,
+});
@@ -0,0 +1,137 @@
+/**
+ * Helpers for 'attribution' — the click IDs and landing-page details
+ * that tie a lead back to the ad or page it came from.
+ */
+import { canonicalizeKey } from './customFields.js';
+
+// Sheets cells and Bitrix fields don't need more than this
+const MAX_VALUE_LENGTH = 2000;
+
+// Incoming field names (canonicalized) each attribution field is read from
+const ATTRIBUTION_KEYS = {
+  gclid: ['gclid', 'gcl_id'],
+  fbclid: ['fbclid'],
+  ttclid: ['ttclid'],
+  scCid: ['sccid', 'sc_cid'],
+  pageUrl: ['page_url', 'landing_page', 'landing_page_url', 'landing_url'],
+  referrer: ['referrer', 'referer', 'http_referer', 'referrer_url'],
+  ip: ['remote_ip', 'ip', 'ip_address', 'client_ip'],
+  userAgent: ['user_agent', 'useragent'],
+};
+
+/**
+ * The Lead 'attribution' fields, in display/export order.
+ */
+export const ATTRIBUTION_FIELDS = Object.keys(ATTRIBUTION_KEYS);
+
+// How each field is titled in exports (Sheets columns, Bitrix comments)
+export const ATTRIBUTION_LABELS = {
+  gclid: 'gclid',
+  fbclid: 'fbclid',
+  ttclid: 'ttclid',
+  scCid: 'ScCid',
+  pageUrl: 'Page URL',
+  referrer: 'Referrer',
+  ip: 'IP Address',
+  userAgent: 'User Agent',
+};
+
+/**
+ * The click IDs, with the query parameter ad platforms append to the
+ * landing page URL.
+ */
+export const CLICK_ID_PARAMS = {
+  gclid: 'gclid',
+  fbclid: 'fbclid',
+  ttclid: 'ttclid',
+  scCid: 'ScCid',
+};
+
+/**
+ * Finds the first entry known by one of the given (canonical) names.
+ * Dotted keys (e.g. 'tracking.gclid' from a JSON body) match on their
+ * last part.
+ */
+const findValue = (entries, names) => {
+  for (const entry of entries) {
+    if (entry.value === undefined || entry.value === null) continue;
+    if (typeof entry.value === 'object') continue;
+
+    const matches = entry.keys.some((key) => {
+      if (key === undefined || key === null) return false;
+      const last = String(key).split('.').pop();
+      return names.includes(canonicalizeKey(last));
+    });
+    if (matches) {
+      const value = String(entry.value).trim();
+      if (value) return value;
+    }
+  }
+  return null;
+};
+
+/**
+ * Reads the click IDs a landing page URL carries, e.g.
+ * 'https://site.com/offer?gclid=abc' -> { gclid: 'abc' }.
+ */
+const readClickIdsFromUrl = (pageUrl) => {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch {
+    return {};
+  }
+
+  const clickIds = {};
+  for (const [param, value] of url.searchParams) {
+    const field = Object.keys(CLICK_ID_PARAMS).find(
+      (key) => CLICK_ID_PARAMS[key].toLowerCase() === param.toLowerCase()
+    );
+    if (field && value && !clickIds[field]) clickIds[field] = value;
+  }
+  return clickIds;
+};
+
+/**
+ * Lists a lead's attribution values for export.
+ * @param {object} lead - A Lead document or plain object.
+ * @returns {Array<[string, string]>} - [label, value] pairs, skipping empty fields.
+ */
+export const getAttributionEntries = (lead) =>
+  ATTRIBUTION_FIELDS.filter((field) => lead.attribution?.[field]).map(
+    (field) => [ATTRIBUTION_LABELS[field], lead.attribution[field]]
+  );
+
+/**
+ * Builds a lead's attribution from the incoming fields.
+ *
+ * Values the platform sends in a known place (e.g. Elementor's 'meta'
+ * block) are passed in 'known' and win; the rest are looked up by
+ * name among the form fields (hidden fields like 'gclid'). Click IDs
+ * still missing are read from the page URL's query string.
+ *
+ * @param {Array<object>} entries - Incoming fields as { keys, value }.
+ * @param {object} [known] - Attribution values already known, by field.
+ * @returns {object} - Only the fields that were found, e.g.
+ *   { gclid, pageUrl, userAgent }.
+ */
+export const extractAttribution = (entries, known = {}) => {
+  const attribution = {};
+  for (const field of ATTRIBUTION_FIELDS) {
+    const value = known[field]
+      ? String(known[field]).trim()
+      : findValue(entries, ATTRIBUTION_KEYS[field]);
+    if (value) attribution[field] = value.slice(0, MAX_VALUE_LENGTH);
+  }
+
+  if (attribution.pageUrl) {
+    const fromUrl = readClickIdsFromUrl(attribution.pageUrl);
+    for (const field of Object.keys(fromUrl)) {
+      if (!attribution[field]) {
+        attribution[field] = fromUrl[field].slice(0, MAX_VALUE_LENGTH);
+      }
+    }
+  }
+
+  return attribution;
+};
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractAttribution, getAttributionEntries } from './attribution.js';
+
+describe('extractAttribution', () => {
+  it('reads click IDs and page details from form fields', () => {
+    const entries = [
+      { keys: ['field_gclid', 'GCLID'], value: ' abc123 ' },
+      { keys: ['tracking.fbclid'], value: 'fb-1' },
+      { keys: ['Landing Page'], value: 'https://example.com/offer' },
+      { keys: ['Remote IP'], value: '203.0.113.7' },
+      { keys: ['name'], value: 'Jane' },
+    ];
+    assert.deepEqual(extractAttribution(entries), {
+      gclid: 'abc123',
+      fbclid: 'fb-1',
+      pageUrl: 'https://example.com/offer',
+      ip: '203.0.113.7',
+    });
+  });
+
+  it('prefers the values the platform sent in a known place', () => {
+    const entries = [{ keys: ['user_agent'], value: 'From a hidden field' }];
+    assert.deepEqual(extractAttribution(entries, { userAgent: ' Mozilla/5.0 ' }), {
+      userAgent: 'Mozilla/5.0',
+    });
+  });
+
+  it('reads missing click IDs from the page URL', () => {
+    const entries = [
+      { keys: ['gclid'], value: 'from-field' },
+      {
+        keys: ['page_url'],
+        value: 'https://example.com/?GCLID=from-url&ttclid=tt-1&ScCid=sc-1&utm_source=x',
+      },
+    ];
+    const attribution = extractAttribution(entries);
+    assert.equal(attribution.gclid, 'from-field');
+    assert.equal(attribution.ttclid, 'tt-1');
+    assert.equal(attribution.scCid, 'sc-1');
+  });
+
+  it('ignores empty, nested and unparseable values', () => {
+    const entries = [
+      { keys: ['gclid'], value: '  ' },
+      { keys: ['fbclid'], value: { id: 1 } },
+      { keys: ['page_url'], value: 'not a url?gclid=x' },
+    ];
+    assert.deepEqual(extractAttribution(entries), { pageUrl: 'not a url?gclid=x' });
+  });
+
+  it('truncates long values', () => {
+    const attribution = extractAttribution([{ keys: ['user_agent'], value: 'x'.repeat(3000) }]);
+    assert.equal(attribution.userAgent.length, 2000);
+  });
+});
+
+describe('getAttributionEntries', () => {
+  it('lists the values that are set, with their labels', () => {
+    assert.deepEqual(
+      getAttributionEntries({
+        attribution: { userAgent: 'Mozilla/5.0', gclid: 'abc', referrer: null },
+      }),
+      [
+        ['gclid', 'abc'],
+        ['User Agent', 'Mozilla/5.0'],
+      ]
+    );
+    assert.deepEqual(getAttributionEntries({}), []);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Helpers for 'customFields' — the form answers that don't map to a
+ * modeled Lead field (e.g. "Preferred Contact Time").
+ */
+
+// Keep runaway forms from bloating the lead document
+const MAX_CUSTOM_FIELDS = 50;
+const MAX_VALUE_LENGTH = 1000;
+
+// Contact fields the normalizers always model, plus ids, timestamps
+// and form metadata that platforms send alongside the answers
+const IGNORED_KEYS = [
+  'name',
+  'full_name',
+  'first_name',
+  'last_name',
+  'email',
+  'phone',
+  'phone_number',
+  'id',
+  'lead_id',
+  'created_at',
+  'created_time',
+  'create_time',
+  'form_name',
+  'form_id',
+  'form',
+  'meta',
+  'fields',
+];
+
+/**
+ * Turns a field name or title into the canonical key we store it under.
+ * e.g. 'Preferred Contact Time?' -> 'preferred_contact_time'
+ * @param {string} key - The raw field name, id or title.
+ * @returns {string|null} - The canonical key, or null if nothing is left.
+ */
+export const canonicalizeKey = (key) => {
+  if (key === undefined || key === null) return null;
+  const canonical = String(key)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return canonical || null;
+};
+
+/**
+ * Collects every answer that wasn't used for a modeled Lead field.
+ *
+ * An entry is skipped when a field-mapping rule points at it, when it
+ * is a UTM or form-metadata field, or when its value is one that the
+ * normalizer already picked for a core field.
+ *
+ * @param {Array<object>} entries - Incoming fields as { keys, value }.
+ *   The first key is used as the custom field's name.
+ * @param {object} normalized - The normalized lead data.
+ * @param {object} source - The Source document (uses 'fieldMappings').
+ * @returns {object} - { canonicalKey: value }
+ */
+export const extractCustomFields = (entries, normalized, source) => {
+  const mappedKeys = new Set(
+    (source?.fieldMappings || []).flatMap((rule) =>
+      (rule.from || []).map((key) => String(key).trim().toLowerCase())
+    )
+  );
+  const usedValues = new Set(
+    [
+      normalized.name,
+      normalized.email,
+      normalized.phone,
+      normalized.userType,
+      normalized.propertyType,
+      normalized.budget,
+      normalized.bedrooms,
+      ...Object.values(normalized.attribution || {}),
+    ]
+      .filter(Boolean)
+      .map((v) => String(v).trim())
+  );
+
+  const customFields = {};
+  for (const entry of entries) {
+    if (Object.keys(customFields).length >= MAX_CUSTOM_FIELDS) break;
+
+    const keys = entry.keys.filter(Boolean).map((k) => String(k).trim().toLowerCase());
+    if (keys.length === 0) continue;
+    if (keys.some((k) => mappedKeys.has(k))) continue;
+    if (keys.some((k) => k.startsWith('utm_') || IGNORED_KEYS.includes(k))) continue;
+
+    // Only plain answers, not nested objects
+    const { value } = entry;
+    if (value === undefined || value === null || typeof value === 'object') continue;
+
+    const text = String(value).trim();
+    if (!text || usedValues.has(text)) continue;
+
+    const key = canonicalizeKey(entry.keys.find(Boolean));
+    if (!key || customFields[key] !== undefined) continue;
+    customFields[key] = text.slice(0, MAX_VALUE_LENGTH);
+  }
+
+  return customFields;
+};
+
+/**
+ * Cleans custom fields supplied directly (e.g. from the admin panel).
+ * @param {object} input - { anyKey: value }
+ * @returns {object} - { canonicalKey: value }
+ */
+export const sanitizeCustomFields = (input) => {
+  if (!input || typeof input !== 'object') return {};
+  const entries = Object.keys(input).map((key) => ({
+    keys: [key],
+    value: input[key],
+  }));
+  return extractCustomFields(entries, {}, null);
+};
+
+/**
+ * Returns a lead's custom fields as [key, value] pairs.
+ * Works for both hydrated documents (Map) and lean objects.
+ * @param {object} lead - A Lead document or lean object.
+ * @returns {Array<[string, string]>}
+ */
+export const getCustomFieldEntries = (lead) => {
+  const customFields = lead?.customFields;
+  if (!customFields) return [];
+  return customFields instanceof Map
+    ? [...customFields.entries()]
+    : Object.entries(customFields);
+};
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canonicalizeKey,
+  extractCustomFields,
+  sanitizeCustomFields,
+  getCustomFieldEntries,
+} from './customFields.js';
+
+describe('canonicalizeKey', () => {
+  it('turns titles into snake_case keys', () => {
+    assert.equal(canonicalizeKey('Preferred Contact Time?'), 'preferred_contact_time');
+    assert.equal(canonicalizeKey('  --Move-in date (approx.)  '), 'move_in_date_approx');
+  });
+
+  it('returns null when nothing is left', () => {
+    assert.equal(canonicalizeKey(null), null);
+    assert.equal(canonicalizeKey('???'), null);
+  });
+});
+
+describe('extractCustomFields', () => {
+  const normalized = {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    phone: '+971501234567',
+    attribution: { gclid: 'abc123' },
+  };
+
+  it('keeps answers that no Lead field uses', () => {
+    const entries = [
+      { keys: ['Preferred Contact Time'], value: ' Evening ' },
+      { keys: ['field_7', 'Nationality'], value: 'UAE' },
+    ];
+    assert.deepEqual(extractCustomFields(entries, normalized, null), {
+      preferred_contact_time: 'Evening',
+      field_7: 'UAE',
+    });
+  });
+
+  it('skips contact, UTM, metadata and mapped fields', () => {
+    const entries = [
+      { keys: ['email'], value: 'other@example.com' },
+      { keys: ['utm_source'], value: 'google' },
+      { keys: ['form_id'], value: '123' },
+      { keys: ['Budget Range'], value: '1M' },
+    ];
+    const source = { fieldMappings: [{ target: 'budget', from: ['budget range'] }] };
+    assert.deepEqual(extractCustomFields(entries, normalized, source), {});
+  });
+
+  it('skips values already used for a core field', () => {
+    const entries = [
+      { keys: ['Your name'], value: 'Jane Doe' },
+      { keys: ['click'], value: 'abc123' },
+    ];
+    assert.deepEqual(extractCustomFields(entries, normalized, null), {});
+  });
+
+  it('skips empty and nested values', () => {
+    const entries = [
+      { keys: ['notes'], value: '  ' },
+      { keys: ['tags'], value: ['a', 'b'] },
+      { keys: ['extra'], value: null },
+    ];
+    assert.deepEqual(extractCustomFields(entries, normalized, null), {});
+  });
+
+  it('keeps the first answer for a repeated key', () => {
+    const entries = [
+      { keys: ['Notes'], value: 'first' },
+      { keys: ['notes'], value: 'second' },
+    ];
+    assert.deepEqual(extractCustomFields(entries, normalized, null), { notes: 'first' });
+  });
+
+  it('caps the number of fields and the length of values', () => {
+    const entries = Array.from({ length: 60 }, (_, i) => ({
+      keys: [`question ${i}`],
+      value: 'x'.repeat(1500 + i),
+    }));
+    const customFields = extractCustomFields(entries, normalized, null);
+    assert.equal(Object.keys(customFields).length, 50);
+    assert.equal(customFields.question_0.length, 1000);
+  });
+});
+
+describe('sanitizeCustomFields', () => {
+  it('canonicalizes keys and drops unusable values', () => {
+    assert.deepEqual(
+      sanitizeCustomFields({ 'Move-in Date': '2026-01', nested: { a: 1 }, blank: '' }),
+      { move_in_date: '2026-01' }
+    );
+  });
+
+  it('returns an empty object for non-objects', () => {
+    assert.deepEqual(sanitizeCustomFields(null), {});
+    assert.deepEqual(sanitizeCustomFields('text'), {});
+  });
+});
+
+describe('getCustomFieldEntries', () => {
+  it('reads both Maps and plain objects', () => {
+    const expected = [['notes', 'hi']];
+    assert.deepEqual(getCustomFieldEntries({ customFields: new Map(expected) }), expected);
+    assert.deepEqual(getCustomFieldEntries({ customFields: { notes: 'hi' } }), expected);
+    assert.deepEqual(getCustomFieldEntries({}), []);
+  });
+});
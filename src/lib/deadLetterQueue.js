@@ -0,0 +1,53 @@
+import Job from '../models/Job.js';
+import Lead from '../models/Lead.js';
+import logger from '../config/logger.js';
+import { LEAD_STATUSES, DEAD_LETTER_JOB_STATUSES } from '../utils/constants.js';
+import { getLeadStatusField } from '../jobs/index.js';
+
+/**
+ * Moves dead-lettered jobs back into the queue with a fresh set of
+ * attempts. Their error history is kept. Their leads go back to
+ * QUEUED (duplicates keep their status).
+ *
+ * @param {object} filter - Which jobs, e.g. { lead: leadId } or { _id: jobId }.
+ * @returns {Promise<number>} - How many jobs were requeued.
+ */
+export const requeueDeadLetterJobs = async (filter) => {
+  const jobs = await Job.find({ ...filter, status: { $in: DEAD_LETTER_JOB_STATUSES } })
+    .select('_id lead type')
+    .lean();
+  if (jobs.length === 0) return 0;
+
+  const { modifiedCount } = await Job.updateMany(
+    {
+      _id: { $in: jobs.map((job) => job._id) },
+      status: { $in: DEAD_LETTER_JOB_STATUSES },
+    },
+    {
+      $set: {
+        status: 'QUEUED',
+        attempts: 0,
+        lastError: null,
+        runAt: new Date(),
+        deadLetteredAt: null,
+      },
+    }
+  );
+
+  for (const job of jobs) {
+    if (!job.lead) continue;
+
+    const statusField = getLeadStatusField(job.type);
+    if (statusField) {
+      await Lead.updateOne({ _id: job.lead }, { $set: { [statusField]: 'PENDING' } });
+    }
+    // Duplicates keep their status; only their jobs are retried
+    await Lead.updateOne(
+      { _id: job.lead, status: { $ne: LEAD_STATUSES.DUPLICATE } },
+      { $set: { status: LEAD_STATUSES.QUEUED } }
+    );
+  }
+
+  logger.info(`Requeued ${modifiedCount} dead-lettered job(s).`);
+  return modifiedCount;
+};
@@ -0,0 +1,60 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Job from '../models/Job.js';
+import Lead from '../models/Lead.js';
+import { JOB_TYPES, LEAD_STATUSES } from '../utils/constants.js';
+import { requeueDeadLetterJobs } from './deadLetterQueue.js';
+
+/**
+ * Mocks Job.find() to return these jobs through select().lean().
+ */
+const mockDeadJobs = (jobs) =>
+  mock.method(Job, 'find', () => ({
+    select: () => ({ lean: async () => jobs }),
+  }));
+
+describe('requeueDeadLetterJobs', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('requeues dead jobs with fresh attempts and resets their leads', async () => {
+    const find = mockDeadJobs([
+      { _id: 'job-1', lead: 'lead-1', type: JOB_TYPES.PUSH_TO_BITRIX },
+      { _id: 'job-2', lead: null, type: JOB_TYPES.IMPORT_LEADS },
+    ]);
+    const requeue = mock.method(Job, 'updateMany', async () => ({ modifiedCount: 2 }));
+    const leadUpdates = mock.method(Lead, 'updateOne', async () => ({}));
+
+    assert.equal(await requeueDeadLetterJobs({ lead: 'lead-1' }), 2);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      lead: 'lead-1',
+      status: { $in: ['DEAD_LETTER', 'FAILED'] },
+    });
+    const [filter, update] = requeue.mock.calls[0].arguments;
+    assert.deepEqual(filter._id, { $in: ['job-1', 'job-2'] });
+    assert.equal(update.$set.status, 'QUEUED');
+    assert.equal(update.$set.attempts, 0);
+    assert.equal(update.$set.deadLetteredAt, null);
+    // The error history is kept
+    assert.equal(update.$set.attemptErrors, undefined);
+
+    assert.deepEqual(
+      leadUpdates.mock.calls.map((call) => call.arguments),
+      [
+        [{ _id: 'lead-1' }, { $set: { bitrixStatus: 'PENDING' } }],
+        [
+          { _id: 'lead-1', status: { $ne: LEAD_STATUSES.DUPLICATE } },
+          { $set: { status: LEAD_STATUSES.QUEUED } },
+        ],
+      ]
+    );
+  });
+
+  it('does nothing when no job is dead', async () => {
+    mockDeadJobs([]);
+    const requeue = mock.method(Job, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+    assert.equal(await requeueDeadLetterJobs({ _id: 'job-1' }), 0);
+    assert.equal(requeue.mock.callCount(), 0);
+  });
+});
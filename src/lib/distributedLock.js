@@ -0,0 +1,64 @@
+import os from 'os';
+import Lock from '../models/Lock.js';
+
+/**
+ * Identifies this process as a lock owner.
+ */
+export const NODE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Takes a lock, or renews it if this owner already holds it.
+ * Only one owner can hold a lock at a time; an expired lock is free
+ * for anyone to take.
+ *
+ * @param {string} name - The lock, e.g. 'scheduler:leader'.
+ * @param {number} ttlMs - How long to hold it without renewing.
+ * @param {string} [owner] - Who takes it (defaults to this process).
+ * @returns {Promise<boolean>} - true if the lock is now held by 'owner'.
+ */
+export const acquireLock = async (name, ttlMs, owner = NODE_ID) => {
+  const now = new Date();
+  try {
+    const lock = await Lock.findOneAndUpdate(
+      { name, $or: [{ owner }, { expiresAt: { $lte: now } }] },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // Someone else holds it (the upsert ran into their lock)
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Gives a lock up, if this owner holds it.
+ * @param {string} name - The lock.
+ * @param {string} [owner] - Who holds it (defaults to this process).
+ */
+export const releaseLock = async (name, owner = NODE_ID) => {
+  await Lock.deleteOne({ name, owner });
+};
+
+/**
+ * Keeps renewing a held lock until stopped.
+ * @param {string} name - The lock.
+ * @param {number} ttlMs - How long each renewal holds it.
+ * @param {(error?: Error) => void} [onLost] - Called if the lock could
+ *   not be renewed.
+ * @returns {() => void} - Stops renewing.
+ */
+export const keepLock = (name, ttlMs, onLost = () => {}) => {
+  const timer = setInterval(async () => {
+    try {
+      if (!(await acquireLock(name, ttlMs))) {
+        clearInterval(timer);
+        onLost();
+      }
+    } catch (error) {
+      onLost(error);
+    }
+  }, ttlMs / 3);
+  return () => clearInterval(timer);
+};
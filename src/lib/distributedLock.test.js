@@ -0,0 +1,105 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Lock from '../models/Lock.js';
+import { NODE_ID, acquireLock, releaseLock, keepLock } from './distributedLock.js';
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('acquireLock', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('takes a free or expired lock, or renews our own', async () => {
+    const upsert = mock.method(Lock, 'findOneAndUpdate', async () => ({ name: 'reports' }));
+
+    assert.equal(await acquireLock('reports', 30000), true);
+
+    const [filter, update, options] = upsert.mock.calls[0].arguments;
+    assert.equal(filter.name, 'reports');
+    assert.deepEqual(filter.$or[0], { owner: NODE_ID });
+    assert.ok(filter.$or[1].expiresAt.$lte instanceof Date);
+    assert.equal(update.$set.owner, NODE_ID);
+    assert.equal(update.$set.expiresAt - filter.$or[1].expiresAt.$lte, 30000);
+    assert.deepEqual(options, { upsert: true, new: true });
+  });
+
+  it('reports a lock held by someone else', async () => {
+    mock.method(Lock, 'findOneAndUpdate', async () => {
+      throw duplicateKeyError();
+    });
+    assert.equal(await acquireLock('reports', 30000, 'other-node'), false);
+  });
+
+  it('passes other errors on', async () => {
+    mock.method(Lock, 'findOneAndUpdate', async () => {
+      throw new Error('connection closed');
+    });
+    await assert.rejects(acquireLock('reports', 30000), /connection closed/);
+  });
+});
+
+describe('releaseLock', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('only deletes a lock held by the owner', async () => {
+    const remove = mock.method(Lock, 'deleteOne', async () => ({}));
+    await releaseLock('reports');
+    assert.deepEqual(remove.mock.calls[0].arguments[0], { name: 'reports', owner: NODE_ID });
+  });
+});
+
+describe('keepLock', () => {
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('renews the lock every third of its TTL until stopped', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const renew = mock.method(Lock, 'findOneAndUpdate', async () => ({}));
+    const onLost = mock.fn();
+
+    const stop = keepLock('reports', 30000, onLost);
+    mock.timers.tick(10000);
+    mock.timers.tick(10000);
+    stop();
+    mock.timers.tick(10000);
+    await new Promise(setImmediate);
+
+    assert.equal(renew.mock.callCount(), 2);
+    assert.equal(onLost.mock.callCount(), 0);
+  });
+
+  it('reports a lock taken over by someone else', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const renew = mock.method(Lock, 'findOneAndUpdate', async () => {
+      throw duplicateKeyError();
+    });
+    const onLost = mock.fn();
+
+    keepLock('reports', 30000, onLost);
+    mock.timers.tick(10000);
+    await new Promise(setImmediate);
+    mock.timers.tick(10000);
+    await new Promise(setImmediate);
+
+    // Renewing stops once the lock is gone
+    assert.equal(renew.mock.callCount(), 1);
+    assert.equal(onLost.mock.callCount(), 1);
+    assert.deepEqual(onLost.mock.calls[0].arguments, []);
+  });
+
+  it('passes renewal errors to onLost', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    mock.method(Lock, 'findOneAndUpdate', async () => {
+      throw new Error('connection closed');
+    });
+    const onLost = mock.fn();
+
+    const stop = keepLock('reports', 30000, onLost);
+    mock.timers.tick(10000);
+    await new Promise(setImmediate);
+    stop();
+
+    assert.match(onLost.mock.calls[0].arguments[0].message, /connection closed/);
+  });
+});
@@ -0,0 +1,143 @@
+import Lead from '../models/Lead.js';
+import Job from '../models/Job.js';
+import { LEAD_STATUSES } from '../utils/constants.js';
+import logger from '../config/logger.js';
+import { normalizePhone, getSourceCountry } from './phone.js';
+import { getLeadJobTypes, getLeadStatusField } from '../jobs/index.js';
+
+/**
+ * Sets the Lead status field of each job type (e.g. 'sheetStatus')
+ * to the given value.
+ * @param {object} leadFields - The Lead fields to add to.
+ * @param {string[]} jobTypes - The JOB_TYPES.
+ * @param {string} status - 'PENDING', 'SKIPPED', ...
+ */
+export const setJobStatusFields = (leadFields, jobTypes, status) => {
+  for (const type of jobTypes) {
+    const field = getLeadStatusField(type);
+    if (field) leadFields[field] = status;
+  }
+  return leadFields;
+};
+
+/**
+ * Reduces a phone number to the digits of its E.164 form, so that
+ * '050 123 4567' (in AE) and '+971 50-123 4567' match each other.
+ * Invalid numbers fall back to their plain digits.
+ * @param {string|null} phone - The phone number as received.
+ * @param {string} [defaultCountry] - Country for numbers without a '+'.
+ * @returns {string|null} - The digits only, or null if there are none.
+ */
+export const normalizePhoneForMatch = (phone, defaultCountry) => {
+  if (!phone) return null;
+  const { e164 } = normalizePhone(phone, defaultCountry);
+  const digits = (e164 || String(phone)).replace(/\D/g, '');
+  return digits || null;
+};
+
+/**
+ * Lowercases and trims an email address for matching.
+ * @param {string|null} email - The email as received.
+ * @returns {string|null}
+ */
+export const normalizeEmailForMatch = (email) => {
+  if (!email) return null;
+  const normalized = String(email).trim().toLowerCase();
+  return normalized || null;
+};
+
+/**
+ * Finds the original lead that a new submission duplicates.
+ * A match is any non-duplicate lead with the same normalized phone or
+ * email, created within the source's duplicate window.
+ *
+ * @param {object} source - The Source document the lead came from.
+ * @param {object} contact - { phone, email } of the incoming lead.
+ * @returns {Promise<object|null>} - The original Lead, or null.
+ */
+export const findOriginalLead = async (source, { phone, email }) => {
+  const windowHours = source?.config?.duplicateWindowHours ?? 24;
+  const phoneNormalized = normalizePhoneForMatch(phone, getSourceCountry(source));
+  const emailNormalized = normalizeEmailForMatch(email);
+
+  if (!windowHours || (!phoneNormalized && !emailNormalized)) {
+    return null;
+  }
+
+  const matchers = [];
+  if (phoneNormalized) matchers.push({ phoneNormalized });
+  if (emailNormalized) matchers.push({ email: emailNormalized });
+
+  const filters = {
+    $or: matchers,
+    duplicateOf: null,
+    // Held spam doesn't count as an earlier submission
+    status: { $ne: LEAD_STATUSES.SPAM },
+    createdAt: { $gte: new Date(Date.now() - windowHours * 60 * 60 * 1000) },
+  };
+  // By default only leads from the same source count as duplicates
+  if (source?.config?.duplicateScope !== 'all') {
+    filters.sourceId = source._id;
+  }
+
+  return Lead.findOne(filters).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Shared duplicate-detection step for every intake path.
+ * Returns the extra fields to set on the new Lead and the job types
+ * that should be queued for it (every job type registered to run for
+ * this source's leads, see jobs/registry.js).
+ *
+ * @param {object} source - The Source document the lead came from.
+ * @param {object} contact - { phone, email } of the incoming lead.
+ * @returns {Promise<{ leadFields: object, jobTypes: string[], allJobTypes: string[] }>}
+ */
+export const checkForDuplicate = async (source, contact) => {
+  const allJobTypes = getLeadJobTypes(source);
+  const leadFields = setJobStatusFields(
+    {
+      phoneNormalized: normalizePhoneForMatch(contact.phone, getSourceCountry(source)),
+      duplicateOf: null,
+      status: LEAD_STATUSES.QUEUED,
+    },
+    allJobTypes,
+    'PENDING'
+  );
+
+  const original = await findOriginalLead(source, contact);
+  if (!original) {
+    return { leadFields, jobTypes: allJobTypes, allJobTypes };
+  }
+
+  // Duplicates only run the jobs the source explicitly allows
+  const allowed = source.config?.duplicateJobTypes || [];
+  const jobTypes = allJobTypes.filter((type) => allowed.includes(type));
+
+  leadFields.duplicateOf = original._id;
+  leadFields.status = LEAD_STATUSES.DUPLICATE;
+  setJobStatusFields(
+    leadFields,
+    allJobTypes.filter((type) => !jobTypes.includes(type)),
+    'SKIPPED'
+  );
+
+  logger.info(
+    `Duplicate lead detected for source '${source.name}'. Original: ${original._id}`
+  );
+  return { leadFields, jobTypes, allJobTypes };
+};
+
+/**
+ * Queues the given background jobs for a newly created lead.
+ * @param {string} leadId - The Mongo ID of the lead.
+ * @param {string[]} jobTypes - The JOB_TYPES to queue.
+ * @param {object} [session] - Mongo session, to queue inside a transaction.
+ */
+export const queueLeadJobs = async (leadId, jobTypes, session = null) => {
+  if (!jobTypes.length) return;
+  await Job.insertMany(
+    jobTypes.map((type) => ({ lead: leadId, type, status: 'QUEUED' })),
+    { session }
+  );
+};
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JOB_TYPES } from '../utils/constants.js';
+import {
+  normalizePhoneForMatch,
+  normalizeEmailForMatch,
+  setJobStatusFields,
+} from './duplicateCheck.js';
+
+describe('normalizePhoneForMatch', () => {
+  it('matches national and international forms of the same number', () => {
+    assert.equal(normalizePhoneForMatch('050 123 4567', 'AE'), '971501234567');
+    assert.equal(normalizePhoneForMatch('+971 50-123 4567', 'AE'), '971501234567');
+  });
+
+  it('falls back to the plain digits of an invalid number', () => {
+    assert.equal(normalizePhoneForMatch('12-345', 'AE'), '12345');
+  });
+
+  it('returns null when there are no digits', () => {
+    assert.equal(normalizePhoneForMatch(null, 'AE'), null);
+    assert.equal(normalizePhoneForMatch('', 'AE'), null);
+    assert.equal(normalizePhoneForMatch('---', 'AE'), null);
+  });
+});
+
+describe('normalizeEmailForMatch', () => {
+  it('trims and lowercases', () => {
+    assert.equal(normalizeEmailForMatch('  Jane.Doe@Example.COM '), 'jane.doe@example.com');
+  });
+
+  it('returns null for empty values', () => {
+    assert.equal(normalizeEmailForMatch(null), null);
+    assert.equal(normalizeEmailForMatch('   '), null);
+  });
+});
+
+describe('setJobStatusFields', () => {
+  it('sets the Lead status field of each job type', () => {
+    const fields = setJobStatusFields(
+      {},
+      [JOB_TYPES.APPEND_TO_SHEETS, JOB_TYPES.PUSH_TO_BITRIX],
+      'SKIPPED'
+    );
+    assert.deepEqual(fields, { sheetStatus: 'SKIPPED', bitrixStatus: 'SKIPPED' });
+  });
+
+  it('ignores job types without a Lead status field', () => {
+    assert.deepEqual(setJobStatusFields({}, [JOB_TYPES.IMPORT_LEADS], 'PENDING'), {});
+  });
+});
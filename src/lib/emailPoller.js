@@ -0,0 +1,161 @@
+import fs from 'fs/promises';
+import path from 'path';
+import Source from '../models/Source.js';
+import env from '../config/env.js';
+import logger from '../config/logger.js';
+import { LEAD_SOURCES } from '../utils/constants.js';
+import { recordInboundEvent } from './webhookInbox.js';
+
+/**
+ * Whether 'target' is 'root' or somewhere below it.
+ */
+const isInside = (root, target) => target === root || target.startsWith(`${root}${path.sep}`);
+
+/**
+ * Resolves a Source's 'config.mailboxPath' against MAILBOX_ROOT.
+ * Paths outside it (e.g. '/etc/passwd' or '../.env') are refused, so a
+ * Source can't be used to read arbitrary files on the server.
+ *
+ * @param {string|null} mailboxPath - Absolute, or relative to MAILBOX_ROOT.
+ * @returns {string|null} - The absolute path, or null if it isn't
+ *   allowed (or MAILBOX_ROOT isn't set).
+ */
+export const resolveMailboxPath = (mailboxPath) => {
+  if (!env.MAILBOX_ROOT || !mailboxPath) return null;
+  const root = path.resolve(env.MAILBOX_ROOT);
+  const resolved = path.resolve(root, mailboxPath);
+  return isInside(root, resolved) ? resolved : null;
+};
+
+/**
+ * Stores one raw message in the inbox, like a POST to /api/webhooks/email.
+ */
+const recordEmail = (source, raw, mailbox) =>
+  recordInboundEvent(source, LEAD_SOURCES.EMAIL, { body: { raw, mailbox } });
+
+/**
+ * Reads new mail from a maildir folder. Messages in 'new/' are stored
+ * and then moved to 'cur/' (marked seen), so each is read once.
+ * (A message stored again because the move failed is a replay: leads
+ * are deduplicated on their Message-ID.)
+ * @returns {Promise<number>} - How many messages were stored.
+ */
+const pollMaildir = async (source, dir) => {
+  const newDir = path.join(dir, 'new');
+  const curDir = path.join(dir, 'cur');
+  const files = (await fs.readdir(newDir, { withFileTypes: true }))
+    // Symlinks could point outside the mailbox
+    .filter((entry) => entry.isFile() && !entry.name.startsWith('.'))
+    .map((entry) => entry.name);
+
+  let count = 0;
+  for (const file of files.sort()) {
+    const raw = await fs.readFile(path.join(newDir, file), 'utf8');
+    await recordEmail(source, raw, dir);
+    await fs.rename(path.join(newDir, file), path.join(curDir, `${file}:2,S`));
+    count += 1;
+  }
+  return count;
+};
+
+/**
+ * Splits mbox text into raw messages. Each message starts with a
+ * 'From ' separator line; '>From ' lines in bodies are unescaped.
+ * @returns {Array<{ raw: string, end: number }>} - Each message, and
+ *   where it ends in 'text'.
+ */
+const splitMbox = (text) => {
+  const starts = [...text.matchAll(/^From .*\r?\n/gm)].map((match) => match.index);
+  if (starts[0] !== 0) starts.unshift(0);
+
+  return starts
+    .map((start, index) => {
+      const end = starts[index + 1] ?? text.length;
+      const raw = text
+        .slice(start, end)
+        .replace(/^From .*\r?\n/, '')
+        .replace(/^>(>*From )/gm, '$1');
+      return { raw, end };
+    })
+    .filter(({ raw }) => raw.trim());
+};
+
+/**
+ * Reads new mail from an mbox file. The Source remembers how many
+ * bytes it has read ('mailboxOffset'), saved after every message, so
+ * a poll that stops halfway resumes at the next message (and a message
+ * stored twice is a replay, as leads are deduplicated on their
+ * Message-ID). If the file got shorter (it was rotated or emptied),
+ * reading starts over.
+ * @returns {Promise<number>} - How many messages were stored.
+ */
+const pollMbox = async (source, file) => {
+  const content = await fs.readFile(file);
+  let offset = source.mailboxOffset || 0;
+  if (offset > content.length) offset = 0;
+  if (offset === content.length) return 0;
+
+  // A message still being written (no final newline yet) waits a round
+  let text = content.subarray(offset).toString('utf8');
+  if (!text.endsWith('\n')) {
+    text = text.slice(0, text.lastIndexOf('\nFrom ') + 1);
+  }
+
+  let read = 0; // Characters of 'text' read so far
+  const saveOffset = (end) => {
+    offset += Buffer.byteLength(text.slice(read, end), 'utf8');
+    read = end;
+    return Source.updateOne({ _id: source._id }, { $set: { mailboxOffset: offset } });
+  };
+
+  const messages = splitMbox(text);
+  for (const { raw, end } of messages) {
+    await recordEmail(source, raw, file);
+    await saveOffset(end);
+  }
+
+  // Skip any blank tail too
+  await saveOffset(text.length);
+  return messages.length;
+};
+
+/**
+ * Checks the local mailbox of every active Email source that has a
+ * 'config.mailboxPath', and queues each new message as a lead.
+ * A directory is read as a maildir, a file as an mbox. Only mailboxes
+ * inside MAILBOX_ROOT are read.
+ */
+export const pollMailboxes = async () => {
+  const sources = await Source.find({
+    platform: LEAD_SOURCES.EMAIL,
+    isActive: true,
+    'config.mailboxPath': { $ne: null },
+  });
+
+  if (sources.length > 0 && !env.MAILBOX_ROOT) {
+    logger.warn('EmailPoller: MAILBOX_ROOT is not set. Local mailboxes will not be read.');
+    return;
+  }
+
+  for (const source of sources) {
+    const mailboxPath = resolveMailboxPath(source.config.mailboxPath);
+    try {
+      // Symlinks could still lead out of the root
+      const realRoot = await fs.realpath(env.MAILBOX_ROOT);
+      if (!mailboxPath || !isInside(realRoot, await fs.realpath(mailboxPath))) {
+        throw new Error(`'${source.config.mailboxPath}' is not inside MAILBOX_ROOT.`);
+      }
+
+      const stats = await fs.stat(mailboxPath);
+      const count = stats.isDirectory()
+        ? await pollMaildir(source, mailboxPath)
+        : await pollMbox(source, mailboxPath);
+
+      if (count > 0) {
+        logger.info(`EmailPoller: Queued ${count} message(s) from ${source.name}.`);
+      }
+    } catch (error) {
+      logger.error(`EmailPoller: Could not read mailbox of ${source.name}: ${error.message}`);
+    }
+  }
+};
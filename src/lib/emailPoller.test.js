@@ -0,0 +1,166 @@
+import { describe, it, mock, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import env from '../config/env.js';
+import Source from '../models/Source.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import Job from '../models/Job.js';
+import { resolveMailboxPath, pollMailboxes } from './emailPoller.js';
+
+const message = (id) => `Message-ID: <${id}@example.com>\nSubject: Lead ${id}\n\nHello\n`;
+
+let tmp;
+let root;
+const originalRoot = env.MAILBOX_ROOT;
+
+before(async () => {
+  tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'mailboxes-')));
+  root = path.join(tmp, 'root');
+  await fs.mkdir(root);
+});
+after(async () => {
+  env.MAILBOX_ROOT = originalRoot;
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+describe('resolveMailboxPath', () => {
+  beforeEach(() => {
+    env.MAILBOX_ROOT = '/var/mail';
+  });
+
+  it('resolves paths inside MAILBOX_ROOT', () => {
+    assert.equal(resolveMailboxPath('sales/inbox'), '/var/mail/sales/inbox');
+    assert.equal(resolveMailboxPath('/var/mail/sales'), '/var/mail/sales');
+    assert.equal(resolveMailboxPath('/var/mail'), '/var/mail');
+  });
+
+  it('refuses paths outside MAILBOX_ROOT', () => {
+    for (const mailboxPath of ['/etc/passwd', '../../.env', '/var/mailx', 'sales/../../x']) {
+      assert.equal(resolveMailboxPath(mailboxPath), null, mailboxPath);
+    }
+  });
+
+  it('refuses everything when MAILBOX_ROOT is not set', () => {
+    env.MAILBOX_ROOT = null;
+    assert.equal(resolveMailboxPath('/var/mail/sales'), null);
+  });
+});
+
+describe('pollMailboxes', () => {
+  let stored;
+  let offsets;
+
+  /**
+   * Stubs the Email sources to poll, and records the stored messages
+   * and saved mbox offsets.
+   */
+  const stubSources = (...sources) => {
+    mock.method(Source, 'find', async () => sources);
+    mock.method(Source, 'updateOne', async (filter, update) => {
+      offsets.push(update.$set.mailboxOffset);
+    });
+  };
+
+  const emailSource = (mailboxPath, mailboxOffset = 0) => ({
+    _id: 'source-1',
+    name: 'Mailbox Test',
+    config: { mailboxPath },
+    mailboxOffset,
+  });
+
+  beforeEach(() => {
+    env.MAILBOX_ROOT = root;
+    stored = [];
+    offsets = [];
+    mock.method(mongoose.connection, 'transaction', (fn) => fn(null));
+    mock.method(WebhookEvent, 'create', async ([data]) => {
+      stored.push(data.body.raw);
+      return [{ _id: `event-${stored.length}`, ...data }];
+    });
+    mock.method(Job, 'create', async () => []);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('stores new maildir messages and marks them seen', async () => {
+    const dir = path.join(root, 'maildir');
+    await fs.mkdir(path.join(dir, 'new'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'cur'));
+    await fs.writeFile(path.join(dir, 'new', '1.host'), message('a'));
+    await fs.writeFile(path.join(dir, 'new', '2.host'), message('b'));
+    await fs.writeFile(path.join(dir, 'new', '.hidden'), message('c'));
+    stubSources(emailSource('maildir'));
+
+    await pollMailboxes();
+
+    assert.deepEqual(stored, [message('a'), message('b')]);
+    assert.deepEqual(await fs.readdir(path.join(dir, 'new')), ['.hidden']);
+    assert.deepEqual((await fs.readdir(path.join(dir, 'cur'))).sort(), [
+      '1.host:2,S',
+      '2.host:2,S',
+    ]);
+  });
+
+  it('reads an mbox from where it stopped, saving the offset per message', async () => {
+    const first = `From a@example.com Mon Jan  1 00:00:00 2026\n${message('a')}`;
+    const rest =
+      `From b@example.com Mon Jan  1 00:01:00 2026\n${message('b')}>From the team\n` +
+      `From c@example.com Mon Jan  1 00:02:00 2026\n${message('c')}`;
+    const file = path.join(root, 'sales.mbox');
+    await fs.writeFile(file, first + rest);
+    stubSources(emailSource(file, Buffer.byteLength(first)));
+
+    await pollMailboxes();
+
+    assert.deepEqual(stored, [`${message('b')}From the team\n`, message('c')]);
+    const secondEnd = Buffer.byteLength(first) + rest.indexOf('From c@');
+    assert.deepEqual(offsets, [
+      secondEnd,
+      Buffer.byteLength(first + rest),
+      Buffer.byteLength(first + rest),
+    ]);
+  });
+
+  it('leaves a message that is still being written for the next poll', async () => {
+    const done = `From a@example.com Mon Jan  1 00:00:00 2026\n${message('a')}`;
+    const file = path.join(root, 'partial.mbox');
+    await fs.writeFile(file, `${done}From b@example.com Mon Jan  1 00:01:00 2026\nSubject: Le`);
+    stubSources(emailSource(file));
+
+    await pollMailboxes();
+
+    assert.deepEqual(stored, [message('a')]);
+    assert.equal(offsets.at(-1), Buffer.byteLength(done));
+  });
+
+  it('starts over when the mbox got shorter', async () => {
+    const file = path.join(root, 'rotated.mbox');
+    await fs.writeFile(file, `From a@example.com Mon Jan  1 00:00:00 2026\n${message('a')}`);
+    stubSources(emailSource(file, 10 ** 6));
+
+    await pollMailboxes();
+    assert.deepEqual(stored, [message('a')]);
+  });
+
+  it('does not read mailboxes outside MAILBOX_ROOT', async () => {
+    const outside = path.join(tmp, 'outside.mbox');
+    await fs.writeFile(outside, `From x Mon Jan  1 00:00:00 2026\n${message('x')}`);
+    await fs.symlink(outside, path.join(root, 'link.mbox'));
+    stubSources(emailSource(outside), emailSource('../outside.mbox'), emailSource('link.mbox'));
+
+    await pollMailboxes();
+    assert.deepEqual(stored, []);
+  });
+
+  it('does not read any mailbox when MAILBOX_ROOT is not set', async () => {
+    env.MAILBOX_ROOT = null;
+    const file = path.join(root, 'unset.mbox');
+    await fs.writeFile(file, `From a Mon Jan  1 00:00:00 2026\n${message('a')}`);
+    stubSources(emailSource(file));
+
+    await pollMailboxes();
+    assert.deepEqual(stored, []);
+  });
+});
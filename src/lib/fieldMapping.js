@@ -0,0 +1,163 @@
+import logger from '../config/logger.js';
+
+/**
+ * The normalized Lead fields a Source's field mapping may target.
+ * Nested UTM and attribution fields use dot notation, e.g.
+ * 'utm.campaign' or 'attribution.gclid'.
+ */
+export const MAPPABLE_LEAD_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'userType',
+  'propertyType',
+  'budget',
+  'bedrooms',
+  'formName',
+  'formId',
+  'campaignName',
+  'campaignId',
+  'adSetName',
+  'adSetId',
+  'adName',
+  'adId',
+  'utm.source',
+  'utm.medium',
+  'utm.campaign',
+  'utm.term',
+  'utm.content',
+  'attribution.gclid',
+  'attribution.fbclid',
+  'attribution.ttclid',
+  'attribution.scCid',
+  'attribution.pageUrl',
+  'attribution.referrer',
+  'attribution.ip',
+  'attribution.userAgent',
+];
+
+/**
+ * Value transforms a mapping rule can apply, in order.
+ * 'regex' uses the rule's 'pattern' and keeps the first capture
+ * group (or the whole match when the pattern has no groups).
+ */
+const TRANSFORMS = {
+  trim: (value) => value.trim(),
+  lowercase: (value) => value.toLowerCase(),
+  uppercase: (value) => value.toUpperCase(),
+  digits: (value) => value.replace(/\D/g, ''),
+  regex: (value, rule) => {
+    const match = value.match(new RegExp(rule.pattern, rule.flags || ''));
+    if (!match) return null;
+    return match[1] ?? match[0];
+  },
+};
+
+export const FIELD_TRANSFORMS = Object.keys(TRANSFORMS);
+
+/**
+ * Finds the value of every incoming field that a rule points at.
+ * @param {Array<object>} entries - Incoming fields as { keys, value }.
+ * @param {string[]} from - Field names, ids or titles to look for.
+ * @returns {string[]} - The matching values, in the order of 'from'.
+ */
+const findValues = (entries, from) => {
+  const values = [];
+  for (const wanted of from) {
+    const lower = String(wanted).trim().toLowerCase();
+    const entry = entries.find((e) =>
+      e.keys.some((key) => key && String(key).trim().toLowerCase() === lower)
+    );
+    if (entry && entry.value !== undefined && entry.value !== null) {
+      values.push(String(entry.value));
+    }
+  }
+  return values;
+};
+
+/**
+ * Runs a single mapping rule against the incoming fields.
+ * @returns {string|null} - The mapped value, or null if nothing matched.
+ */
+const applyRule = (entries, rule) => {
+  const values = findValues(entries, rule.from || []).filter(
+    (v) => v.trim() !== ''
+  );
+  if (values.length === 0) return null;
+
+  // 'join' combines split fields (e.g. first + last name) into one value
+  let value = rule.join !== undefined && rule.join !== null
+    ? values.join(rule.join)
+    : values[0];
+
+  for (const name of rule.transforms || []) {
+    if (value === null) break;
+    const transform = TRANSFORMS[name];
+    if (!transform) {
+      logger.warn(`FieldMapping: Unknown transform '${name}' ignored.`);
+      continue;
+    }
+    try {
+      value = transform(value, rule);
+    } catch (error) {
+      logger.warn(
+        `FieldMapping: Transform '${name}' failed for '${rule.target}': ${error.message}`
+      );
+      value = null;
+    }
+  }
+
+  return value === '' ? null : value;
+};
+
+/**
+ * Sets a (possibly dotted) field on the normalized object.
+ */
+const setField = (normalized, target, value) => {
+  const [head, tail] = target.split('.');
+  if (!tail) {
+    normalized[head] = value;
+    return;
+  }
+  normalized[head][tail] = value;
+};
+
+/**
+ * Applies a Source's declarative field mapping on top of the result
+ * of a platform's heuristic normalizer.
+ *
+ * Every field targeted by a rule comes from the mapping only (null if
+ * the form didn't send it). Fields no rule targets keep the heuristic
+ * value, and sources without any rules are returned unchanged.
+ *
+ * @param {object} normalized - The heuristic result from the normalizer.
+ * @param {Array<object>} entries - Incoming fields as { keys, value },
+ *   where 'keys' holds every name, id or title the field is known by.
+ * @param {object} source - The Source document (uses 'fieldMappings').
+ * @returns {object} - The normalized lead data.
+ */
+export const applyFieldMapping = (normalized, entries, source) => {
+  const rules = source?.fieldMappings || [];
+  if (rules.length === 0) {
+    return normalized;
+  }
+
+  // Several rules may target the same field; the first match wins
+  const mapped = {};
+  for (const rule of rules) {
+    if (!MAPPABLE_LEAD_FIELDS.includes(rule.target)) continue;
+    if (mapped[rule.target]) continue;
+    mapped[rule.target] = applyRule(entries, rule);
+  }
+
+  const result = {
+    ...normalized,
+    utm: { ...(normalized.utm || {}) },
+    attribution: { ...(normalized.attribution || {}) },
+  };
+  for (const target in mapped) {
+    setField(result, target, mapped[target]);
+  }
+
+  return result;
+};
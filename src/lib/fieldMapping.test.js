@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFieldMapping } from './fieldMapping.js';
+
+const entries = [
+  { keys: ['first_name', 'field_1', 'First Name'], value: 'Jane' },
+  { keys: ['last_name', 'field_2'], value: 'Doe' },
+  { keys: ['mobile'], value: ' +971 50 123 4567 ' },
+  { keys: ['Email Address'], value: '  Jane@Example.COM ' },
+  { keys: ['landing'], value: 'https://example.com/?utm_campaign=Spring-Sale' },
+  { keys: ['empty'], value: '   ' },
+];
+
+const heuristic = {
+  name: 'Guessed Name',
+  email: null,
+  phone: '+971501234567',
+  utm: { source: 'facebook' },
+  attribution: {},
+};
+
+const withRules = (...fieldMappings) => ({ fieldMappings });
+
+describe('applyFieldMapping', () => {
+  it('returns the heuristic result when the source has no rules', () => {
+    assert.equal(applyFieldMapping(heuristic, entries, {}), heuristic);
+    assert.equal(applyFieldMapping(heuristic, entries, withRules()), heuristic);
+  });
+
+  it('matches fields by any of their keys, ignoring case', () => {
+    const result = applyFieldMapping(
+      heuristic,
+      entries,
+      withRules({ target: 'email', from: ['email address'] })
+    );
+    assert.equal(result.email, '  Jane@Example.COM ');
+  });
+
+  it('joins split fields', () => {
+    const result = applyFieldMapping(
+      heuristic,
+      entries,
+      withRules({ target: 'name', from: ['field_1', 'last_name'], join: ' ' })
+    );
+    assert.equal(result.name, 'Jane Doe');
+  });
+
+  it('applies transforms in order', () => {
+    const result = applyFieldMapping(
+      heuristic,
+      entries,
+      withRules(
+        { target: 'email', from: ['Email Address'], transforms: ['trim', 'lowercase'] },
+        { target: 'phone', from: ['mobile'], transforms: ['digits'] }
+      )
+    );
+    assert.equal(result.email, 'jane@example.com');
+    assert.equal(result.phone, '971501234567');
+  });
+
+  it('keeps the first capture group of a regex transform', () => {
+    const result = applyFieldMapping(
+      heuristic,
+      entries,
+      withRules({
+        target: 'utm.campaign',
+        from: ['landing'],
+        transforms: ['regex', 'lowercase'],
+        pattern: 'utm_campaign=([^&]+)',
+      })
+    );
+    assert.equal(result.utm.campaign, 'spring-sale');
+    assert.equal(result.utm.source, 'facebook');
+  });
+
+  it('sets a targeted field to null when nothing matches', () => {
+    const result = applyFieldMapping(
+      heuristic,
+      entries,
+      withRules(
+        { target: 'name', from: ['empty'] },
+        { target: 'utm.term', from: ['landing'], transforms: ['regex'], pattern: 'nomatch' }
+      )
+    );
+    assert.equal(result.name, null);
+    assert.equal(result.utm.term, null);
+    assert.equal(result.phone, heuristic.phone);
+  });
+
+  it('lets the first matching rule for a field win', () => {
+    const result = applyFieldMapping(
+      heuristic,
+      entries,
+      withRules(
+        { target: 'name', from: ['missing'] },
+        { target: 'name', from: ['first_name'] },
+        { target: 'name', from: ['last_name'] }
+      )
+    );
+    assert.equal(result.name, 'Jane');
+  });
+
+  it('ignores rules for unknown targets and unknown transforms', () => {
+    const result = applyFieldMapping(
+      heuristic,
+      entries,
+      withRules(
+        { target: 'sourceId', from: ['first_name'] },
+        { target: 'name', from: ['first_name'], transforms: ['reverse'] }
+      )
+    );
+    assert.equal(result.sourceId, undefined);
+    assert.equal(result.name, 'Jane');
+  });
+
+  it('does not modify the heuristic result', () => {
+    applyFieldMapping(
+      heuristic,
+      entries,
+      withRules({ target: 'utm.source', from: ['first_name'] })
+    );
+    assert.deepEqual(heuristic.utm, { source: 'facebook' });
+  });
+});
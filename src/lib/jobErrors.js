@@ -0,0 +1,83 @@
+import { JOB_ERROR_CLASSES } from '../utils/constants.js';
+
+/**
+ * Helpers to classify job errors, so the worker knows whether (and
+ * when) to retry:
+ * - retryable: network errors, timeouts and 5xx, retried with backoff
+ * - rate_limited: retried once the API's Retry-After has passed
+ * - permanent: straight to the dead-letter queue
+ *
+ * Handlers flag errors with 'errorClass' (and 'retryAfterMs' for rate
+ * limits). Errors flagged 'retryable = false' count as permanent.
+ */
+
+/**
+ * Reads a Retry-After header: seconds, or an HTTP date.
+ * @param {string|number|null} value - The header value.
+ * @returns {number|null} - The wait in ms, or null if not given.
+ */
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+};
+
+/**
+ * Flags an error with its class.
+ * @param {Error} error - The error to flag.
+ * @param {string} errorClass - One of JOB_ERROR_CLASSES.
+ * @param {object} [details]
+ * @param {number|null} [details.retryAfterMs] - For rate limits.
+ * @param {number|null} [details.statusCode] - The HTTP status, if any.
+ * @returns {Error} - The same error.
+ */
+export const classifyError = (error, errorClass, { retryAfterMs = null, statusCode = null } = {}) => {
+  error.errorClass = errorClass;
+  error.retryable = errorClass !== JOB_ERROR_CLASSES.PERMANENT;
+  error.retryAfterMs = retryAfterMs;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Classifies a failed HTTP call (axios or googleapis) by its status:
+ * 429 is a rate limit, 408/5xx and network errors are retryable, any
+ * other 4xx is permanent.
+ *
+ * @param {Error} error - The error the HTTP client threw.
+ * @param {Error} [wrapped] - The error to flag (defaults to 'error'),
+ *   e.g. one with a friendlier message.
+ * @returns {Error} - The flagged error.
+ */
+export const classifyHttpError = (error, wrapped = error) => {
+  const statusCode = error.response?.status || null;
+  const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+
+  let errorClass = JOB_ERROR_CLASSES.PERMANENT;
+  if (statusCode === 429) {
+    errorClass = JOB_ERROR_CLASSES.RATE_LIMITED;
+  } else if (!statusCode || statusCode === 408 || statusCode >= 500) {
+    errorClass = JOB_ERROR_CLASSES.RETRYABLE;
+  }
+  return classifyError(wrapped, errorClass, { retryAfterMs, statusCode });
+};
+
+/**
+ * The class of an error a job handler threw.
+ * @param {Error} error - The error.
+ * @returns {string} - One of JOB_ERROR_CLASSES.
+ */
+export const getErrorClass = (error) => {
+  if (Object.values(JOB_ERROR_CLASSES).includes(error?.errorClass)) {
+    return error.errorClass;
+  }
+  if (error?.retryable === false) return JOB_ERROR_CLASSES.PERMANENT;
+  // An HTTP client error nobody classified
+  if (error?.response?.status) return classifyHttpError(error).errorClass;
+  return JOB_ERROR_CLASSES.RETRYABLE;
+};
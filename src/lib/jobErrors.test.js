@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JOB_ERROR_CLASSES } from '../utils/constants.js';
+import { parseRetryAfter, classifyError, classifyHttpError, getErrorClass } from './jobErrors.js';
+
+/**
+ * An error like the one axios throws for an HTTP status.
+ */
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers },
+  });
+
+describe('parseRetryAfter', () => {
+  it('reads seconds', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter(1.5), 1500);
+    assert.equal(parseRetryAfter('0'), 0);
+  });
+
+  it('reads an HTTP date', () => {
+    const inAMinute = new Date(Date.now() + 60000).toUTCString();
+    const wait = parseRetryAfter(inAMinute);
+    // toUTCString() drops the milliseconds
+    assert.ok(wait > 58000 && wait <= 60000, `got ${wait}`);
+  });
+
+  it('never returns a negative wait', () => {
+    assert.equal(parseRetryAfter('-30'), 0);
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0);
+  });
+
+  it('returns null when the header is missing or unreadable', () => {
+    for (const value of [undefined, null, '', 'soon']) {
+      assert.equal(parseRetryAfter(value), null);
+    }
+  });
+});
+
+describe('classifyError', () => {
+  it('flags the error with its class and details', () => {
+    const error = new Error('Too many requests');
+    const flagged = classifyError(error, JOB_ERROR_CLASSES.RATE_LIMITED, {
+      retryAfterMs: 5000,
+      statusCode: 429,
+    });
+
+    assert.equal(flagged, error);
+    assert.equal(error.errorClass, JOB_ERROR_CLASSES.RATE_LIMITED);
+    assert.equal(error.retryable, true);
+    assert.equal(error.retryAfterMs, 5000);
+    assert.equal(error.statusCode, 429);
+  });
+
+  it('marks permanent errors as not retryable', () => {
+    const error = classifyError(new Error('Invalid phone'), JOB_ERROR_CLASSES.PERMANENT);
+    assert.equal(error.retryable, false);
+    assert.equal(error.retryAfterMs, null);
+    assert.equal(error.statusCode, null);
+  });
+});
+
+describe('classifyHttpError', () => {
+  it('treats 429 as a rate limit, with its Retry-After', () => {
+    const error = classifyHttpError(httpError(429, { 'retry-after': '30' }));
+    assert.equal(error.errorClass, JOB_ERROR_CLASSES.RATE_LIMITED);
+    assert.equal(error.retryAfterMs, 30000);
+    assert.equal(error.statusCode, 429);
+  });
+
+  it('retries timeouts, server errors and network errors', () => {
+    for (const status of [408, 500, 502, 503]) {
+      assert.equal(classifyHttpError(httpError(status)).errorClass, JOB_ERROR_CLASSES.RETRYABLE);
+    }
+    const network = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    assert.equal(classifyHttpError(network).errorClass, JOB_ERROR_CLASSES.RETRYABLE);
+    assert.equal(network.statusCode, null);
+  });
+
+  it('treats other client errors as permanent', () => {
+    for (const status of [400, 401, 403, 404, 422]) {
+      assert.equal(classifyHttpError(httpError(status)).errorClass, JOB_ERROR_CLASSES.PERMANENT);
+    }
+  });
+
+  it('flags the wrapped error instead of the original', () => {
+    const original = httpError(503);
+    const wrapped = new Error('Bitrix is unavailable');
+
+    assert.equal(classifyHttpError(original, wrapped), wrapped);
+    assert.equal(wrapped.statusCode, 503);
+    assert.equal(original.errorClass, undefined);
+  });
+});
+
+describe('getErrorClass', () => {
+  it('keeps the class a handler set', () => {
+    const error = classifyError(httpError(500), JOB_ERROR_CLASSES.PERMANENT);
+    assert.equal(getErrorClass(error), JOB_ERROR_CLASSES.PERMANENT);
+  });
+
+  it('treats retryable = false as permanent', () => {
+    const error = Object.assign(new Error('Source deleted'), { retryable: false });
+    assert.equal(getErrorClass(error), JOB_ERROR_CLASSES.PERMANENT);
+  });
+
+  it('classifies HTTP errors nobody classified', () => {
+    assert.equal(getErrorClass(httpError(429)), JOB_ERROR_CLASSES.RATE_LIMITED);
+    assert.equal(getErrorClass(httpError(404)), JOB_ERROR_CLASSES.PERMANENT);
+  });
+
+  it('retries anything else', () => {
+    assert.equal(getErrorClass(new Error('Unexpected')), JOB_ERROR_CLASSES.RETRYABLE);
+    assert.equal(getErrorClass(Object.assign(new Error('x'), { errorClass: 'bogus' })), JOB_ERROR_CLASSES.RETRYABLE);
+    assert.equal(getErrorClass(undefined), JOB_ERROR_CLASSES.RETRYABLE);
+  });
+});
@@ -0,0 +1,375 @@
+import { parse } from 'csv-parse/sync';
+import readXlsxFile from 'read-excel-file/node';
+import LeadImport from '../models/LeadImport.js';
+import LeadImportRow from '../models/LeadImportRow.js';
+import Source from '../models/Source.js';
+import logger from '../config/logger.js';
+import { ingestLead } from './leadIngestion.js';
+import { MAPPABLE_LEAD_FIELDS } from './fieldMapping.js';
+import { canonicalizeKey, extractCustomFields } from './customFields.js';
+import { normalizePhone, getSourceCountry } from './phone.js';
+
+// Keep an import (stored in one transaction) a manageable size
+export const MAX_IMPORT_ROWS = 10000;
+
+/**
+ * The Lead fields a file column can be mapped to.
+ * 'timestamp' fills the lead's submission time.
+ */
+export const IMPORT_FIELDS = [...MAPPABLE_LEAD_FIELDS, 'timestamp'];
+
+// Column names (canonicalized) we recognize without a mapping
+const SUGGESTED_COLUMNS = {
+  name: ['name', 'full_name', 'client_name', 'customer_name', 'contact_name'],
+  email: ['email', 'e_mail', 'email_address'],
+  phone: ['phone', 'phone_number', 'mobile', 'mobile_number', 'whatsapp', 'contact_number', 'telephone'],
+  userType: ['user_type', 'investor_type'],
+  propertyType: ['property_type'],
+  budget: ['budget'],
+  bedrooms: ['bedrooms', 'bedroom', 'beds'],
+  formName: ['form_name', 'form'],
+  formId: ['form_id'],
+  campaignName: ['campaign', 'campaign_name'],
+  campaignId: ['campaign_id'],
+  adSetName: ['adset', 'adset_name', 'ad_set', 'ad_set_name', 'ad_group', 'ad_group_name'],
+  adSetId: ['adset_id', 'ad_set_id', 'ad_group_id'],
+  adName: ['ad', 'ad_name'],
+  adId: ['ad_id'],
+  'utm.source': ['utm_source'],
+  'utm.medium': ['utm_medium'],
+  'utm.campaign': ['utm_campaign'],
+  'utm.term': ['utm_term'],
+  'utm.content': ['utm_content'],
+  'attribution.gclid': ['gclid'],
+  'attribution.fbclid': ['fbclid'],
+  'attribution.ttclid': ['ttclid'],
+  'attribution.scCid': ['sccid'],
+  'attribution.pageUrl': ['page_url', 'landing_page'],
+  'attribution.referrer': ['referrer', 'referer'],
+  'attribution.ip': ['ip', 'ip_address'],
+  'attribution.userAgent': ['user_agent'],
+  timestamp: ['date', 'created_at', 'created_time', 'timestamp', 'submitted_at'],
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Builds an Error for a file we can't read. Controllers reply 400.
+ */
+const invalidFile = (message) => {
+  const error = new Error(message);
+  error.invalidFile = true;
+  return error;
+};
+
+/**
+ * Turns a cell into trimmed text ('' for empty cells).
+ */
+const cellToText = (cell) => {
+  if (cell === undefined || cell === null) return '';
+  if (cell instanceof Date) return cell.toISOString();
+  return String(cell).trim();
+};
+
+/**
+ * Names every column, so blank or repeated headers stay addressable.
+ * e.g. ['Name', '', 'Name'] -> ['Name', 'Column 2', 'Name (2)']
+ */
+const uniqueHeaders = (headerRow) => {
+  const seen = {};
+  return headerRow.map((cell, index) => {
+    const header = cellToText(cell) || `Column ${index + 1}`;
+    seen[header] = (seen[header] || 0) + 1;
+    return seen[header] > 1 ? `${header} (${seen[header]})` : header;
+  });
+};
+
+/**
+ * Parses an uploaded CSV or XLSX file (first sheet) into rows.
+ *
+ * @param {object} file - The multer file ({ originalname, buffer }).
+ * @returns {Promise<{ headers: string[], rows: Array<object> }>} - Each
+ *   row is { row, cells }: its line in the spreadsheet and its values in
+ *   header order (kept as a list, since headers like 'Mobile No.' can't
+ *   be Mongo keys). Fully empty rows are dropped.
+ * @throws {Error} - With 'invalidFile' set if the file can't be read.
+ */
+export const parseImportFile = async (file) => {
+  if (!file?.buffer?.length) throw invalidFile('No file uploaded.');
+
+  const extension = (file.originalname || '').split('.').pop().toLowerCase();
+  let table;
+  try {
+    if (extension === 'xlsx') {
+      table = await readXlsxFile(file.buffer);
+    } else if (extension === 'csv') {
+      table = parse(file.buffer, {
+        bom: true,
+        // Empty rows are dropped below, keeping row numbers intact
+        skip_empty_lines: false,
+        relax_column_count: true,
+      });
+    } else {
+      throw invalidFile('Only .csv and .xlsx files can be imported.');
+    }
+  } catch (error) {
+    if (error.invalidFile) throw error;
+    throw invalidFile(`Could not read the file: ${error.message}`);
+  }
+
+  if (!table.length) throw invalidFile('The file is empty.');
+
+  const headers = uniqueHeaders(table[0]);
+  const rows = [];
+  table.slice(1).forEach((line, index) => {
+    const cells = headers.map((_, column) => cellToText(line[column]));
+    // Row 1 is the header
+    if (cells.some(Boolean)) rows.push({ row: index + 2, cells });
+  });
+
+  if (!rows.length) throw invalidFile('The file has no data rows.');
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw invalidFile(`Files can have at most ${MAX_IMPORT_ROWS} rows.`);
+  }
+  return { headers, rows };
+};
+
+/**
+ * Guesses a column mapping from the file's headers.
+ * @param {string[]} headers - The column headers.
+ * @returns {object} - Lead field -> column header.
+ */
+export const suggestMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+  for (const [field, names] of Object.entries(SUGGESTED_COLUMNS)) {
+    const header = headers.find(
+      (h) => !used.has(h) && names.includes(canonicalizeKey(h))
+    );
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  }
+  return mapping;
+};
+
+/**
+ * Checks a column mapping against the file's headers.
+ * @param {object} mapping - Lead field -> column header.
+ * @param {string[]} headers - The column headers.
+ * @returns {string|null} - What's wrong, or null if it's usable.
+ */
+export const validateMapping = (mapping, headers) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'Mapping must be an object of { leadField: columnHeader }.';
+  }
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) return `Unknown lead field '${field}'.`;
+    if (!headers.includes(column)) return `Column '${column}' is not in the file.`;
+  }
+  if (!mapping.phone && !mapping.email) {
+    return 'Map a phone or an email column.';
+  }
+  return null;
+};
+
+/**
+ * Builds an Error for a row that fails validation.
+ */
+const rejectRow = (message) => {
+  const error = new Error(message);
+  error.rowRejected = true;
+  return error;
+};
+
+/**
+ * The platform lead ID of an imported row. A retried import finds the
+ * leads it created before as replays instead of creating them again.
+ */
+const importRowLeadId = (leadImport, rowNumber) => `import:${leadImport._id}:${rowNumber}`;
+
+/**
+ * Validates one row and creates its lead.
+ * @returns {Promise<'imported'|'duplicate'|'skipped'>}
+ * @throws {Error} - With 'rowRejected' set if the row is invalid.
+ */
+const importRow = async (leadImport, source, cells, rowNumber) => {
+  const values = Object.fromEntries(
+    leadImport.headers.map((header, index) => [header, cells[index]])
+  );
+  const mapping = Object.fromEntries(
+    leadImport.mapping.map(({ field, column }) => [field, column])
+  );
+
+  // 1. Read the mapped columns
+  const normalized = { utm: {}, attribution: {} };
+  for (const [field, column] of Object.entries(mapping)) {
+    const value = values[column];
+    if (!value) continue;
+    const [head, tail] = field.split('.');
+    if (tail) normalized[head][tail] = value;
+    else normalized[field] = value;
+  }
+
+  // 2. Validate
+  if (!normalized.phone && !normalized.email) {
+    throw rejectRow('No phone or email.');
+  }
+  if (normalized.email && !EMAIL_PATTERN.test(normalized.email)) {
+    throw rejectRow(`Invalid email '${normalized.email}'.`);
+  }
+  if (
+    normalized.phone &&
+    !normalized.email &&
+    !normalizePhone(normalized.phone, getSourceCountry(source)).isValid
+  ) {
+    throw rejectRow(`Invalid phone number '${normalized.phone}'.`);
+  }
+  let timestamp = new Date();
+  if (normalized.timestamp) {
+    timestamp = new Date(normalized.timestamp);
+    if (isNaN(timestamp.getTime())) {
+      throw rejectRow(`Invalid date '${normalized.timestamp}'.`);
+    }
+  }
+
+  // Columns that aren't mapped are kept as custom fields
+  const mappedColumns = new Set(Object.values(mapping));
+  const entries = leadImport.headers
+    .filter((header) => !mappedColumns.has(header))
+    .map((header) => ({ keys: [header], value: values[header] }));
+  normalized.customFields = extractCustomFields(entries, normalized, source);
+  normalized.platformLeadId = importRowLeadId(leadImport, rowNumber);
+
+  // 3. Dedupe, save and (optionally) queue jobs in one transaction
+  const { outcome, lead } = await ingestLead(source, normalized, {
+    payload: { import: leadImport._id, row: rowNumber, cells },
+    timestamp,
+    queueJobs: leadImport.runJobs,
+    skipDuplicates: leadImport.skipDuplicates,
+    screenSpam: false,
+    extraFields: { leadImport: leadImport._id },
+  });
+
+  // Created by an earlier attempt that stopped before saving its progress
+  if (outcome === 'replay') return lead.duplicateOf ? 'duplicate' : 'imported';
+  return outcome === 'created' ? 'imported' : outcome;
+};
+
+/**
+ * Runs an import: creates a lead for every valid row and records
+ * rejected rows for the error report. Called by the worker for
+ * IMPORT_LEADS jobs.
+ *
+ * Progress is saved after every row, so a retried job picks up at
+ * the first row that wasn't finished. (If it stopped between creating
+ * a row's lead and saving its progress, the lead is found again by
+ * its platform lead ID rather than created twice.)
+ *
+ * @param {string} importId - The LeadImport ID.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the import before the
+ *   next row (e.g. when the worker loses the job's lease).
+ */
+export const runLeadImport = async (importId, { signal } = {}) => {
+  const leadImport = await LeadImport.findById(importId);
+  if (!leadImport) {
+    const error = new Error(`Lead import ${importId} not found.`);
+    error.retryable = false;
+    throw error;
+  }
+  if (leadImport.status === 'COMPLETED') return;
+
+  const source = await Source.findById(leadImport.source);
+  if (!source) {
+    const message = `Source ${leadImport.source} of import ${importId} no longer exists.`;
+    await LeadImport.updateOne(
+      { _id: leadImport._id },
+      { $set: { status: 'FAILED', lastError: message } }
+    );
+    const error = new Error(message);
+    error.retryable = false;
+    throw error;
+  }
+
+  await LeadImport.updateOne(
+    { _id: leadImport._id },
+    {
+      $set: {
+        status: 'PROCESSING',
+        startedAt: leadImport.startedAt || new Date(),
+        lastError: null,
+      },
+    }
+  );
+
+  const rows = LeadImportRow.find({ leadImport: leadImport._id })
+    .sort({ row: 1 })
+    .skip(leadImport.processedRows)
+    .lean()
+    .cursor({ batchSize: 200 });
+
+  try {
+    for await (const { _id: rowId, row: rowNumber, cells } of rows) {
+      signal?.throwIfAborted();
+      const update = { $inc: { processedRows: 1 } };
+
+      try {
+        const outcome = await importRow(leadImport, source, cells, rowNumber);
+        update.$inc[`${outcome}Count`] = 1;
+      } catch (error) {
+        if (!error.rowRejected) throw error;
+        update.$inc.rejectedCount = 1;
+        await LeadImportRow.updateOne({ _id: rowId }, { $set: { error: error.message } });
+      }
+
+      await LeadImport.updateOne({ _id: leadImport._id }, update);
+    }
+  } catch (error) {
+    await LeadImport.updateOne(
+      { _id: leadImport._id },
+      { $set: { status: 'FAILED', lastError: error.message } }
+    );
+    throw error;
+  }
+
+  const finished = await LeadImport.findByIdAndUpdate(
+    leadImport._id,
+    { $set: { status: 'COMPLETED', finishedAt: new Date() } },
+    { new: true }
+  );
+  logger.info(
+    `Lead import ${importId} completed: ${finished.importedCount} imported, ` +
+      `${finished.duplicateCount} duplicates, ${finished.skippedCount} skipped, ` +
+      `${finished.rejectedCount} rejected.`
+  );
+};
+
+/**
+ * Escapes one CSV cell. Text that a spreadsheet would read as a
+ * formula (starting with =, +, - or @) gets a leading quote, so an
+ * uploaded cell can't run a formula when the report is opened.
+ */
+const toCsvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds the error report of an import: every rejected row with its
+ * row number, the reason and its original columns.
+ * @param {object} leadImport - The LeadImport document.
+ * @param {object[]} rejectedRows - Its rejected LeadImportRows, in row order.
+ * @returns {string} - CSV text.
+ */
+export const buildImportErrorReport = (leadImport, rejectedRows) => {
+  const header = ['Row', 'Error', ...leadImport.headers];
+  const lines = [header.map(toCsvCell).join(',')];
+  for (const rejected of rejectedRows) {
+    const cells = [rejected.row, rejected.error, ...(rejected.cells || [])];
+    lines.push(cells.map(toCsvCell).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
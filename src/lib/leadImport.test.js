@@ -0,0 +1,215 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import LeadImport from '../models/LeadImport.js';
+import LeadImportRow from '../models/LeadImportRow.js';
+import Source from '../models/Source.js';
+import Lead from '../models/Lead.js';
+import {
+  parseImportFile,
+  suggestMapping,
+  validateMapping,
+  buildImportErrorReport,
+  runLeadImport,
+  MAX_IMPORT_ROWS,
+} from './leadImport.js';
+
+const csvFile = (text, originalname = 'leads.csv') => ({
+  originalname,
+  buffer: Buffer.from(text),
+});
+
+describe('parseImportFile', () => {
+  it('reads a CSV file into headers and numbered rows', async () => {
+    const { headers, rows } = await parseImportFile(
+      csvFile('\uFEFFName,Mobile No.\r\nJane, 0501234567 \r\n,\r\n"Doe, John",\r\n')
+    );
+    assert.deepEqual(headers, ['Name', 'Mobile No.']);
+    // The empty line 3 is dropped, but line numbers are kept
+    assert.deepEqual(rows, [
+      { row: 2, cells: ['Jane', '0501234567'] },
+      { row: 4, cells: ['Doe, John', ''] },
+    ]);
+  });
+
+  it('names blank and repeated headers', async () => {
+    const { headers, rows } = await parseImportFile(csvFile('Name,,Name\na,b,c,extra\n'));
+    assert.deepEqual(headers, ['Name', 'Column 2', 'Name (2)']);
+    assert.deepEqual(rows[0].cells, ['a', 'b', 'c']);
+  });
+
+  it('rejects files it cannot import', async () => {
+    const cases = [
+      [undefined, /No file uploaded/],
+      [csvFile(''), /No file uploaded/],
+      [csvFile('a,b\n1,2\n', 'leads.txt'), /Only .csv and .xlsx/],
+      [csvFile('Name,Phone\n'), /no data rows/],
+      [csvFile('Name,Phone\n"unclosed,1\n'), /Could not read the file/],
+      [csvFile(`Phone\n${'1\n'.repeat(MAX_IMPORT_ROWS + 1)}`), /at most/],
+    ];
+    for (const [file, message] of cases) {
+      await assert.rejects(parseImportFile(file), { invalidFile: true, message });
+    }
+  });
+});
+
+describe('suggestMapping', () => {
+  it('recognizes common column names', () => {
+    assert.deepEqual(
+      suggestMapping(['Full Name', 'E-mail', 'Mobile Number', 'UTM Source', 'Notes', 'Date']),
+      {
+        name: 'Full Name',
+        email: 'E-mail',
+        phone: 'Mobile Number',
+        'utm.source': 'UTM Source',
+        timestamp: 'Date',
+      }
+    );
+  });
+
+  it('maps each column to one field only', () => {
+    assert.deepEqual(suggestMapping(['Form']), { formName: 'Form' });
+  });
+});
+
+describe('validateMapping', () => {
+  const headers = ['Name', 'Phone', 'Email'];
+
+  it('accepts a mapping with a phone or email column', () => {
+    assert.equal(validateMapping({ name: 'Name', phone: 'Phone' }, headers), null);
+    assert.equal(validateMapping({ email: 'Email' }, headers), null);
+  });
+
+  it('explains what is wrong with a mapping', () => {
+    assert.match(validateMapping(null, headers), /must be an object/);
+    assert.match(validateMapping(['Phone'], headers), /must be an object/);
+    assert.match(validateMapping({ fax: 'Phone' }, headers), /Unknown lead field 'fax'/);
+    assert.match(validateMapping({ phone: 'Mobile' }, headers), /'Mobile' is not in the file/);
+    assert.match(validateMapping({ name: 'Name' }, headers), /phone or an email/);
+  });
+});
+
+describe('buildImportErrorReport', () => {
+  it('lists rejected rows with their reason and original cells', () => {
+    const report = buildImportErrorReport({ headers: ['Name', 'Email'] }, [
+      { row: 3, error: "Invalid email 'jane@'.", cells: ['Jane "JD" Doe', 'jane@'] },
+      { row: 7, error: 'No phone or email.', cells: ['Line\nbreak'] },
+    ]);
+    assert.equal(
+      report,
+      'Row,Error,Name,Email\r\n' +
+        '3,Invalid email \'jane@\'.,"Jane ""JD"" Doe",jane@\r\n' +
+        '7,No phone or email.,"Line\nbreak"\r\n'
+    );
+  });
+
+  it('keeps uploaded cells from running as formulas', () => {
+    const report = buildImportErrorReport({ headers: ['=Name', 'Phone'] }, [
+      { row: 2, error: 'No phone or email.', cells: ['=HYPERLINK("http://x.example")', '+971501234567'] },
+      { row: 3, error: 'No phone or email.', cells: ['@SUM(A1)', '-5', '\t=1+1'] },
+    ]);
+    assert.equal(
+      report,
+      "Row,Error,'=Name,Phone\r\n" +
+        '2,No phone or email.,"\'=HYPERLINK(""http://x.example"")",\'+971501234567\r\n' +
+        "3,No phone or email.,'@SUM(A1),'-5,'\t=1+1\r\n"
+    );
+  });
+});
+
+describe('runLeadImport', () => {
+  afterEach(() => mock.restoreAll());
+
+  const leadImport = {
+    _id: 'import-1',
+    source: 'source-1',
+    status: 'QUEUED',
+    headers: ['Name', 'Phone', 'Email'],
+    mapping: [
+      { field: 'name', column: 'Name' },
+      { field: 'phone', column: 'Phone' },
+      { field: 'email', column: 'Email' },
+    ],
+    processedRows: 1,
+  };
+
+  /**
+   * Stubs the import, its source and its rows, and returns the mocks
+   * of the progress updates.
+   */
+  const stubImport = (rows) => {
+    mock.method(LeadImport, 'findById', async () => leadImport);
+    mock.method(Source, 'findById', async () => ({ _id: 'source-1', name: 'Import Test' }));
+    const progress = mock.method(LeadImport, 'updateOne', async () => ({}));
+    mock.method(LeadImport, 'findByIdAndUpdate', async () => ({}));
+    const rowUpdates = mock.method(LeadImportRow, 'updateOne', async () => ({}));
+
+    const query = {
+      sort: () => query,
+      skip: mock.fn(() => query),
+      lean: () => query,
+      cursor: async function* () {
+        yield* rows;
+      },
+    };
+    mock.method(LeadImportRow, 'find', () => query);
+    return { progress, rowUpdates, skip: query.skip };
+  };
+
+  it('resumes after the rows it already processed', async () => {
+    const { skip } = stubImport([]);
+    await runLeadImport('import-1');
+    assert.equal(skip.mock.calls[0].arguments[0], 1);
+  });
+
+  it('records rejected rows on the row itself', async () => {
+    const { progress, rowUpdates } = stubImport([
+      { _id: 'row-2', row: 2, cells: ['Jane', '', ''] },
+      { _id: 'row-3', row: 3, cells: ['John', '', 'john@'] },
+      { _id: 'row-4', row: 4, cells: ['Ann', '123', ''] },
+    ]);
+
+    await runLeadImport('import-1');
+
+    assert.deepEqual(
+      rowUpdates.mock.calls.map(({ arguments: [filter, update] }) => [filter._id, update.$set.error]),
+      [
+        ['row-2', 'No phone or email.'],
+        ['row-3', "Invalid email 'john@'."],
+        ['row-4', "Invalid phone number '123'."],
+      ]
+    );
+    const counters = progress.mock.calls.slice(1).map((call) => call.arguments[1].$inc);
+    assert.deepEqual(counters, Array(3).fill({ processedRows: 1, rejectedCount: 1 }));
+  });
+
+  it('finds leads created by an earlier attempt instead of creating them again', async () => {
+    const findOneAndUpdate = mock.method(Lead, 'findOneAndUpdate', async () => ({
+      _id: 'lead-1',
+      leadId: 1,
+      duplicateOf: null,
+    }));
+    const { progress } = stubImport([{ _id: 'row-2', row: 2, cells: ['Jane', '', 'jane@example.com'] }]);
+
+    await runLeadImport('import-1');
+
+    assert.equal(findOneAndUpdate.mock.calls[0].arguments[0].platformLeadId, 'import:import-1:2');
+    assert.deepEqual(progress.mock.calls[1].arguments[1].$inc, {
+      processedRows: 1,
+      importedCount: 1,
+    });
+  });
+
+  it('stops before the next row once aborted', async () => {
+    const { progress } = stubImport([{ _id: 'row-2', row: 2, cells: ['Jane', '', ''] }]);
+    const controller = new AbortController();
+    controller.abort(new Error('Lease lost'));
+
+    await assert.rejects(runLeadImport('import-1', { signal: controller.signal }), /Lease lost/);
+    assert.equal(progress.mock.calls.at(-1).arguments[1].$set.status, 'FAILED');
+  });
+
+  it('fails for good when the import is gone', async () => {
+    mock.method(LeadImport, 'findById', async () => null);
+    await assert.rejects(runLeadImport('import-1'), { retryable: false });
+  });
+});
@@ -0,0 +1,239 @@
+import Lead from '../models/Lead.js';
+import Source from '../models/Source.js';
+import RejectedLead from '../models/RejectedLead.js';
+import logger from '../config/logger.js';
+import { LEAD_STATUSES } from '../utils/constants.js';
+import { checkForDuplicate, queueLeadJobs, setJobStatusFields } from './duplicateCheck.js';
+import { screenLead } from './spamCheck.js';
+import { buildPhoneFields } from './phone.js';
+import { runInTransaction } from './transaction.js';
+
+// The normalized fields copied onto the Lead as they are
+const LEAD_FIELDS = [
+  'name',
+  'email',
+  'formName',
+  'campaignName',
+  'campaignId',
+  'adSetId',
+  'adSetName',
+  'adId',
+  'adName',
+  'formId',
+  'utm',
+  'attribution',
+  'userType',
+  'propertyType',
+  'budget',
+  'bedrooms',
+  'customFields',
+  'platformLeadId',
+];
+
+/**
+ * Duplicate-key errors from the per-source platformLeadId index.
+ */
+const isPlatformLeadConflict = (error) =>
+  error?.code === 11000 && Boolean(error.keyPattern?.platformLeadId);
+
+/**
+ * Checks whether a platform lead ID was already stored for this source.
+ * If so, the delivery is a replay (the platform retried it): the lead
+ * is left as it is and only the replay is recorded on it.
+ *
+ * @param {object} source - The Source document.
+ * @param {string} platformLeadId - The platform's ID for the lead.
+ * @returns {Promise<{ outcome: 'replay', lead: object }|null>} - null if the ID is new.
+ */
+export const findReplayedLead = async (source, platformLeadId) => {
+  if (!platformLeadId) return null;
+
+  const lead = await Lead.findOneAndUpdate(
+    { sourceId: source._id, platformLeadId: String(platformLeadId) },
+    { $inc: { replayCount: 1 }, $set: { lastReplayAt: new Date() } },
+    { new: true }
+  );
+  if (!lead) return null;
+
+  logger.info(
+    `Lead ${lead._id} (ID: ${lead.leadId}) was delivered again by ${lead.source} ` +
+      `(${source.name}, lead ${platformLeadId}). Replay ignored.`
+  );
+  return { outcome: 'replay', lead };
+};
+
+/**
+ * The one way a lead enters the system. Platform controllers, the
+ * admin form and bulk imports only normalize their input and then
+ * hand it here.
+ *
+ * Runs validation, spam screening and duplicate detection, then saves the lead,
+ * queues its jobs and bumps the Source's lead count in a single
+ * transaction, so a crash can't leave a lead without its jobs.
+ * A lead whose 'platformLeadId' is already stored is a replay and
+ * creates nothing. A lead without phone and email is stored as a
+ * RejectedLead for an admin to fix. A lead that screening flags is saved with status
+ * 'spam' and no jobs until an admin releases it.
+ *
+ * @param {object} source - The Source document the lead came from.
+ * @param {object} normalized - The normalized lead (name, email, phone,
+ *   formName, utm, customFields, platformLeadId, ...).
+ * @param {object} [options]
+ * @param {string} [options.platform] - Lead 'source' (defaults to the Source's platform).
+ * @param {object} [options.payload] - The original data, stored on the lead.
+ * @param {Date} [options.timestamp] - When the lead was submitted (defaults to now).
+ * @param {boolean} [options.queueJobs] - false to create the lead without
+ *   its jobs (Sheets, Bitrix, ...; default true).
+ * @param {boolean} [options.skipDuplicates] - true to not create duplicates at all.
+ * @param {boolean} [options.screenSpam] - false to skip spam screening
+ *   (for leads an admin entered or uploaded; default true).
+ * @param {object} [options.extraFields] - More Lead fields to set (e.g. leadImport).
+ * @returns {Promise<{ outcome: 'created'|'duplicate'|'spam'|'skipped'|'rejected'|'replay', lead: object|null, reason?: string, rejectedLead?: object }>}
+ */
+export const ingestLead = async (source, normalized, options = {}) => {
+  const {
+    platform = source.platform,
+    payload = {},
+    timestamp,
+    queueJobs = true,
+    skipDuplicates = false,
+    screenSpam = true,
+    extraFields = {},
+  } = options;
+
+  // 1. Idempotency: platforms retry deliveries we already stored
+  const replay = await findReplayedLead(source, normalized.platformLeadId);
+  if (replay) return replay;
+
+  // 2. Validate; rejects are kept for review, not dropped
+  if (!normalized.email && !normalized.phone) {
+    const reason = 'Lead rejected: no phone or email provided.';
+    logger.warn(reason, { source: source?.name });
+    const rejectedLead = await RejectedLead.create({
+      source: source._id,
+      platform,
+      reason,
+      normalized,
+      payload,
+      timestampUtc: timestamp || new Date(),
+    });
+    return { outcome: 'rejected', lead: null, reason, rejectedLead };
+  }
+
+  // 3. Spam screening: bots and junk are held back for review
+  const screening = screenSpam ? await screenLead(source, normalized) : null;
+
+  // 4. Dedupe hook: is this an earlier submission from the same person?
+  const dedupe = await checkForDuplicate(source, normalized);
+  const isDuplicate = Boolean(dedupe.leadFields.duplicateOf);
+  if (isDuplicate && skipDuplicates) {
+    return { outcome: 'skipped', lead: null };
+  }
+
+  const leadFields = { ...dedupe.leadFields };
+  let jobTypes = dedupe.jobTypes;
+  if (!queueJobs) {
+    // Nothing to fan out to; the lead is complete as it is
+    jobTypes = [];
+    setJobStatusFields(leadFields, dedupe.allJobTypes, 'SKIPPED');
+    if (!isDuplicate) leadFields.status = LEAD_STATUSES.NEW;
+  }
+  if (screening) {
+    leadFields.spam = { score: screening.score, reasons: screening.reasons };
+  }
+  if (screening?.isSpam) {
+    // Nothing is sent on until an admin releases it
+    jobTypes = [];
+    leadFields.status = LEAD_STATUSES.SPAM;
+    setJobStatusFields(leadFields, dedupe.allJobTypes, 'SKIPPED');
+  }
+
+  const fields = {};
+  for (const key of LEAD_FIELDS) {
+    if (normalized[key] !== undefined && normalized[key] !== null) {
+      fields[key] = normalized[key];
+    }
+  }
+
+  // 5. Insert the lead, its jobs and the counter update together
+  let lead;
+  try {
+    lead = await runInTransaction(async (session) => {
+      const newLead = new Lead({
+        ...fields,
+        ...buildPhoneFields(normalized.phone, source),
+        source: platform,
+        sourceId: source._id,
+        siteName: source.name,
+        ...extraFields,
+        ...leadFields,
+        payload,
+        timestampUtc: timestamp || new Date(),
+      });
+      await newLead.save({ session });
+
+      await queueLeadJobs(newLead._id, jobTypes, session);
+      await Source.updateOne(
+        { _id: source._id },
+        { $inc: { leadCount: 1 } },
+        { session }
+      );
+      return newLead;
+    });
+  } catch (error) {
+    // The same lead was stored by a concurrent delivery
+    if (!isPlatformLeadConflict(error)) throw error;
+    const replay = await findReplayedLead(source, normalized.platformLeadId);
+    if (!replay) throw error;
+    return replay;
+  }
+
+  logger.info(
+    `✅ Lead ${lead._id} (ID: ${lead.leadId}) created successfully from ${platform} (${source.name}).`
+  );
+  let outcome = isDuplicate ? 'duplicate' : 'created';
+  if (screening?.isSpam) outcome = 'spam';
+  return { outcome, lead };
+};
+
+/**
+ * Sends a lead that spam screening held back on as a real lead: it
+ * runs duplicate detection again and queues its jobs, in one
+ * transaction.
+ *
+ * @param {object} lead - The held Lead (status 'spam').
+ * @param {object} reviewer - The admin user releasing it.
+ * @returns {Promise<object|null>} - The updated Lead, or null if it
+ *   was no longer held (e.g. released twice at once).
+ */
+export const releaseSpamLead = async (lead, reviewer) => {
+  const source = await Source.findById(lead.sourceId);
+  if (!source) {
+    throw new Error(`Source ${lead.sourceId} of lead ${lead._id} no longer exists.`);
+  }
+
+  const dedupe = await checkForDuplicate(source, {
+    phone: lead.phoneRaw || lead.phone,
+    email: lead.email,
+  });
+
+  return runInTransaction(async (session) => {
+    const released = await Lead.findOneAndUpdate(
+      { _id: lead._id, status: LEAD_STATUSES.SPAM },
+      {
+        $set: {
+          ...dedupe.leadFields,
+          'spam.review': 'RELEASED',
+          'spam.reviewedBy': reviewer?._id || null,
+          'spam.reviewedAt': new Date(),
+        },
+      },
+      { new: true, session }
+    );
+    if (!released) return null;
+
+    await queueLeadJobs(released._id, dedupe.jobTypes, session);
+    logger.info(`Lead ${released._id} released from spam by ${reviewer?.email || 'an admin'}.`);
+    return released;
+  });
+};
@@ -0,0 +1,157 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Lead from '../models/Lead.js';
+import Source from '../models/Source.js';
+import Job from '../models/Job.js';
+import RejectedLead from '../models/RejectedLead.js';
+import { JOB_TYPES, LEAD_STATUSES } from '../utils/constants.js';
+import { ingestLead } from './leadIngestion.js';
+
+const source = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Ingestion Test',
+  platform: 'elementor',
+  config: { spamThreshold: 0, defaultCountry: 'AE' },
+};
+
+const session = { id: 'session' };
+
+describe('ingestLead', () => {
+  let saved;
+  let original;
+  let insertMany;
+  let sourceUpdate;
+
+  beforeEach(() => {
+    saved = [];
+    original = null;
+    mock.method(Lead, 'findOneAndUpdate', async () => null);
+    // The duplicate check finds 'original', if set
+    mock.method(Lead, 'findOne', () => ({ sort: () => ({ lean: async () => original }) }));
+    mock.method(Lead.prototype, 'save', async function save(options) {
+      assert.equal(options.session, session);
+      saved.push(this);
+      return this;
+    });
+    mock.method(mongoose.connection, 'transaction', (fn) => fn(session));
+    insertMany = mock.method(Job, 'insertMany', async () => []);
+    sourceUpdate = mock.method(Source, 'updateOne', async () => ({}));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('saves the lead, its jobs and the lead count in one transaction', async () => {
+    const { outcome, lead } = await ingestLead(
+      source,
+      { name: 'Jane', phone: '050 123 4567', formName: 'Contact', ignored: 'x' },
+      { payload: { form: 'raw' } }
+    );
+
+    assert.equal(outcome, 'created');
+    assert.equal(lead, saved[0]);
+    assert.equal(lead.phone, '+971501234567');
+    assert.equal(lead.phoneNormalized, '971501234567');
+    assert.equal(lead.source, 'elementor');
+    assert.equal(lead.status, LEAD_STATUSES.QUEUED);
+    assert.equal(lead.get('ignored'), undefined);
+
+    const [jobs, options] = insertMany.mock.calls[0].arguments;
+    assert.deepEqual(
+      jobs.map((job) => job.type),
+      [JOB_TYPES.APPEND_TO_SHEETS, JOB_TYPES.PUSH_TO_BITRIX]
+    );
+    assert.equal(options.session, session);
+    assert.deepEqual(sourceUpdate.mock.calls[0].arguments[1], { $inc: { leadCount: 1 } });
+  });
+
+  it('keeps leads without phone or email for review', async () => {
+    const create = mock.method(RejectedLead, 'create', async (data) => data);
+
+    const { outcome, lead, rejectedLead } = await ingestLead(source, { name: 'Jane' });
+
+    assert.equal(outcome, 'rejected');
+    assert.equal(lead, null);
+    assert.equal(rejectedLead.reason, 'Lead rejected: no phone or email provided.');
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(saved.length, 0);
+  });
+
+  it('marks duplicates and skips their jobs', async () => {
+    original = { _id: new mongoose.Types.ObjectId() };
+
+    const { outcome, lead } = await ingestLead(source, { email: 'jane@example.com' });
+
+    assert.equal(outcome, 'duplicate');
+    assert.equal(String(lead.duplicateOf), String(original._id));
+    assert.equal(lead.status, LEAD_STATUSES.DUPLICATE);
+    assert.equal(lead.sheetStatus, 'SKIPPED');
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it('can leave duplicates out entirely', async () => {
+    original = { _id: new mongoose.Types.ObjectId() };
+
+    const result = await ingestLead(source, { email: 'jane@example.com' }, { skipDuplicates: true });
+
+    assert.deepEqual(result, { outcome: 'skipped', lead: null });
+    assert.equal(saved.length, 0);
+  });
+
+  it('can create a lead without its jobs', async () => {
+    const { lead } = await ingestLead(source, { email: 'jane@example.com' }, { queueJobs: false });
+
+    assert.equal(lead.status, LEAD_STATUSES.NEW);
+    assert.equal(lead.sheetStatus, 'SKIPPED');
+    assert.equal(lead.bitrixStatus, 'SKIPPED');
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it('records a replay instead of creating a lead twice', async () => {
+    const stored = { _id: 'lead-1', leadId: 7, source: 'elementor' };
+    const findOneAndUpdate = mock.method(Lead, 'findOneAndUpdate', async () => stored);
+
+    const result = await ingestLead(source, { email: 'jane@example.com', platformLeadId: 123 });
+
+    assert.deepEqual(result, { outcome: 'replay', lead: stored });
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { sourceId: source._id, platformLeadId: '123' });
+    assert.deepEqual(update.$inc, { replayCount: 1 });
+    assert.equal(saved.length, 0);
+  });
+
+  it('returns the stored lead when a concurrent delivery saved it first', async () => {
+    const stored = { _id: 'lead-1', leadId: 7 };
+    let lookups = 0;
+    mock.method(Lead, 'findOneAndUpdate', async () => (lookups++ === 0 ? null : stored));
+    Lead.prototype.save.mock.mockImplementation(async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), {
+        code: 11000,
+        keyPattern: { sourceId: 1, platformLeadId: 1 },
+      });
+    });
+
+    const result = await ingestLead(source, { email: 'jane@example.com', platformLeadId: 'x1' });
+    assert.deepEqual(result, { outcome: 'replay', lead: stored });
+  });
+
+  it('passes on other duplicate key errors', async () => {
+    Lead.prototype.save.mock.mockImplementation(async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), {
+        code: 11000,
+        keyPattern: { leadId: 1 },
+      });
+    });
+
+    await assert.rejects(
+      ingestLead(source, { email: 'jane@example.com', platformLeadId: 'x1' }),
+      /duplicate key/
+    );
+  });
+
+  it('never treats leads without a platform lead ID as replays', async () => {
+    const findOneAndUpdate = mock.method(Lead, 'findOneAndUpdate', async () => ({}));
+    const { outcome } = await ingestLead(source, { email: 'jane@example.com' });
+    assert.equal(outcome, 'created');
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,75 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+import { DEFAULT_PHONE_COUNTRY } from '../utils/constants.js';
+
+/**
+ * Tries to parse a phone number, returning the parsed number only if
+ * it has a valid length and prefix for its country.
+ */
+const parseValid = (value, country) => {
+  const parsed = parsePhoneNumberFromString(value, country);
+  return parsed && parsed.isValid() ? parsed : null;
+};
+
+/**
+ * Normalizes a phone number to E.164 (e.g. '+971501234567').
+ *
+ * Numbers without a '+' are first read as a national number of the
+ * default country ('050 123 4567' in AE). If that isn't valid, they are
+ * read as international numbers whose '+' was dropped ('971501234567'),
+ * which is how some ad platforms send them.
+ *
+ * @param {string|null} raw - The phone number as received.
+ * @param {string} [defaultCountry] - ISO 3166 alpha-2 code, e.g. 'AE'.
+ * @returns {{ e164: string|null, raw: string|null, country: string|null, isValid: boolean }}
+ */
+export const normalizePhone = (raw, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  const original = raw === undefined || raw === null ? null : String(raw).trim();
+  const result = { e164: null, raw: original || null, country: null, isValid: false };
+  if (!original) return result;
+
+  // Keep only digits and a leading '+'; '00' is the international prefix
+  let cleaned = original.replace(/[^\d+]/g, '').replace(/(?!^)\+/g, '');
+  if (cleaned.startsWith('00')) cleaned = `+${cleaned.slice(2)}`;
+  if (!cleaned.replace('+', '')) return result;
+
+  const parsed = cleaned.startsWith('+')
+    ? parseValid(cleaned)
+    : parseValid(cleaned, defaultCountry) || parseValid(`+${cleaned}`);
+
+  if (parsed) {
+    result.e164 = parsed.number;
+    result.country = parsed.country || null;
+    result.isValid = true;
+  }
+  return result;
+};
+
+/**
+ * Returns the default phone country configured for a source.
+ * @param {object} source - The Source document.
+ * @returns {string}
+ */
+export const getSourceCountry = (source) =>
+  source?.config?.defaultCountry || DEFAULT_PHONE_COUNTRY;
+
+/**
+ * Builds the phone fields of a new Lead from a raw phone number.
+ * Valid numbers are stored in E.164; invalid ones are kept as received
+ * and flagged with 'phoneValid: false'.
+ *
+ * @param {string|null} raw - The phone number as received.
+ * @param {object} source - The Source document (for its default country).
+ * @returns {object} - { phone, phoneRaw, phoneCountry, phoneValid }
+ */
+export const buildPhoneFields = (raw, source) => {
+  const { e164, raw: original, country, isValid } = normalizePhone(
+    raw,
+    getSourceCountry(source)
+  );
+  return {
+    phone: e164 || original,
+    phoneRaw: original,
+    phoneCountry: country,
+    phoneValid: original ? isValid : null,
+  };
+};
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PHONE_COUNTRY } from '../utils/constants.js';
+import { normalizePhone, getSourceCountry, buildPhoneFields } from './phone.js';
+
+describe('normalizePhone', () => {
+  it('reads national numbers in the default country', () => {
+    assert.deepEqual(normalizePhone('050 123 4567', 'AE'), {
+      e164: '+971501234567',
+      raw: '050 123 4567',
+      country: 'AE',
+      isValid: true,
+    });
+  });
+
+  it('accepts international numbers with +, 00 or a dropped +', () => {
+    for (const raw of ['+971 50-123 4567', '00971501234567', '971501234567']) {
+      assert.equal(normalizePhone(raw, 'AE').e164, '+971501234567', raw);
+    }
+  });
+
+  it('reads international numbers regardless of the default country', () => {
+    const result = normalizePhone('+44 20 7946 0958', 'AE');
+    assert.equal(result.e164, '+442079460958');
+    assert.equal(result.country, 'GB');
+  });
+
+  it('keeps invalid numbers as received', () => {
+    assert.deepEqual(normalizePhone(' 12345 ', 'AE'), {
+      e164: null,
+      raw: '12345',
+      country: null,
+      isValid: false,
+    });
+  });
+
+  it('handles empty values', () => {
+    for (const raw of [null, undefined, '', '  ', '+']) {
+      assert.equal(normalizePhone(raw, 'AE').isValid, false);
+    }
+    assert.equal(normalizePhone(null).raw, null);
+  });
+});
+
+describe('getSourceCountry', () => {
+  it('uses the source default country, if any', () => {
+    assert.equal(getSourceCountry({ config: { defaultCountry: 'SA' } }), 'SA');
+    assert.equal(getSourceCountry({ config: {} }), DEFAULT_PHONE_COUNTRY);
+    assert.equal(getSourceCountry(null), DEFAULT_PHONE_COUNTRY);
+  });
+});
+
+describe('buildPhoneFields', () => {
+  const source = { config: { defaultCountry: 'AE' } };
+
+  it('stores valid numbers in E.164', () => {
+    assert.deepEqual(buildPhoneFields('050 123 4567', source), {
+      phone: '+971501234567',
+      phoneRaw: '050 123 4567',
+      phoneCountry: 'AE',
+      phoneValid: true,
+    });
+  });
+
+  it('keeps invalid numbers and flags them', () => {
+    assert.deepEqual(buildPhoneFields('12345', source), {
+      phone: '12345',
+      phoneRaw: '12345',
+      phoneCountry: null,
+      phoneValid: false,
+    });
+  });
+
+  it('leaves phoneValid unset when there is no number', () => {
+    assert.equal(buildPhoneFields(null, source).phoneValid, null);
+  });
+});
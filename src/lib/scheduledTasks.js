@@ -0,0 +1,15 @@
+/**
+ * The recurring tasks, registered with the cluster-safe scheduler
+ * (lib/scheduler.js) so each runs on one process only.
+ */
+import { scheduleTask } from './scheduler.js';
+import { pollMailboxes } from './emailPoller.js';
+import { recoverStuckJobs } from './worker.js';
+
+// Every minute, queue new mail from Email sources' local mailboxes
+scheduleTask('poll-mailboxes', '0 * * * * *', pollMailboxes);
+
+// Every 30 seconds, requeue jobs whose worker died mid-job
+scheduleTask('recover-stuck-jobs', '*/30 * * * * *', async () => {
+  await recoverStuckJobs();
+});
@@ -0,0 +1,149 @@
+import cron from 'node-cron';
+import logger from '../config/logger.js';
+import { NODE_ID, acquireLock, releaseLock, keepLock } from './distributedLock.js';
+
+/**
+ * --- Cluster-safe Scheduler ---
+ * Recurring tasks (mailbox polling, cleanups, digests, ...) are
+ * registered once with scheduleTask() and run on exactly one process,
+ * however many web servers and workers are running.
+ *
+ * Every process runs the scheduler, and they elect a leader through a
+ * lock in MongoDB. Only the leader fires tasks; if it dies, its lock
+ * runs out and another process takes over. Each run also holds a lock
+ * of its own, so a run the old leader is still finishing is never
+ * started twice.
+ */
+
+const LEADER_LOCK = 'scheduler:leader';
+const LEADER_TTL_MS = 30 * 1000;
+// How often every process tries to become (or stay) the leader
+const ELECTION_INTERVAL_MS = 10 * 1000;
+// How long a run holds its lock without renewing it
+const TASK_LOCK_TTL_MS = 60 * 1000;
+
+const tasks = new Map();
+let isLeader = false;
+let electionTimer = null;
+let started = false;
+
+/**
+ * Registers a recurring task. Call before startScheduler().
+ *
+ * @param {string} name - Unique task name, e.g. 'poll-mailboxes'.
+ * @param {string} schedule - A cron expression (node-cron, with
+ *   optional seconds), e.g. '0 * * * * *' for every minute.
+ * @param {() => Promise<void>} handler - The work to run.
+ */
+export const scheduleTask = (name, schedule, handler) => {
+  if (tasks.has(name)) {
+    throw new Error(`Scheduled task '${name}' is already registered.`);
+  }
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid schedule '${schedule}' for task '${name}'.`);
+  }
+  tasks.set(name, { name, schedule, handler, cronTask: null, running: null });
+};
+
+/**
+ * @returns {boolean} - true if this process currently runs the tasks.
+ */
+export const isSchedulerLeader = () => isLeader;
+
+/**
+ * Takes or renews leadership; logs when it changes hands.
+ */
+const runElection = async () => {
+  let leader = false;
+  try {
+    leader = await acquireLock(LEADER_LOCK, LEADER_TTL_MS);
+  } catch (error) {
+    logger.error(`Scheduler: Leader election failed: ${error.message}`);
+  }
+
+  if (leader && !isLeader) {
+    logger.info(`Scheduler: ${NODE_ID} is now the leader and runs scheduled tasks.`);
+  } else if (!leader && isLeader) {
+    logger.warn(`Scheduler: ${NODE_ID} is no longer the leader.`);
+  }
+  isLeader = leader;
+};
+
+/**
+ * Runs one task, if this process is the leader and no run of it is
+ * still going anywhere.
+ */
+const runTask = async (task) => {
+  if (!isLeader || task.running) return;
+
+  // Marked running before the first await, so an overlapping tick of
+  // this process (which owns the task lock too) can't start it again
+  task.running = (async () => {
+    const lockName = `scheduler:task:${task.name}`;
+    try {
+      if (!(await acquireLock(lockName, TASK_LOCK_TTL_MS))) return;
+    } catch (error) {
+      logger.error(`Scheduler: Could not lock task '${task.name}': ${error.message}`);
+      return;
+    }
+
+    const stopRenewing = keepLock(lockName, TASK_LOCK_TTL_MS, (error) => {
+      logger.warn(
+        `Scheduler: Could not renew the lock of task '${task.name}'` +
+          (error ? `: ${error.message}` : '.')
+      );
+    });
+    try {
+      await task.handler();
+    } catch (error) {
+      logger.error(`Scheduler: Task '${task.name}' failed:`, error);
+    } finally {
+      stopRenewing();
+      await releaseLock(lockName).catch(() => {});
+    }
+  })();
+
+  try {
+    await task.running;
+  } finally {
+    task.running = null;
+  }
+};
+
+/**
+ * Joins the leader election and starts firing the registered tasks.
+ * Call once MongoDB is connected.
+ */
+export const startScheduler = async () => {
+  if (started) return;
+  started = true;
+
+  await runElection();
+  electionTimer = setInterval(runElection, ELECTION_INTERVAL_MS);
+
+  for (const task of tasks.values()) {
+    task.cronTask = cron.schedule(task.schedule, () => runTask(task));
+  }
+  logger.info(`Scheduler: Started with ${tasks.size} task(s): ${[...tasks.keys()].join(', ')}`);
+};
+
+/**
+ * Stops firing tasks, waits for the running ones and hands leadership
+ * over (so another process doesn't have to wait for the lock to expire).
+ */
+export const stopScheduler = async () => {
+  if (!started) return;
+  started = false;
+
+  clearInterval(electionTimer);
+  for (const task of tasks.values()) {
+    task.cronTask?.stop();
+    task.cronTask = null;
+  }
+  await Promise.all([...tasks.values()].map((task) => task.running));
+
+  if (isLeader) {
+    isLeader = false;
+    await releaseLock(LEADER_LOCK).catch(() => {});
+  }
+};
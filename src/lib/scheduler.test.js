@@ -0,0 +1,129 @@
+import { describe, it, mock, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import cron from 'node-cron';
+import Lock from '../models/Lock.js';
+import {
+  scheduleTask,
+  startScheduler,
+  stopScheduler,
+  isSchedulerLeader,
+} from './scheduler.js';
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('scheduleTask', () => {
+  it('refuses a task registered twice', () => {
+    scheduleTask('cleanup', '0 0 * * * *', async () => {});
+    assert.throws(
+      () => scheduleTask('cleanup', '0 0 * * * *', async () => {}),
+      /already registered/
+    );
+  });
+
+  it('refuses an invalid schedule', () => {
+    assert.throws(() => scheduleTask('digest', 'every hour', async () => {}), /Invalid schedule/);
+  });
+});
+
+describe('startScheduler', () => {
+  // What the handler of the 'report' task waits on, and how often it ran
+  let release;
+  let runs = 0;
+  // The cron callbacks, by schedule
+  let ticks;
+  let heldBySomeoneElse;
+
+  before(() => {
+    scheduleTask('report', '*/5 * * * * *', async () => {
+      runs++;
+      await new Promise((resolve) => (release = resolve));
+    });
+  });
+
+  const start = async () => {
+    ticks = new Map();
+    mock.method(cron, 'schedule', (schedule, callback) => {
+      ticks.set(schedule, callback);
+      return { stop: () => {} };
+    });
+    mock.method(Lock, 'findOneAndUpdate', async (filter) => {
+      if (heldBySomeoneElse.has(filter.name)) throw duplicateKeyError();
+      return { name: filter.name };
+    });
+    mock.method(Lock, 'deleteOne', async () => ({}));
+    runs = 0;
+    await startScheduler();
+  };
+
+  const tick = () => ticks.get('*/5 * * * * *')();
+
+  afterEach(async () => {
+    release?.();
+    await stopScheduler();
+    mock.restoreAll();
+  });
+
+  it('fires nothing while another process leads', async () => {
+    heldBySomeoneElse = new Set(['scheduler:leader']);
+    await start();
+
+    assert.equal(isSchedulerLeader(), false);
+    await tick();
+    assert.equal(runs, 0);
+  });
+
+  it('runs a task once however often its ticks overlap', async () => {
+    heldBySomeoneElse = new Set();
+    await start();
+    assert.equal(isSchedulerLeader(), true);
+
+    const first = tick();
+    const second = tick();
+    await second;
+    await new Promise(setImmediate);
+    assert.equal(runs, 1);
+
+    release();
+    await first;
+    const taskLocks = Lock.findOneAndUpdate.mock.calls.filter(
+      (call) => call.arguments[0].name === 'scheduler:task:report'
+    );
+    assert.equal(taskLocks.length, 1);
+    assert.equal(Lock.deleteOne.mock.calls[0].arguments[0].name, 'scheduler:task:report');
+
+    // The next tick runs it again
+    const third = tick();
+    await new Promise(setImmediate);
+    release();
+    await third;
+    assert.equal(runs, 2);
+  });
+
+  it('skips a run still held by the previous leader', async () => {
+    heldBySomeoneElse = new Set(['scheduler:task:report']);
+    await start();
+
+    await tick();
+    assert.equal(runs, 0);
+  });
+
+  it('waits for running tasks on stop and hands over leadership', async () => {
+    heldBySomeoneElse = new Set();
+    await start();
+    tick();
+    await new Promise(setImmediate);
+
+    let stopped = false;
+    const stopping = stopScheduler().then(() => (stopped = true));
+    await new Promise(setImmediate);
+    assert.equal(stopped, false);
+
+    release();
+    await stopping;
+    assert.equal(isSchedulerLeader(), false);
+    assert.deepEqual(
+      Lock.deleteOne.mock.calls.map((call) => call.arguments[0].name),
+      ['scheduler:task:report', 'scheduler:leader']
+    );
+  });
+});
@@ -0,0 +1,199 @@
+import Lead from '../models/Lead.js';
+import logger from '../config/logger.js';
+import { DEFAULT_SPAM_THRESHOLD } from '../utils/constants.js';
+import { canonicalizeKey } from './customFields.js';
+import { normalizePhone, getSourceCountry } from './phone.js';
+import { normalizePhoneForMatch } from './duplicateCheck.js';
+
+// Points per signal. Only a filled honeypot holds a lead on its own;
+// every other signal stays below DEFAULT_SPAM_THRESHOLD.
+const SPAM_WEIGHTS = {
+  honeypot: 100,
+  disposableEmail: 40,
+  fakePhone: 40,
+  invalidPhone: 20,
+  repeatedIp: 50,
+  repeatedPhone: 40,
+  gibberishName: 40,
+};
+
+// "Repeated" means this many earlier leads in the window
+const REPEAT_WINDOW_MINUTES = 10;
+const REPEAT_LIMIT = 3;
+
+// Field names bots fill in and people never see (canonicalized).
+// Sources can add their own in 'config.honeypotFields'.
+const HONEYPOT_FIELDS = ['honeypot', 'hp', '_gotcha', 'fax_number', 'website_url'];
+
+// Throwaway inbox providers
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  '10minutemail.com',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'moakt.com',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmailo.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+]);
+
+/**
+ * Finds a honeypot field that has a value.
+ * Elementor marks its honeypot fields with type 'honeypot'; other
+ * forms are matched by field name.
+ *
+ * @param {Array<object>} entries - Incoming fields as { keys, value, type? }.
+ * @param {object} source - The Source document (uses 'config.honeypotFields').
+ * @returns {string|null} - The name of the filled field, or null.
+ */
+export const findFilledHoneypot = (entries, source) => {
+  const names = new Set(
+    [...HONEYPOT_FIELDS, ...(source?.config?.honeypotFields || [])].map(canonicalizeKey)
+  );
+
+  for (const entry of entries) {
+    const value = entry.value === undefined || entry.value === null ? '' : String(entry.value);
+    if (!value.trim()) continue;
+
+    // Dotted keys (from a JSON body) match on their last part
+    const keys = entry.keys
+      .filter(Boolean)
+      .map((key) => canonicalizeKey(String(key).split('.').pop()));
+    if (entry.type === 'honeypot' || keys.some((key) => names.has(key))) {
+      return entry.keys.find(Boolean) || 'honeypot';
+    }
+  }
+  return null;
+};
+
+/**
+ * Numbers no real person has: one digit repeated, or a plain run
+ * like 123456789. Only asked of numbers that aren't valid, as real
+ * numbers can end in a run too (e.g. +971 50 123 4567).
+ */
+const isFakeNumber = (phone) => {
+  const digits = String(phone).replace(/\D/g, '');
+  const national = digits.slice(-7);
+  if (national.length < 7) return false;
+  if (/^(\d)\1+$/.test(national)) return true;
+  return '01234567890'.includes(national) || '98765432109'.includes(national);
+};
+
+/**
+ * Names made of random letters, e.g. 'xkqzvtr' or 'AbXkQwLmZ'.
+ * Only Latin names are judged; other scripts are left alone.
+ */
+const isGibberishName = (name) => {
+  if (!name) return false;
+  const text = String(name).trim();
+  if (/https?:\/\/|www\./i.test(text)) return true;
+  if (!/^[a-z\s.'-]+$/i.test(text)) return false;
+
+  return text.split(/\s+/).some((word) => {
+    if (word.length < 5) return false;
+    // No vowels at all, or five consonants in a row
+    if (!/[aeiouy]/i.test(word)) return true;
+    if (/[bcdfghjklmnpqrstvwxz]{5,}/i.test(word)) return true;
+    // Case flipping in the middle of a word ('AbXkQw')
+    const flips = word.slice(1).match(/[a-z][A-Z]/g) || [];
+    return flips.length >= 2;
+  });
+};
+
+/**
+ * Counts the leads with the same value created in the last few
+ * minutes, from any source.
+ */
+const countRecent = (filter) =>
+  Lead.countDocuments({
+    ...filter,
+    createdAt: { $gte: new Date(Date.now() - REPEAT_WINDOW_MINUTES * 60 * 1000) },
+  });
+
+/**
+ * Screening step for the intake path (see lib/leadIngestion.js).
+ * Scores a normalized lead on bot signals; at or above the Source's
+ * threshold it is held as spam instead of being sent to Sheets/Bitrix.
+ *
+ * @param {object} source - The Source document the lead came from.
+ * @param {object} normalized - The normalized lead ('honeypot' is set
+ *   by normalizers that found a filled honeypot field).
+ * @returns {Promise<{ isSpam: boolean, score: number, reasons: string[] }>}
+ */
+export const screenLead = async (source, normalized) => {
+  const threshold = source?.config?.spamThreshold ?? DEFAULT_SPAM_THRESHOLD;
+  if (!threshold) {
+    return { isSpam: false, score: 0, reasons: [] };
+  }
+
+  let score = 0;
+  const reasons = [];
+  const flag = (signal, reason) => {
+    score += SPAM_WEIGHTS[signal];
+    reasons.push(reason);
+  };
+
+  // 1. Honeypot
+  if (normalized.honeypot) {
+    flag('honeypot', `Honeypot field '${normalized.honeypot}' was filled in.`);
+  }
+
+  // 2. Disposable email
+  const domain = String(normalized.email || '').split('@')[1]?.trim().toLowerCase();
+  if (domain && DISPOSABLE_EMAIL_DOMAINS.has(domain)) {
+    flag('disposableEmail', `Disposable email domain '${domain}'.`);
+  }
+
+  // 3. Impossible phone
+  if (normalized.phone && !normalizePhone(normalized.phone, getSourceCountry(source)).isValid) {
+    if (isFakeNumber(normalized.phone)) {
+      flag('fakePhone', `Phone number '${normalized.phone}' looks made up.`);
+    } else {
+      flag('invalidPhone', `Phone number '${normalized.phone}' is not a valid number.`);
+    }
+  }
+
+  // 4. Repeated submissions
+  const ip = normalized.attribution?.ip;
+  if (ip) {
+    const count = await countRecent({ 'attribution.ip': ip });
+    if (count >= REPEAT_LIMIT) {
+      flag('repeatedIp', `${count} leads from IP ${ip} in ${REPEAT_WINDOW_MINUTES} minutes.`);
+    }
+  }
+  const phoneNormalized = normalizePhoneForMatch(normalized.phone, getSourceCountry(source));
+  if (phoneNormalized) {
+    const count = await countRecent({ phoneNormalized });
+    if (count >= REPEAT_LIMIT) {
+      flag(
+        'repeatedPhone',
+        `${count} leads from this phone number in ${REPEAT_WINDOW_MINUTES} minutes.`
+      );
+    }
+  }
+
+  // 5. Gibberish name
+  if (isGibberishName(normalized.name)) {
+    flag('gibberishName', `Name '${normalized.name}' looks like random text.`);
+  }
+
+  const isSpam = score >= threshold;
+  if (isSpam) {
+    logger.warn(`Lead from '${source.name}' held as spam (score ${score}).`, { reasons });
+  }
+  return { isSpam, score, reasons };
+};
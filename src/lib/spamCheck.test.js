@@ -0,0 +1,124 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Lead from '../models/Lead.js';
+import { findFilledHoneypot, screenLead } from './spamCheck.js';
+
+describe('findFilledHoneypot', () => {
+  it('finds a filled honeypot field by name', () => {
+    const entries = [
+      { keys: ['name'], value: 'Jane' },
+      { keys: ['form_fields._gotcha'], value: 'http://spam.example' },
+    ];
+    assert.equal(findFilledHoneypot(entries, null), 'form_fields._gotcha');
+  });
+
+  it("finds Elementor fields of type 'honeypot'", () => {
+    const entries = [{ keys: ['field_9a1', 'Leave empty'], value: 'x', type: 'honeypot' }];
+    assert.equal(findFilledHoneypot(entries, null), 'field_9a1');
+  });
+
+  it("uses the source's own honeypot fields", () => {
+    const entries = [{ keys: ['Company Fax'], value: '123' }];
+    assert.equal(findFilledHoneypot(entries, null), null);
+    assert.equal(
+      findFilledHoneypot(entries, { config: { honeypotFields: ['company fax'] } }),
+      'Company Fax'
+    );
+  });
+
+  it('ignores empty honeypot fields', () => {
+    const entries = [
+      { keys: ['honeypot'], value: '  ' },
+      { keys: ['hp'], value: null },
+    ];
+    assert.equal(findFilledHoneypot(entries, null), null);
+  });
+});
+
+describe('screenLead', () => {
+  afterEach(() => mock.restoreAll());
+
+  const source = { name: 'Spam Test', config: { spamThreshold: 60, defaultCountry: 'AE' } };
+
+  it('passes a plausible lead', async () => {
+    mock.method(Lead, 'countDocuments', async () => 0);
+    const result = await screenLead(source, {
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      phone: '+971504827316',
+    });
+    assert.deepEqual(result, { isSpam: false, score: 0, reasons: [] });
+  });
+
+  it('holds a lead that filled in a honeypot', async () => {
+    const result = await screenLead(source, { email: 'jane@example.com', honeypot: 'hp' });
+    assert.equal(result.isSpam, true);
+    assert.equal(result.score, 100);
+  });
+
+  it('treats invalid digit runs as made-up numbers', async () => {
+    mock.method(Lead, 'countDocuments', async () => 0);
+    for (const phone of ['1234567', '0000000', '+971 5 1234567']) {
+      const result = await screenLead(source, { phone });
+      assert.equal(result.score, 40, phone);
+      assert.match(result.reasons[0], /looks made up/);
+      // Not enough to hold the lead on its own
+      assert.equal(result.isSpam, false, phone);
+    }
+  });
+
+  it('accepts valid numbers that end in a run', async () => {
+    mock.method(Lead, 'countDocuments', async () => 0);
+    for (const phone of ['+971 50 123 4567', '0551234567', '0509876543']) {
+      const result = await screenLead(source, { phone });
+      assert.deepEqual(result, { isSpam: false, score: 0, reasons: [] }, phone);
+    }
+  });
+
+  it('adds up the signals of a bot', async () => {
+    mock.method(Lead, 'countDocuments', async () => 0);
+    const result = await screenLead(source, {
+      name: 'xkqzvtr',
+      email: 'bot@mailinator.com',
+      phone: '1234567',
+    });
+    assert.equal(result.isSpam, true);
+    assert.equal(result.score, 40 + 40 + 40);
+    assert.equal(result.reasons.length, 3);
+  });
+
+  it('holds no lead on a disposable email alone', async () => {
+    const result = await screenLead(source, { email: 'jane@mailinator.com' });
+    assert.equal(result.score, 40);
+    assert.equal(result.isSpam, false);
+  });
+
+  it('flags a number that keeps submitting', async () => {
+    mock.method(Lead, 'countDocuments', async (filter) => (filter.phoneNormalized ? 3 : 0));
+    const result = await screenLead(source, { phone: '050 482 7316' });
+    assert.equal(result.score, 40);
+    assert.equal(result.isSpam, false);
+  });
+
+  it('flags an IP that keeps submitting', async () => {
+    mock.method(Lead, 'countDocuments', async (filter) => (filter['attribution.ip'] ? 5 : 0));
+    const result = await screenLead(source, {
+      email: 'jane@example.com',
+      attribution: { ip: '203.0.113.7' },
+    });
+    assert.equal(result.score, 50);
+  });
+
+  it('leaves non-Latin names alone', async () => {
+    const result = await screenLead(source, { name: 'محمد أحمد', email: 'm@example.com' });
+    assert.equal(result.score, 0);
+  });
+
+  it('is off for sources with a threshold of 0', async () => {
+    const result = await screenLead(
+      { config: { spamThreshold: 0 } },
+      { email: 'bot@mailinator.com', honeypot: 'hp' }
+    );
+    assert.deepEqual(result, { isSpam: false, score: 0, reasons: [] });
+  });
+});
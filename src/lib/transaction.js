@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import logger from '../config/logger.js';
+
+// Set once we learn the database can't run transactions
+let transactionsUnsupported = false;
+
+/**
+ * Standalone MongoDB servers (e.g. a local dev database) can't run
+ * transactions; only replica sets and sharded clusters can.
+ */
+const isTransactionUnsupported = (error) =>
+  error?.code === 20 ||
+  /replica set|Transaction numbers are only allowed/i.test(error?.message || '');
+
+/**
+ * Runs 'work' inside a transaction, so its writes land together or
+ * not at all. Falls back to plain writes (with a warning) when the
+ * database doesn't support transactions.
+ *
+ * @param {(session: object|null) => Promise<*>} work - The writes to run.
+ * @returns {Promise<*>} - Whatever 'work' returns.
+ */
+export const runInTransaction = async (work) => {
+  if (transactionsUnsupported) return work(null);
+
+  let result;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+
+    transactionsUnsupported = true;
+    logger.warn(
+      'Transactions: MongoDB does not support transactions (not a replica set). ' +
+        'Writes that belong together will not be atomic.'
+    );
+    return work(null);
+  }
+};
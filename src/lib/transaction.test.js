@@ -0,0 +1,45 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { runInTransaction } from './transaction.js';
+
+// runInTransaction remembers when the database can't run
+// transactions, so these tests run in order.
+describe('runInTransaction', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('runs the work inside a transaction and returns its result', async () => {
+    const session = { id: 'session' };
+    const transaction = mock.method(mongoose.connection, 'transaction', (fn) => fn(session));
+    const work = mock.fn(async () => 'done');
+
+    assert.equal(await runInTransaction(work), 'done');
+    assert.equal(transaction.mock.callCount(), 1);
+    assert.equal(work.mock.calls[0].arguments[0], session);
+  });
+
+  it('passes on errors from the work', async () => {
+    mock.method(mongoose.connection, 'transaction', (fn) => fn({}));
+    await assert.rejects(
+      runInTransaction(async () => {
+        throw new Error('Duplicate key');
+      }),
+      /Duplicate key/
+    );
+  });
+
+  it('falls back to plain writes on a standalone server, and remembers it', async () => {
+    const transaction = mock.method(mongoose.connection, 'transaction', async () => {
+      throw Object.assign(
+        new Error('Transaction numbers are only allowed on a replica set member or mongos'),
+        { code: 20 }
+      );
+    });
+    const work = mock.fn(async (session) => session);
+
+    assert.equal(await runInTransaction(work), null);
+    assert.equal(await runInTransaction(work), null);
+    assert.equal(transaction.mock.callCount(), 1);
+    assert.equal(work.mock.callCount(), 2);
+  });
+});
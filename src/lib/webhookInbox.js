@@ -0,0 +1,214 @@
+import WebhookEvent from '../models/WebhookEvent.js';
+import Source from '../models/Source.js';
+import Job from '../models/Job.js';
+import logger from '../config/logger.js';
+import { LEAD_SOURCES, JOB_TYPES } from '../utils/constants.js';
+import { omitSensitive } from '../utils/redact.js';
+import { runInTransaction } from './transaction.js';
+import { processElementorLead } from '../controllers/webhook/elementorController.js';
+import { processMetaLead } from '../controllers/webhook/metaController.js';
+import { processTikTokLead } from '../controllers/webhook/tiktokController.js';
+import { processSnapchatLead } from '../controllers/webhook/snapchatController.js';
+import { processGoogleLead } from '../controllers/webhook/googleController.js';
+import { processWhatsAppMessages } from '../controllers/webhook/whatsappController.js';
+import { processEmailLead } from '../controllers/webhook/emailController.js';
+import { processGenericLead } from '../controllers/webhook/genericController.js';
+
+/**
+ * The normalizer that turns each platform's stored webhook body
+ * into leads. Each returns { processed, failed, replayed?, lastError }.
+ * Those that call out to an API take a { signal } to cancel it.
+ */
+const PROCESSORS = {
+  [LEAD_SOURCES.ELEMENTOR]: processElementorLead,
+  [LEAD_SOURCES.META]: processMetaLead,
+  [LEAD_SOURCES.TIKTOK]: processTikTokLead,
+  [LEAD_SOURCES.SNAPCHAT]: processSnapchatLead,
+  [LEAD_SOURCES.GOOGLE]: processGoogleLead,
+  [LEAD_SOURCES.WHATSAPP]: processWhatsAppMessages,
+  [LEAD_SOURCES.EMAIL]: processEmailLead,
+  [LEAD_SOURCES.GENERIC]: processGenericLead,
+};
+
+/**
+ * Queues a job that runs a stored webhook event.
+ */
+const queueEventJob = (event, session = null) =>
+  Job.create(
+    [
+      {
+        type: JOB_TYPES.PROCESS_WEBHOOK_EVENT,
+        source: event.source,
+        webhookEvent: event._id,
+        status: 'QUEUED',
+      },
+    ],
+    { session }
+  );
+
+/**
+ * Saves an inbound webhook request to the inbox and queues it for
+ * processing. Callers should only reply 200 once this resolves.
+ *
+ * @param {object} req - The Express request ('req.source' must be set).
+ * @param {string} platform - One of LEAD_SOURCES.
+ * @returns {Promise<object>} - The saved WebhookEvent.
+ */
+export const storeWebhookEvent = (req, platform) =>
+  recordInboundEvent(req.source, platform, {
+    headers: omitSensitive(req.headers),
+    query: omitSensitive(req.query),
+    body: req.body,
+  });
+
+/**
+ * Saves an inbound delivery that didn't come over HTTP (e.g. a mail
+ * picked up by the mailbox poller) and queues it, exactly like a
+ * webhook request. The event and its job are written in one
+ * transaction, so an event can't be stored without its job.
+ *
+ * @param {object} source - The Source document it belongs to.
+ * @param {string} platform - One of LEAD_SOURCES.
+ * @param {object} data - { body, headers?, query? }.
+ * @returns {Promise<object>} - The saved WebhookEvent.
+ */
+export const recordInboundEvent = (source, platform, { body, headers = {}, query = {} }) =>
+  runInTransaction(async (session) => {
+    const [event] = await WebhookEvent.create(
+      [
+        {
+          source: source._id,
+          platform,
+          headers,
+          query,
+          body,
+          receivedAt: new Date(),
+        },
+      ],
+      { session }
+    );
+
+    await queueEventJob(event, session);
+    return event;
+  });
+
+/**
+ * Runs a stored webhook event through its platform's normalizer.
+ * Called by the worker for PROCESS_WEBHOOK_EVENT jobs.
+ *
+ * Throws (so the job is retried) only when nothing in the event
+ * could be processed. A batch where some leads failed is marked
+ * PARTIAL instead, since retrying it would re-create the leads
+ * that did succeed (on platforms without lead IDs). Those can be
+ * replayed by an admin.
+ *
+ * An event whose leads were all stored before (a platform retry)
+ * is marked REPLAYED.
+ *
+ * @param {string} eventId - The WebhookEvent ID.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the job (see lib/worker.js).
+ */
+export const processWebhookEvent = async (eventId, { signal } = {}) => {
+  const event = await WebhookEvent.findByIdAndUpdate(
+    eventId,
+    { $set: { status: 'PROCESSING' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!event) {
+    const error = new Error(`Webhook event ${eventId} not found.`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const source = await Source.findById(event.source);
+  const processor = PROCESSORS[event.platform];
+  if (!source || !processor) {
+    const message = !source
+      ? `Source ${event.source} of webhook event ${eventId} no longer exists.`
+      : `No processor for platform '${event.platform}'.`;
+    await WebhookEvent.updateOne(
+      { _id: event._id },
+      { $set: { status: 'FAILED', lastError: message } }
+    );
+    const error = new Error(message);
+    error.retryable = false;
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await processor(source, event.body, { signal });
+  } catch (error) {
+    await WebhookEvent.updateOne(
+      { _id: event._id },
+      { $set: { status: 'FAILED', lastError: error.message } }
+    );
+    throw error;
+  }
+
+  const { processed, failed, replayed = 0, lastError } = result;
+  let status = 'PROCESSED';
+  if (failed > 0) status = processed > 0 ? 'PARTIAL' : 'FAILED';
+  else if (replayed > 0 && replayed === processed) status = 'REPLAYED';
+
+  await WebhookEvent.updateOne(
+    { _id: event._id },
+    {
+      $set: {
+        status,
+        result: { processed, failed, replayed },
+        lastError,
+        processedAt: new Date(),
+      },
+    }
+  );
+
+  if (status === 'FAILED') {
+    throw new Error(lastError || `Webhook event ${eventId} failed.`);
+  }
+};
+
+/**
+ * Re-queues stored webhook events so they run through the
+ * normalizer again (e.g. after fixing a Source's field mapping).
+ *
+ * Events that still have a queued or running job are left alone, so
+ * an event never runs twice at the same time. (An event stuck in
+ * PROCESSING whose job died is requeued by the reaper first, see
+ * recoverStuckJobs() in lib/worker.js.)
+ *
+ * @param {string[]} eventIds - The WebhookEvent IDs to replay.
+ * @returns {Promise<{ queued: number, busy: number }>} - How many
+ *   events were queued, and how many were skipped as still running.
+ */
+export const replayWebhookEvents = async (eventIds) => {
+  const events = await WebhookEvent.find({ _id: { $in: eventIds } });
+  const busyIds = await Job.distinct('webhookEvent', {
+    webhookEvent: { $in: events.map((event) => event._id) },
+    status: { $in: ['QUEUED', 'PROCESSING'] },
+  });
+  const busy = new Set(busyIds.map(String));
+
+  let queued = 0;
+  for (const event of events) {
+    if (busy.has(String(event._id))) continue;
+
+    await runInTransaction(async (session) => {
+      await WebhookEvent.updateOne(
+        { _id: event._id },
+        { $set: { status: 'RECEIVED', lastError: null }, $inc: { replayCount: 1 } },
+        { session }
+      );
+      await queueEventJob(event, session);
+    });
+    queued += 1;
+  }
+
+  logger.info(
+    `Replaying ${queued} webhook event(s)` +
+      (busy.size ? `; ${busy.size} still running were skipped.` : '.')
+  );
+  return { queued, busy: busy.size };
+};
@@ -0,0 +1,148 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import WebhookEvent from '../models/WebhookEvent.js';
+import Source from '../models/Source.js';
+import Lead from '../models/Lead.js';
+import ErrorLog from '../models/ErrorLog.js';
+import Job from '../models/Job.js';
+import { LEAD_SOURCES, JOB_TYPES } from '../utils/constants.js';
+import {
+  recordInboundEvent,
+  processWebhookEvent,
+  replayWebhookEvents,
+} from './webhookInbox.js';
+
+const source = { _id: 'source-1', name: 'Inbox Test', config: {} };
+
+const leadgen = (leadgenId) => ({
+  field: 'leadgen',
+  value: { leadgen_id: leadgenId },
+});
+
+// Writes run in a (fake) transaction with this session
+const session = { id: 'session' };
+
+beforeEach(() => {
+  mock.method(mongoose.connection, 'transaction', (fn) => fn(session));
+});
+afterEach(() => mock.restoreAll());
+
+describe('recordInboundEvent', () => {
+  it('stores the event and queues its job in one transaction', async () => {
+    const eventCreate = mock.method(WebhookEvent, 'create', async ([data]) => [
+      { _id: 'event-1', ...data },
+    ]);
+    const jobCreate = mock.method(Job, 'create', async () => []);
+
+    const event = await recordInboundEvent(source, LEAD_SOURCES.EMAIL, { body: { raw: 'x' } });
+
+    assert.equal(event._id, 'event-1');
+    assert.equal(eventCreate.mock.calls[0].arguments[1].session, session);
+    const [[job], options] = jobCreate.mock.calls[0].arguments;
+    assert.equal(options.session, session);
+    assert.deepEqual(job, {
+      type: JOB_TYPES.PROCESS_WEBHOOK_EVENT,
+      source: 'source-1',
+      webhookEvent: 'event-1',
+      status: 'QUEUED',
+    });
+  });
+});
+
+describe('processWebhookEvent', () => {
+  /**
+   * Stubs the stored event and returns the mock of its status updates.
+   */
+  const storeEvent = (body, platform = LEAD_SOURCES.META) => {
+    mock.method(WebhookEvent, 'findByIdAndUpdate', async () => ({
+      _id: 'event-1',
+      source: 'source-1',
+      platform,
+      body,
+    }));
+    mock.method(Source, 'findById', async () => source);
+    return mock.method(WebhookEvent, 'updateOne', async () => ({}));
+  };
+
+  const savedStatus = (updateOne) => updateOne.mock.calls.at(-1).arguments[1].$set.status;
+
+  it('marks an event PROCESSED', async () => {
+    const updateOne = storeEvent({ entry: [] });
+    await processWebhookEvent('event-1');
+    assert.equal(savedStatus(updateOne), 'PROCESSED');
+  });
+
+  it('marks an event whose leads were all stored before REPLAYED', async () => {
+    mock.method(Lead, 'findOneAndUpdate', async () => ({ _id: 'lead', leadId: 1 }));
+    const updateOne = storeEvent({ entry: [{ changes: [leadgen('1'), leadgen('2')] }] });
+
+    await processWebhookEvent('event-1');
+    assert.equal(savedStatus(updateOne), 'REPLAYED');
+  });
+
+  it('marks an event where some leads failed PARTIAL, without a retry', async () => {
+    mock.method(Lead, 'findOneAndUpdate', async (filter) => {
+      if (filter.platformLeadId === '2') {
+        throw Object.assign(new Error('Bad lead'), { retryable: false });
+      }
+      return { _id: 'lead', leadId: 1 };
+    });
+    mock.method(ErrorLog, 'create', async () => ({}));
+    const updateOne = storeEvent({ entry: [{ changes: [leadgen('1'), leadgen('2')] }] });
+
+    await processWebhookEvent('event-1');
+    assert.equal(savedStatus(updateOne), 'PARTIAL');
+  });
+
+  it('marks an event where every lead failed FAILED, and throws for a retry', async () => {
+    mock.method(Lead, 'findOneAndUpdate', async () => {
+      throw Object.assign(new Error('Bad lead'), { retryable: false });
+    });
+    mock.method(ErrorLog, 'create', async () => ({}));
+    const updateOne = storeEvent({ entry: [{ changes: [leadgen('1')] }] });
+
+    await assert.rejects(processWebhookEvent('event-1'), /Bad lead/);
+    assert.equal(savedStatus(updateOne), 'FAILED');
+  });
+
+  it('fails for good when the platform has no processor', async () => {
+    const updateOne = storeEvent({}, 'fax');
+    await assert.rejects(processWebhookEvent('event-1'), { retryable: false });
+    assert.equal(savedStatus(updateOne), 'FAILED');
+  });
+
+  it('fails for good when the event is gone', async () => {
+    mock.method(WebhookEvent, 'findByIdAndUpdate', async () => null);
+    await assert.rejects(processWebhookEvent('event-1'), { retryable: false });
+  });
+});
+
+describe('replayWebhookEvents', () => {
+  it('requeues events, skipping those with a queued or running job', async () => {
+    mock.method(WebhookEvent, 'find', async () => [
+      { _id: 'event-1', source: 'source-1' },
+      { _id: 'event-2', source: 'source-1' },
+      { _id: 'event-3', source: 'source-1' },
+    ]);
+    const distinct = mock.method(Job, 'distinct', async () => ['event-2']);
+    const updateOne = mock.method(WebhookEvent, 'updateOne', async () => ({}));
+    const jobCreate = mock.method(Job, 'create', async () => []);
+
+    const result = await replayWebhookEvents(['event-1', 'event-2', 'event-3']);
+
+    assert.deepEqual(result, { queued: 2, busy: 1 });
+    assert.deepEqual(distinct.mock.calls[0].arguments[1].status, {
+      $in: ['QUEUED', 'PROCESSING'],
+    });
+    assert.deepEqual(
+      updateOne.mock.calls.map((call) => call.arguments[0]._id),
+      ['event-1', 'event-3']
+    );
+    assert.deepEqual(
+      jobCreate.mock.calls.map((call) => call.arguments[0][0].webhookEvent),
+      ['event-1', 'event-3']
+    );
+    assert.ok(jobCreate.mock.calls.every((call) => call.arguments[1].session === session));
+  });
+});
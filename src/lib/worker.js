@@ -1,149 +1,408 @@
-import connectDB from '../config/database.js';
+import os from 'os';
 import logger from '../config/logger.js';
 import Job from '../models/Job.js';
 import Lead from '../models/Lead.js';
-import Source from '../models/Source.js';
-import { LEAD_STATUSES, JOB_TYPES } from '../utils/constants.js';
-import { appendLeadToSheet } from '../integrations/sheets.js';
-import { pushLeadToBitrix } from '../integrations/bitrix.js';
+import ErrorLog from '../models/ErrorLog.js';
+import { LEAD_STATUSES, DEAD_LETTER_JOB_STATUSES } from '../utils/constants.js';
+import { getJobType, getRegisteredJobTypes, getRetryDelay } from '../jobs/index.js';
+import { getErrorClass } from './jobErrors.js';
 
-const MAX_ATTEMPTS = 3;
+// --- Leases ---
+// A claimed job is locked for LEASE_MS and the lease is renewed every
+// HEARTBEAT_INTERVAL_MS while its handler runs. A job whose lease ran
+// out belongs to a worker that died (e.g. a restart mid-job) and is
+// requeued by recoverStuckJobs() (a scheduled task).
+const LEASE_MS = 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 20 * 1000;
+// How long an aborted handler may take to stop before its job is
+// given up (see runHandler())
+const ABORT_GRACE_MS = 30 * 1000;
+
+// Identifies this process in job leases
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const REAPER_ID = `${WORKER_ID}:reaper`;
 
 /**
- * Finds and processes a single job from the queue.
- * @returns {Promise<boolean>} - True if a job was found, false otherwise.
+ * Runs a job's handler, aborting it (through the 'signal' in its
+ * context) once it runs longer than its job type allows.
+ *
+ * After an abort, the attempt waits up to ABORT_GRACE_MS for the
+ * handler to settle, so the job keeps its lease meanwhile and is
+ * never retried while an earlier attempt is still writing to Sheets,
+ * Bitrix, ... A handler that finishes despite the abort completes
+ * the job. One that is still running after the grace period is given
+ * up: the error is flagged 'abandoned', and the job is left for the
+ * reaper once its lease runs out.
+ *
+ * @param {object} definition - The job's registered type.
+ * @param {object} job - The claimed job.
+ * @param {object} context - The handler's context.
+ * @param {AbortController} controller - Aborts the attempt.
  */
-export const processNextJob = async () => {
-  let job;
-  try {
-    // 1. Find and "lock" the next available job
-    job = await Job.findOneAndUpdate(
-      {
-        status: 'QUEUED',
-        runAt: { $lte: new Date() },
-      },
-      {
-        $set: { status: 'PROCESSING' },
-        $inc: { attempts: 1 },
-      },
-      {
-        sort: { runAt: 1 },
-        new: true,
-      }
-    ).populate({
-      path: 'lead',
-      populate: { path: 'sourceId' },
+const runHandler = async (definition, job, context, controller) => {
+  const { timeoutMs } = definition;
+  const timer = timeoutMs
+    ? setTimeout(() => {
+        logger.warn(`Job ${job._id} timed out after ${timeoutMs / 1000}s. Aborting it...`);
+        controller.abort(new Error(`Job ${job.type} timed out after ${timeoutMs / 1000}s.`));
+      }, timeoutMs)
+    : null;
+
+  let settled = false;
+  let graceTimer = null;
+  const abandoned = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => {
+      if (settled) return;
+      graceTimer = setTimeout(() => {
+        const error = new Error(
+          `Job ${job._id} did not stop within ${ABORT_GRACE_MS / 1000}s of being aborted ` +
+            `(${controller.signal.reason?.message}).`
+        );
+        error.abandoned = true;
+        reject(error);
+      }, ABORT_GRACE_MS);
     });
+  });
 
-    // 2. If no job was found, we're done.
-    if (!job) {
-      return false; // No job found
+  const handling = Promise.resolve().then(() =>
+    definition.handler(job, { ...context, signal: controller.signal })
+  );
+  try {
+    return await Promise.race([handling, abandoned]);
+  } catch (error) {
+    if (error.abandoned) {
+      handling.then(
+        () => logger.warn(`Abandoned job ${job._id} finished after all.`),
+        (handlerError) => logger.warn(`Abandoned job ${job._id} failed: ${handlerError.message}`)
+      );
+      throw error;
     }
+    // Report why the attempt was aborted, not how the handler noticed
+    if (controller.signal.aborted) throw controller.signal.reason;
+    throw error;
+  } finally {
+    settled = true;
+    clearTimeout(timer);
+    clearTimeout(graceTimer);
+  }
+};
 
-    const lead = job.lead;
-    if (!lead || !lead.sourceId) {
-      throw new Error(`Job ${job._id} is missing lead or source data.`);
+/**
+ * Keeps renewing a job's lease while its handler runs. If the lease
+ * is lost (e.g. the database was unreachable for longer than the
+ * lease), the attempt is aborted, as the job will run again.
+ * @param {object} job - The claimed job.
+ * @param {AbortController} controller - Aborts the attempt.
+ * @returns {() => void} - Stops the heartbeat.
+ */
+const startHeartbeat = (job, controller) => {
+  const timer = setInterval(async () => {
+    try {
+      const renewed = await Job.updateOne(
+        { _id: job._id, status: 'PROCESSING', lockedBy: job.lockedBy },
+        { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } }
+      );
+      if (renewed.matchedCount === 0) {
+        logger.warn(`Job ${job._id} lost its lease; it was recovered by another worker.`);
+        clearInterval(timer);
+        controller.abort(new Error(`Job ${job._id} lost its lease.`));
+      }
+    } catch (error) {
+      logger.warn(`Could not renew the lease of job ${job._id}: ${error.message}`);
     }
+  }, HEARTBEAT_INTERVAL_MS);
+  return () => clearInterval(timer);
+};
 
-    const sourceConfig = lead.sourceId.config;
-    logger.info(`Processing job ${job.type} for lead ${lead._id}...`);
+/**
+ * What a job is about, for log lines.
+ */
+const describeJob = (job, definition) => {
+  if (job.lead) return `lead ${job.lead._id || job.lead}`;
+  return definition?.describe?.(job) || `job ${job._id}`;
+};
 
-    // 3. --- Job-Handler Logic ---
-    let success = false;
-    if (job.type === JOB_TYPES.APPEND_TO_SHEETS) {
-      success = await appendLeadToSheet(lead, sourceConfig);
-      await Lead.updateOne(
-        { _id: lead._id },
-        { sheetStatus: success ? 'SUCCESS' : 'FAILED' }
-      );
-    } else if (job.type === JOB_TYPES.PUSH_TO_BITRIX) {
-      success = await pushLeadToBitrix(lead, sourceConfig);
+/**
+ * After a lead's job completes, marks the lead SUCCESS once none of
+ * its jobs are pending or failed.
+ */
+const completeLeadIfDone = async (leadId) => {
+  const pendingJobs = await Job.countDocuments({
+    lead: leadId,
+    status: { $in: ['QUEUED', 'PROCESSING'] }, // Are any jobs still running/queued?
+  });
+  if (pendingJobs > 0) return;
+
+  // If any failed, the retry logic has already set the lead to FAILED
+  const failedJobs = await Job.countDocuments({
+    lead: leadId,
+    status: { $in: DEAD_LETTER_JOB_STATUSES },
+  });
+  if (failedJobs > 0) return;
+
+  logger.info(`All jobs for lead ${leadId} are complete. Marking lead as SUCCESS.`);
+  await Lead.updateOne(
+    { _id: leadId, status: { $ne: LEAD_STATUSES.DUPLICATE } },
+    { $set: { status: LEAD_STATUSES.SUCCESS } }
+  );
+};
+
+/**
+ * Retries a failed job per its type's retry policy and the error's
+ * class (see lib/jobErrors.js), or moves it to the dead-letter queue
+ * (and marks its lead FAILED, or logs the lost input for leadless
+ * jobs). Every attempt's error is added to the job's history.
+ * Nothing is changed if the job's lease was lost meanwhile.
+ *
+ * @param {object} job - The job, as claimed (with its lease).
+ * @param {object|null} definition - Its registered job type.
+ * @param {Error} error - Why the attempt failed.
+ * @param {object} [historyEvent] - An entry to add to the job's history.
+ */
+const handleJobFailure = async (job, definition, error, historyEvent = null) => {
+  const leadId = job.lead?._id || job.lead;
+
+  // Permanent errors (e.g. a missing token) go to the dead-letter
+  // queue at once; rate limits wait for the API's Retry-After
+  const errorClass = getErrorClass(error);
+  const retryAfterMs = error.retryAfterMs ?? null;
+  const delay = definition
+    ? getRetryDelay(definition, job.attempts, errorClass, retryAfterMs)
+    : null;
+  let newStatus = 'DEAD_LETTER';
+  let newRunAt = new Date();
+
+  if (delay !== null) {
+    newStatus = 'QUEUED';
+    newRunAt = new Date(Date.now() + delay);
+  }
+
+  const update = {
+    $set: {
+      status: newStatus,
+      lastError: error.message,
+      runAt: newRunAt,
+      lockedBy: null,
+      lockedUntil: null,
+      deadLetteredAt: newStatus === 'DEAD_LETTER' ? new Date() : null,
+    },
+    $push: {
+      attemptErrors: {
+        attempt: job.attempts,
+        at: new Date(),
+        errorClass,
+        message: error.message,
+        statusCode: error.statusCode ?? error.response?.status ?? null,
+        retryAfterMs,
+        workerId: historyEvent?.workerId ?? job.lockedBy,
+      },
+    },
+  };
+  if (historyEvent) update.$push.history = historyEvent;
+  const released = await Job.updateOne({ _id: job._id, lockedBy: job.lockedBy }, update);
+  if (released.matchedCount === 0) {
+    logger.warn(`Job ${job._id} lost its lease; leaving it to the worker that took it over.`);
+    return;
+  }
+
+  // The lead shows the result of each attempt
+  if (leadId && definition?.leadStatusField) {
+    await Lead.updateOne(
+      { _id: leadId },
+      { $set: { [definition.leadStatusField]: 'FAILED' } }
+    );
+  }
+
+  if (newStatus === 'QUEUED') {
+    logger.warn(
+      `Job ${job._id} failed (${errorClass}). Retrying in ${delay / 1000}s... (Attempt ${job.attempts})`
+    );
+  } else {
+    logger.error(
+      `Job ${job._id} moved to the dead-letter queue after ${job.attempts} attempts (${errorClass}).`
+    );
+    if (leadId) {
+      // If a job is dead-lettered, mark the *parent lead* as FAILED.
+      // (Duplicates keep their status; the job itself shows the failure.)
       await Lead.updateOne(
-        { _id: lead._id },
-        { bitrixStatus: success ? 'SUCCESS' : 'FAILED' }
+        { _id: leadId, status: { $ne: LEAD_STATUSES.DUPLICATE } },
+        { $set: { status: LEAD_STATUSES.FAILED } }
       );
+    } else {
+      // No lead was ever created; keep the input for manual review
+      // (stored webhook events can also be replayed from the inbox)
+      await ErrorLog.create({
+        source: job.source?._id || job.source,
+        context: definition?.errorContext || 'JOB',
+        message: error.message,
+        payload: job.payload || {
+          webhookEvent: job.webhookEvent,
+          leadImport: job.leadImport,
+        },
+      });
     }
+  }
+};
 
-    // 4. Update job status
-    if (success) {
-      await Job.updateOne(
-        { _id: job._id },
-        { $set: { status: 'COMPLETED' } }
-      );
-      logger.info(`Job ${job.type} for lead ${lead._id} COMPLETED.`);
+/**
+ * The reaper: requeues jobs whose worker stopped mid-job (their lease
+ * ran out without being renewed). The lost run counts as an attempt,
+ * so a job that keeps killing its worker still fails in the end.
+ * Each recovery is recorded in the job's history.
+ *
+ * @returns {Promise<number>} - How many jobs were recovered.
+ */
+export const recoverStuckJobs = async () => {
+  let recovered = 0;
+  while (true) {
+    const now = new Date();
+    // Take the lease over first, so only one reaper handles each job
+    const job = await Job.findOneAndUpdate(
+      {
+        status: 'PROCESSING',
+        $or: [
+          { lockedUntil: { $lt: now } },
+          // Jobs claimed before leases existed
+          { lockedUntil: null, updatedAt: { $lt: new Date(now.getTime() - LEASE_MS) } },
+        ],
+      },
+      { $set: { lockedBy: REAPER_ID, lockedUntil: new Date(now.getTime() + LEASE_MS) } }
+    );
+    if (!job) return recovered;
 
-      // --- NEW LOGIC ADDED ---
-      // After completing a job, check if all jobs for this lead are done
-      const pendingJobs = await Job.countDocuments({
-        lead: lead._id,
-        status: { $in: ['QUEUED', 'PROCESSING'] }, // Are any jobs still running/queued?
-      });
+    const lostWorker = job.lockedBy;
+    const error = new Error(
+      `Lease expired: worker ${lostWorker || 'unknown'} stopped during attempt ${job.attempts}.`
+    );
+    logger.warn(`Recovering job ${job._id} (${job.type}). ${error.message}`);
+
+    job.lockedBy = REAPER_ID;
+    await handleJobFailure(job, getJobType(job.type), error, {
+      event: 'RECOVERED',
+      at: now,
+      attempt: job.attempts,
+      workerId: lostWorker,
+      message: error.message,
+    });
+    recovered += 1;
+  }
+};
+
+/**
+ * Finds the next job that is due and "locks" it for this worker.
+ * @param {string[]} [types] - Only claim these job types (defaults to
+ *   every registered one).
+ * @returns {Promise<object|null>} - The claimed Job (lead and source
+ *   populated), or null if none is due.
+ */
+export const claimNextJob = async (types = getRegisteredJobTypes()) => {
+  if (!types.length) return null;
+  return Job.findOneAndUpdate(
+    {
+      status: 'QUEUED',
+      runAt: { $lte: new Date() },
+      type: { $in: types },
+    },
+    {
+      $set: {
+        status: 'PROCESSING',
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(Date.now() + LEASE_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    {
+      sort: { runAt: 1 },
+      new: true,
+    }
+  ).populate({
+    path: 'lead',
+    populate: { path: 'sourceId' },
+  });
+};
 
-      if (pendingJobs === 0) {
-        // No jobs are pending. Check if any failed.
-        const failedJobs = await Job.countDocuments({
-          lead: lead._id,
-          status: 'FAILED',
-        });
-
-        if (failedJobs === 0) {
-          // No jobs pending, none failed. The lead is a SUCCESS.
-          logger.info(
-            `All jobs for lead ${lead._id} are complete. Marking lead as SUCCESS.`
-          );
-          await Lead.updateOne(
-            { _id: lead._id },
-            { $set: { status: LEAD_STATUSES.SUCCESS } }
-          );
-        }
-        // If failedJobs > 0, the retry logic has already
-        // set the lead status to FAILED, so we do nothing.
+/**
+ * Runs a claimed job with the handler registered for its type (see
+ * jobs/registry.js), then completes, retries or fails it.
+ * Never throws; failures are recorded on the job.
+ * @param {object} job - A job returned by claimNextJob().
+ */
+export const runJob = async (job) => {
+  const definition = getJobType(job.type);
+  try {
+    const context = {};
+    if (!definition.leadless) {
+      const lead = job.lead;
+      if (!lead || !lead.sourceId) {
+        throw new Error(`Job ${job._id} is missing lead or source data.`);
       }
-      // --- END NEW LOGIC ---
-    } else {
+      context.lead = lead;
+      context.source = lead.sourceId;
+      context.sourceConfig = lead.sourceId.config;
+    }
+
+    logger.info(`Processing job ${job.type} for ${describeJob(job, definition)}...`);
+
+    // 1. Run the job type's handler, renewing the lease meanwhile
+    const controller = new AbortController();
+    const stopHeartbeat = startHeartbeat(job, controller);
+    let result;
+    try {
+      result = await runHandler(definition, job, context, controller);
+    } finally {
+      stopHeartbeat();
+    }
+    if (result === false) {
       throw new Error(`Handler for job ${job.type} returned false.`);
     }
-    
-    return true; // A job was found and processed
 
-  } catch (error) {
-    logger.error(`Error processing job ${job?._id}: ${error.message}`);
-    if (job) {
-      // 5. Handle failures and retries
-      const isRetryable = job.attempts < MAX_ATTEMPTS;
-      let newStatus = 'FAILED';
-      let newRunAt = new Date();
-
-      if (isRetryable) {
-        newStatus = 'QUEUED';
-        const delay = 5000 * Math.pow(5, job.attempts - 1);
-        newRunAt = new Date(Date.now() + delay);
-        logger.warn(
-          `Job ${job._id} failed. Retrying in ${delay / 1000}s... (Attempt ${
-            job.attempts
-          })`
-        );
-      } else {
-        logger.error(`Job ${job._id} FAILED permanently after ${MAX_ATTEMPTS} attempts.`);
-        // --- THIS IS THE CRITICAL LINE FOR FAILED LEADS ---
-        // If a job fails permanently, mark the *parent lead* as FAILED.
+    // 2. Update job (and lead) status, unless another worker took over
+    const completed = await Job.updateOne(
+      { _id: job._id, lockedBy: job.lockedBy },
+      { $set: { status: 'COMPLETED', lockedBy: null, lockedUntil: null } }
+    );
+    if (completed.matchedCount === 0) {
+      logger.warn(`Job ${job._id} finished after losing its lease; it will run again.`);
+      return;
+    }
+    logger.info(`Job ${job.type} for ${describeJob(job, definition)} COMPLETED.`);
+
+    if (context.lead) {
+      if (definition.leadStatusField) {
         await Lead.updateOne(
-          { _id: job.lead._id },
-          { $set: { status: LEAD_STATUSES.FAILED } }
+          { _id: context.lead._id },
+          { $set: { [definition.leadStatusField]: 'SUCCESS' } }
         );
       }
+      await completeLeadIfDone(context.lead._id);
+    }
+  } catch (error) {
+    if (error.abandoned) {
+      // Its lease is no longer renewed; the reaper requeues it (and
+      // counts the attempt) once it runs out
+      logger.error(`${error.message} Leaving it to the reaper.`);
+      return;
+    }
+    logger.error(`Error processing job ${job._id}: ${error.message}`);
 
-      await Job.updateOne(
-        { _id: job._id },
-        {
-          $set: {
-            status: newStatus,
-            lastError: error.message,
-            runAt: newRunAt,
-          },
-        }
-      );
+    // 3. Handle failures and retries
+    try {
+      await handleJobFailure(job, definition, error);
+    } catch (failureError) {
+      logger.error(`Could not record failure of job ${job._id}: ${failureError.message}`);
     }
-    return false; // Job processing failed
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Finds and processes a single job from the queue.
+ * (The worker pool in lib/workerPool.js runs several at a time.)
+ * @returns {Promise<boolean>} - True if a job was found, false otherwise.
+ */
+export const processNextJob = async () => {
+  const job = await claimNextJob();
+  if (!job) return false;
+
+  await runJob(job);
+  return true;
+};
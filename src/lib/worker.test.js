@@ -0,0 +1,224 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Job from '../models/Job.js';
+import Lead from '../models/Lead.js';
+import ErrorLog from '../models/ErrorLog.js';
+import { JOB_TYPES, LEAD_STATUSES } from '../utils/constants.js';
+import { getJobType } from '../jobs/index.js';
+import { runJob, recoverStuckJobs } from './worker.js';
+
+const webhookJob = (attempts = 1) => ({
+  _id: 'job-1',
+  type: JOB_TYPES.PROCESS_WEBHOOK_EVENT,
+  webhookEvent: 'event-1',
+  source: 'source-1',
+  attempts,
+  lockedBy: 'worker-1',
+});
+
+const bitrixJob = (attempts = 1) => ({
+  _id: 'job-2',
+  type: JOB_TYPES.PUSH_TO_BITRIX,
+  lead: { _id: 'lead-1', sourceId: { _id: 'source-1', config: { bitrix: 'on' } } },
+  attempts,
+  lockedBy: 'worker-1',
+});
+
+/**
+ * The $set of the last Job.updateOne() call.
+ */
+const lastJobUpdate = (updateOne) => updateOne.mock.calls.at(-1).arguments[1].$set;
+
+describe('runJob', () => {
+  let jobUpdates;
+  let leadUpdates;
+
+  beforeEach(() => {
+    jobUpdates = mock.method(Job, 'updateOne', async () => ({ matchedCount: 1 }));
+    leadUpdates = mock.method(Lead, 'updateOne', async () => ({}));
+    mock.method(Job, 'countDocuments', async () => 0);
+    mock.method(ErrorLog, 'create', async () => ({}));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('completes a job and its lead', async () => {
+    const handler = mock.method(getJobType(JOB_TYPES.PUSH_TO_BITRIX), 'handler', async () => {});
+
+    await runJob(bitrixJob());
+
+    const [job, context] = handler.mock.calls[0].arguments;
+    assert.equal(job._id, 'job-2');
+    assert.deepEqual(context.sourceConfig, { bitrix: 'on' });
+    assert.ok(context.signal instanceof AbortSignal);
+    assert.deepEqual(jobUpdates.mock.calls[0].arguments[0], { _id: 'job-2', lockedBy: 'worker-1' });
+    assert.equal(lastJobUpdate(jobUpdates).status, 'COMPLETED');
+    assert.deepEqual(
+      leadUpdates.mock.calls.map((call) => call.arguments[1].$set),
+      [{ bitrixStatus: 'SUCCESS' }, { status: LEAD_STATUSES.SUCCESS }]
+    );
+  });
+
+  it('retries a failed attempt with backoff', async () => {
+    mock.method(getJobType(JOB_TYPES.PUSH_TO_BITRIX), 'handler', async () => {
+      throw Object.assign(new Error('Bitrix is down'), { response: { status: 503 } });
+    });
+    const before = Date.now();
+
+    await runJob(bitrixJob(1));
+
+    const update = jobUpdates.mock.calls.at(-1).arguments[1];
+    assert.equal(update.$set.status, 'QUEUED');
+    assert.ok(update.$set.runAt.getTime() >= before + 5000);
+    assert.equal(update.$push.attemptErrors.errorClass, 'retryable');
+    assert.equal(update.$push.attemptErrors.statusCode, 503);
+    assert.deepEqual(leadUpdates.mock.calls[0].arguments[1].$set, { bitrixStatus: 'FAILED' });
+  });
+
+  it('dead-letters a job once its attempts run out, failing its lead', async () => {
+    mock.method(getJobType(JOB_TYPES.PUSH_TO_BITRIX), 'handler', async () => false);
+
+    await runJob(bitrixJob(4));
+
+    assert.equal(lastJobUpdate(jobUpdates).status, 'DEAD_LETTER');
+    assert.deepEqual(leadUpdates.mock.calls.at(-1).arguments[1].$set, {
+      status: LEAD_STATUSES.FAILED,
+    });
+  });
+
+  it('logs the input of a leadless job that failed for good', async () => {
+    mock.method(getJobType(JOB_TYPES.PROCESS_WEBHOOK_EVENT), 'handler', async () => {
+      throw Object.assign(new Error('No processor'), { retryable: false });
+    });
+
+    await runJob(webhookJob(1));
+
+    assert.equal(lastJobUpdate(jobUpdates).status, 'DEAD_LETTER');
+    const [log] = ErrorLog.create.mock.calls[0].arguments;
+    assert.equal(log.context, 'WEBHOOK_EVENT_JOB');
+    assert.deepEqual(log.payload, { webhookEvent: 'event-1', leadImport: undefined });
+  });
+
+  it('leaves a job alone once another worker took over its lease', async () => {
+    mock.method(getJobType(JOB_TYPES.PUSH_TO_BITRIX), 'handler', async () => {});
+    jobUpdates.mock.mockImplementation(async () => ({ matchedCount: 0 }));
+
+    await runJob(bitrixJob());
+
+    assert.equal(leadUpdates.mock.callCount(), 0);
+  });
+
+  describe('timeouts', () => {
+    let definition;
+    let timeoutMs;
+
+    beforeEach(() => {
+      definition = getJobType(JOB_TYPES.PROCESS_WEBHOOK_EVENT);
+      timeoutMs = definition.timeoutMs;
+      definition.timeoutMs = 20;
+    });
+    afterEach(() => {
+      definition.timeoutMs = timeoutMs;
+      mock.timers.reset();
+    });
+
+    it('aborts the handler and keeps the lease until it settles', async () => {
+      const events = [];
+      mock.method(definition, 'handler', (job, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            // Cleaning up takes a while after the abort
+            setTimeout(() => {
+              events.push('handler settled');
+              reject(new DOMException('This operation was aborted', 'AbortError'));
+            }, 30);
+          });
+        })
+      );
+      jobUpdates.mock.mockImplementation(async () => {
+        events.push('job released');
+        return { matchedCount: 1 };
+      });
+
+      await runJob(webhookJob());
+
+      assert.deepEqual(events, ['handler settled', 'job released']);
+      assert.equal(lastJobUpdate(jobUpdates).status, 'QUEUED');
+      assert.match(lastJobUpdate(jobUpdates).lastError, /timed out after 0.02s/);
+    });
+
+    it('gives up a handler that ignores the abort, leaving the job to the reaper', async () => {
+      mock.timers.enable({ apis: ['setTimeout'] });
+      mock.method(definition, 'handler', () => new Promise(() => {}));
+
+      let finished = false;
+      const running = runJob(webhookJob()).then(() => (finished = true));
+      mock.timers.tick(20);
+      await new Promise(setImmediate);
+      assert.equal(finished, false);
+
+      mock.timers.tick(30 * 1000);
+      await running;
+      // Neither completed nor retried: its lease runs out instead
+      assert.equal(jobUpdates.mock.callCount(), 0);
+    });
+
+    it('completes a job whose handler finished despite the abort', async () => {
+      mock.method(definition, 'handler', () => new Promise((resolve) => setTimeout(resolve, 40)));
+
+      await runJob(webhookJob());
+
+      assert.equal(lastJobUpdate(jobUpdates).status, 'COMPLETED');
+    });
+  });
+
+  it('aborts the handler when the lease is lost', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const definition = getJobType(JOB_TYPES.IMPORT_LEADS);
+    let aborted;
+    mock.method(definition, 'handler', (job, { signal }) =>
+      new Promise((resolve, reject) => {
+        aborted = signal;
+        signal.addEventListener('abort', () => reject(signal.reason));
+      })
+    );
+    // The heartbeat finds the job taken over; later updates find it too
+    jobUpdates.mock.mockImplementation(async () => ({ matchedCount: 0 }));
+
+    const running = runJob({ ...webhookJob(), type: JOB_TYPES.IMPORT_LEADS, leadImport: 'import-1' });
+    mock.timers.tick(20 * 1000);
+    await running;
+
+    assert.equal(aborted.aborted, true);
+    assert.match(aborted.reason.message, /lost its lease/);
+    assert.equal(jobUpdates.mock.calls[0].arguments[0].status, 'PROCESSING');
+  });
+});
+
+describe('recoverStuckJobs', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('requeues jobs whose lease ran out, counting the lost attempt', async () => {
+    const stuck = [{ ...bitrixJob(1), lockedBy: 'dead-worker' }];
+    const claim = mock.method(Job, 'findOneAndUpdate', async () => stuck.shift() || null);
+    const jobUpdates = mock.method(Job, 'updateOne', async () => ({ matchedCount: 1 }));
+    mock.method(Lead, 'updateOne', async () => ({}));
+
+    assert.equal(await recoverStuckJobs(), 1);
+
+    const [filter, lease] = claim.mock.calls[0].arguments;
+    assert.equal(filter.status, 'PROCESSING');
+    assert.match(lease.$set.lockedBy, /:reaper$/);
+
+    const [released, update] = jobUpdates.mock.calls[0].arguments;
+    assert.match(released.lockedBy, /:reaper$/);
+    assert.equal(update.$set.status, 'QUEUED');
+    assert.equal(update.$push.history.event, 'RECOVERED');
+    assert.equal(update.$push.history.workerId, 'dead-worker');
+    assert.match(update.$set.lastError, /worker dead-worker stopped during attempt 1/);
+  });
+
+  it('returns 0 when no job is stuck', async () => {
+    mock.method(Job, 'findOneAndUpdate', async () => null);
+    assert.equal(await recoverStuckJobs(), 0);
+  });
+});
@@ -0,0 +1,175 @@
+import env from '../config/env.js';
+import logger from '../config/logger.js';
+import Job from '../models/Job.js';
+import { getJobType, getRegisteredJobTypes } from '../jobs/index.js';
+import { claimNextJob, runJob } from './worker.js';
+
+// How often the pool looks for due jobs (e.g. delayed retries). New
+// jobs wake it at once through a change stream, where MongoDB
+// supports one. (Expired leases are recovered by a scheduled task,
+// see lib/scheduledTasks.js.)
+const POLLING_INTERVAL_MS = 5000;
+
+/**
+ * Reads JOB_CONCURRENCY, e.g. 'push_to_bitrix=5,append_to_sheets=2'.
+ * @returns {object} - Concurrency by job type.
+ */
+const parseConcurrencyOverrides = (value) => {
+  const overrides = {};
+  for (const pair of String(value || '').split(',')) {
+    const [type, count] = pair.split('=').map((part) => part.trim());
+    const concurrency = parseInt(count, 10);
+    if (!type) continue;
+    if (!getJobType(type) || !(concurrency >= 0)) {
+      logger.warn(`WorkerPool: Ignoring JOB_CONCURRENCY entry '${pair}'.`);
+      continue;
+    }
+    overrides[type] = concurrency;
+  }
+  return overrides;
+};
+
+/**
+ * Starts a pool that runs queued jobs concurrently, up to each job
+ * type's concurrency limit (see jobs/registry.js), e.g. 5 Bitrix pushes
+ * and 2 Sheets appends at a time.
+ *
+ * Used by both the web server and the standalone worker; several
+ * pools (one per process) can share the queue, as every job is claimed
+ * with a lease.
+ *
+ * @param {object} [options]
+ * @param {number} [options.pollIntervalMs] - How often to poll.
+ * @returns {{ stop: () => Promise<void> }} - stop() stops taking new
+ *   jobs and resolves once the running ones have finished.
+ */
+export const startWorkerPool = ({ pollIntervalMs = POLLING_INTERVAL_MS } = {}) => {
+  const overrides = parseConcurrencyOverrides(env.JOB_CONCURRENCY);
+  const limits = new Map(
+    getRegisteredJobTypes().map((type) => [
+      type,
+      overrides[type] ?? getJobType(type).concurrency,
+    ])
+  );
+  const running = new Map(); // Job type -> jobs running now
+  const inFlight = new Set(); // Promises of the running jobs
+
+  let stopping = false;
+  let filling = null; // The fill() in progress, if any
+  let fillAgain = false;
+  let pollTimer = null;
+  let changeStream = null;
+
+  // Job types that have a free slot
+  const freeTypes = () =>
+    [...limits.entries()]
+      .filter(([type, limit]) => (running.get(type) || 0) < limit)
+      .map(([type]) => type);
+
+  const start = (job) => {
+    running.set(job.type, (running.get(job.type) || 0) + 1);
+    const task = runJob(job).finally(() => {
+      running.set(job.type, running.get(job.type) - 1);
+      inFlight.delete(task);
+      // A slot opened up
+      if (!stopping) fill();
+    });
+    inFlight.add(task);
+  };
+
+  /**
+   * Claims due jobs until every type is at its limit or none are due.
+   * Wake-ups that arrive meanwhile are folded into the running fill.
+   */
+  const fill = () => {
+    if (filling) {
+      fillAgain = true;
+      return filling;
+    }
+
+    filling = (async () => {
+      try {
+        do {
+          fillAgain = false;
+          while (!stopping) {
+            const types = freeTypes();
+            if (types.length === 0) break;
+            const job = await claimNextJob(types);
+            if (!job) break;
+            // Claimed jobs run even if stop() was called meanwhile
+            start(job);
+          }
+        } while (fillAgain && !stopping);
+      } catch (error) {
+        logger.error(`WorkerPool: Could not claim jobs: ${error.message}`);
+      } finally {
+        filling = null;
+      }
+    })();
+    return filling;
+  };
+
+  const poll = async () => {
+    await fill();
+    if (!stopping) pollTimer = setTimeout(poll, pollIntervalMs);
+  };
+
+  // Wake up as soon as a job is queued (new, retried from the
+  // dashboard or requeued). Standalone MongoDB servers have no change
+  // streams; polling covers those.
+  const watchQueue = () => {
+    try {
+      changeStream = Job.watch([
+        {
+          $match: {
+            $or: [
+              { operationType: 'insert' },
+              {
+                operationType: 'update',
+                'updateDescription.updatedFields.status': 'QUEUED',
+              },
+            ],
+          },
+        },
+      ]);
+    } catch (error) {
+      logger.warn(`WorkerPool: Change stream unavailable (${error.message}). Polling only.`);
+      return;
+    }
+
+    changeStream.on('change', () => {
+      if (!stopping) fill();
+    });
+    changeStream.on('error', (error) => {
+      logger.warn(
+        `WorkerPool: Change stream unavailable (${error.message}). ` +
+          `Polling every ${pollIntervalMs / 1000}s.`
+      );
+      changeStream?.close().catch(() => {});
+      changeStream = null;
+    });
+  };
+
+  const stop = async () => {
+    if (stopping) return;
+    stopping = true;
+    clearTimeout(pollTimer);
+    changeStream?.close().catch(() => {});
+    changeStream = null;
+
+    // A fill in progress may still be claiming a job
+    await filling;
+    logger.info(`WorkerPool: Stopping. Waiting for ${inFlight.size} running job(s)...`);
+    await Promise.all([...inFlight]);
+    logger.info('WorkerPool: Stopped.');
+  };
+
+  logger.info(
+    'WorkerPool: Started with concurrency ' +
+      [...limits.entries()].map(([type, limit]) => `${type}=${limit}`).join(', ')
+  );
+  watchQueue();
+  poll();
+
+  return { stop };
+};
@@ -0,0 +1,143 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import env from '../config/env.js';
+import Job from '../models/Job.js';
+import { JOB_TYPES } from '../utils/constants.js';
+import { getJobType } from '../jobs/index.js';
+import { startWorkerPool } from './workerPool.js';
+
+// Long enough that only the first poll runs during a test
+const pollIntervalMs = 60 * 1000;
+
+/**
+ * Waits until a condition holds, letting the pool's promises run.
+ */
+const waitFor = async (condition) => {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  assert.ok(condition(), 'condition never held');
+};
+
+const webhookJob = (id) => ({
+  _id: id,
+  type: JOB_TYPES.PROCESS_WEBHOOK_EVENT,
+  webhookEvent: `event-${id}`,
+  attempts: 1,
+  lockedBy: 'worker-1',
+});
+
+describe('startWorkerPool', () => {
+  let queue;
+  let claims;
+  let changeStream;
+  let handler;
+  let releaseJobs;
+  let runningJobs;
+
+  beforeEach(() => {
+    queue = [];
+    claims = mock.method(Job, 'findOneAndUpdate', (filter) => ({
+      populate: async () => {
+        const index = queue.findIndex((job) => filter.type.$in.includes(job.type));
+        return index === -1 ? null : queue.splice(index, 1)[0];
+      },
+    }));
+    mock.method(Job, 'updateOne', async () => ({ matchedCount: 1 }));
+
+    changeStream = Object.assign(new EventEmitter(), { close: mock.fn(async () => {}) });
+    mock.method(Job, 'watch', () => changeStream);
+
+    // Handlers run until the test releases them
+    runningJobs = 0;
+    let release;
+    let released = new Promise((resolve) => (release = resolve));
+    releaseJobs = () => {
+      release();
+      released = new Promise((resolve) => (release = resolve));
+    };
+    handler = mock.method(getJobType(JOB_TYPES.PROCESS_WEBHOOK_EVENT), 'handler', async () => {
+      runningJobs++;
+      await released;
+      runningJobs--;
+    });
+  });
+  afterEach(() => {
+    env.JOB_CONCURRENCY = '';
+    mock.restoreAll();
+  });
+
+  it('runs up to the concurrency of each job type', async () => {
+    queue.push(...['1', '2', '3', '4', '5'].map(webhookJob));
+    const pool = startWorkerPool({ pollIntervalMs });
+
+    await waitFor(() => runningJobs === 3);
+    // A full type is left out of further claims
+    assert.ok(!claims.mock.calls.at(-1).arguments[0].type.$in.includes(JOB_TYPES.PROCESS_WEBHOOK_EVENT));
+    assert.equal(queue.length, 2);
+
+    releaseJobs();
+    await waitFor(() => handler.mock.callCount() === 5);
+    releaseJobs();
+    await pool.stop();
+    assert.equal(queue.length, 0);
+  });
+
+  it('takes concurrency overrides from JOB_CONCURRENCY', async () => {
+    env.JOB_CONCURRENCY = 'process_webhook_event=1, unknown_job=4, push_to_bitrix=many';
+    queue.push(webhookJob('1'), webhookJob('2'));
+    const pool = startWorkerPool({ pollIntervalMs });
+
+    await waitFor(() => runningJobs === 1);
+    assert.equal(queue.length, 1);
+
+    releaseJobs();
+    await waitFor(() => handler.mock.callCount() === 2);
+    releaseJobs();
+    await pool.stop();
+  });
+
+  it('wakes up when the change stream reports a queued job', async () => {
+    const pool = startWorkerPool({ pollIntervalMs });
+    await waitFor(() => claims.mock.callCount() === 1);
+
+    queue.push(webhookJob('1'));
+    changeStream.emit('change', { operationType: 'insert' });
+
+    await waitFor(() => runningJobs === 1);
+    releaseJobs();
+    await pool.stop();
+    assert.equal(changeStream.close.mock.callCount(), 1);
+  });
+
+  it('falls back to polling when the change stream fails', async () => {
+    const pool = startWorkerPool({ pollIntervalMs: 10 });
+    changeStream.emit('error', new Error('The $changeStream stage is only supported on replica sets'));
+    assert.equal(changeStream.close.mock.callCount(), 1);
+
+    await waitFor(() => claims.mock.callCount() >= 1);
+    queue.push(webhookJob('1'));
+    await waitFor(() => runningJobs === 1);
+    releaseJobs();
+    await pool.stop();
+  });
+
+  it('finishes the running jobs on stop without claiming new ones', async () => {
+    queue.push(webhookJob('1'));
+    const pool = startWorkerPool({ pollIntervalMs });
+    await waitFor(() => runningJobs === 1);
+
+    queue.push(webhookJob('2'));
+    let stopped = false;
+    const stopping = pool.stop().then(() => (stopped = true));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(stopped, false);
+
+    releaseJobs();
+    await stopping;
+    assert.equal(handler.mock.callCount(), 1);
+    assert.equal(queue.length, 1);
+    assert.equal(Job.updateOne.mock.calls.at(-1).arguments[1].$set.status, 'COMPLETED');
+  });
+});
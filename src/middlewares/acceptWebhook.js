@@ -0,0 +1,37 @@
+import logger from '../config/logger.js';
+import { HTTP_STATUS } from '../utils/constants.js';
+import { storeWebhookEvent } from '../lib/webhookInbox.js';
+
+/**
+ * Final handler for lead webhooks.
+ * It stores the raw request in the WebhookEvent inbox (which queues
+ * it for processing) and only then replies 200. If the request can't
+ * be stored, we reply 500 so the platform retries the delivery.
+ *
+ * Must run after 'verifyWebhookToken', which attaches 'req.source'.
+ *
+ * @param {string} platform - One of LEAD_SOURCES.
+ */
+const acceptWebhook = (platform) => async (req, res) => {
+  try {
+    const event = await storeWebhookEvent(req, platform);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Webhook received successfully.',
+      eventId: event._id,
+    });
+  } catch (error) {
+    logger.error(`Failed to store ${platform} webhook:`, {
+      message: error.message,
+      stack: error.stack,
+      source: req.source?.name,
+    });
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Webhook could not be stored. Please retry.',
+    });
+  }
+};
+
+export default acceptWebhook;
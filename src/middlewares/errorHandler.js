@@ -2,13 +2,14 @@
 
 import logger from '../config/logger.js';
 import { HTTP_STATUS } from '../utils/constants.js';
+import { redactUrl } from '../utils/redact.js';
 
 /**
  * 404 Not Found Handler
  * This middleware catches any request that doesn't match a defined route.
  */
 export const notFoundHandler = (req, res, next) => {
-  const error = new Error(`Not Found - ${req.originalUrl}`);
+  const error = new Error(`Not Found - ${redactUrl(req.originalUrl)}`);
   res.status(HTTP_STATUS.NOT_FOUND);
   next(error); // Pass the error to the global error handler
 };
@@ -32,7 +33,7 @@ export const errorHandler = (err, req, res, next) => {
   // Log the error using our logger
   logger.error(err.message, {
     stack: err.stack,
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     method: req.method,
   });
 
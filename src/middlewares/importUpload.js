@@ -0,0 +1,29 @@
+import multer from 'multer';
+import { HTTP_STATUS } from '../utils/constants.js';
+
+// Large enough for ~10,000 rows, small enough to keep in memory
+const MAX_FILE_SIZE_BYTES = 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE_BYTES, files: 1 },
+}).single('file');
+
+/**
+ * Middleware that reads a single spreadsheet upload from the
+ * multipart 'file' field into 'req.file' (kept in memory).
+ * Upload problems (too big, wrong field) are answered with a 400.
+ */
+const importUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    const message =
+      error.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large (max ${MAX_FILE_SIZE_BYTES / 1024 / 1024} MB).`
+        : error.message;
+    res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message });
+  });
+};
+
+export default importUpload;
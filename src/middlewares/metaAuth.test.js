@@ -0,0 +1,116 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { HTTP_STATUS } from '../utils/constants.js';
+import { verifyMetaChallenge, verifyMetaSignature } from './metaAuth.js';
+
+const APP_SECRET = 'app-secret';
+
+/**
+ * A minimal Express response that records what was sent.
+ */
+const fakeRes = () => {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.send = res.json;
+  return res;
+};
+
+const fakeReq = ({ config = {}, headers = {}, query = {}, rawBody } = {}) => ({
+  source: { name: 'Meta Test', config },
+  query,
+  rawBody,
+  get: (name) => headers[name.toLowerCase()],
+});
+
+const sign = (body, secret = APP_SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('verifyMetaSignature', () => {
+  const rawBody = Buffer.from('{"entry":[]}');
+  const config = { metaAppSecret: APP_SECRET };
+
+  it('accepts a body signed with the app secret', () => {
+    const next = mock.fn();
+    const res = fakeRes();
+    verifyMetaSignature(
+      fakeReq({ config, rawBody, headers: { 'x-hub-signature-256': sign(rawBody) } }),
+      res,
+      next
+    );
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(res.statusCode, null);
+  });
+
+  it('rejects a body signed with another secret', () => {
+    const next = mock.fn();
+    const res = fakeRes();
+    verifyMetaSignature(
+      fakeReq({ config, rawBody, headers: { 'x-hub-signature-256': sign(rawBody, 'nope') } }),
+      res,
+      next
+    );
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, HTTP_STATUS.UNAUTHORIZED);
+  });
+
+  it('rejects a missing or malformed signature', () => {
+    for (const header of [undefined, 'sha1=abc', 'sha256=', 'sha256=abc']) {
+      const next = mock.fn();
+      const res = fakeRes();
+      verifyMetaSignature(
+        fakeReq({ config, rawBody, headers: { 'x-hub-signature-256': header } }),
+        res,
+        next
+      );
+      assert.equal(next.mock.callCount(), 0, String(header));
+      assert.equal(res.statusCode, HTTP_STATUS.UNAUTHORIZED, String(header));
+    }
+  });
+
+  it('rejects every request without an app secret, unless the source opts out', () => {
+    const next = mock.fn();
+    const res = fakeRes();
+    verifyMetaSignature(fakeReq({ rawBody }), res, next);
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, HTTP_STATUS.UNAUTHORIZED);
+
+    verifyMetaSignature(fakeReq({ config: { allowUnsignedWebhooks: true }, rawBody }), fakeRes(), next);
+    assert.equal(next.mock.callCount(), 1);
+  });
+});
+
+describe('verifyMetaChallenge', () => {
+  const config = { metaVerifyToken: 'verify-me' };
+  const query = (token) => ({
+    'hub.mode': 'subscribe',
+    'hub.verify_token': token,
+    'hub.challenge': '1158201444',
+  });
+
+  it('echoes the challenge when the verify token matches', () => {
+    const res = fakeRes();
+    verifyMetaChallenge(fakeReq({ config, query: query('verify-me') }), res);
+    assert.equal(res.statusCode, HTTP_STATUS.OK);
+    assert.equal(res.body, '1158201444');
+  });
+
+  it('rejects a wrong verify token', () => {
+    const res = fakeRes();
+    verifyMetaChallenge(fakeReq({ config, query: query('guess') }), res);
+    assert.equal(res.statusCode, HTTP_STATUS.FORBIDDEN);
+  });
+
+  it('rejects requests that are not a verification', () => {
+    const res = fakeRes();
+    verifyMetaChallenge(fakeReq({ config, query: {} }), res);
+    assert.equal(res.statusCode, HTTP_STATUS.BAD_REQUEST);
+  });
+});
@@ -0,0 +1,35 @@
+import express from 'express';
+import { HTTP_STATUS } from '../utils/constants.js';
+
+// Room for a notification mail with a few attachments
+const MAX_EMAIL_SIZE = '10mb';
+
+const parseRawBody = express.text({
+  type: ['message/rfc822', 'text/plain', 'application/octet-stream'],
+  limit: MAX_EMAIL_SIZE,
+});
+
+/**
+ * Middleware for the email webhook. Mail forwarders post the raw
+ * RFC822 message as the body (Content-Type: message/rfc822 or
+ * text/plain); JSON posts may send it as { "raw": "..." } instead.
+ * Either way, 'req.body' becomes { raw }.
+ */
+const readRawEmail = (req, res, next) => {
+  parseRawBody(req, res, (error) => {
+    if (error) return next(error);
+
+    const raw = typeof req.body === 'string' ? req.body : req.body?.raw;
+    if (!raw || typeof raw !== 'string') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Send the raw email as the body (message/rfc822) or as { "raw": "..." }.',
+      });
+    }
+
+    req.body = { raw };
+    next();
+  });
+};
+
+export default readRawEmail;
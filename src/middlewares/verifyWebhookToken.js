@@ -1,17 +1,24 @@
 import Source from '../models/Source.js';
+import logger from '../config/logger.js';
 import { HTTP_STATUS } from '../utils/constants.js';
+import { maskToken } from '../utils/redact.js';
+
+// Header that can carry the token instead of the query string
+const TOKEN_HEADER = 'X-Webhook-Token';
 
 /**
- * Middleware to verify the 'token' from a webhook query string.
+ * Middleware to verify the 'token' from a webhook query string
+ * (or the X-Webhook-Token header, which keeps it out of URLs and logs).
  * This is used to identify and authenticate which source (e.g., which
  * Elementor site) is sending the data.
  */
 const verifyWebhookToken = async (req, res, next) => {
-  const token = req.query.token;
+  const headerToken = req.get(TOKEN_HEADER);
+  const token = headerToken || req.query.token;
 
   // 1. Check if token is present
   if (!token) {
-    console.warn('Webhook blocked: No token provided.');
+    logger.warn('Webhook blocked: No token provided.');
     return res.status(HTTP_STATUS.UNAUTHORIZED).json({
       success: false,
       message: 'Access denied. No token provided.',
@@ -24,7 +31,7 @@ const verifyWebhookToken = async (req, res, next) => {
 
     // 3. Check if a source was found
     if (!source) {
-      console.warn(`Webhook blocked: Invalid token: ${token}`);
+      logger.warn(`Webhook blocked: Invalid token: ${maskToken(token)}`);
       return res.status(HTTP_STATUS.FORBIDDEN).json({
         success: false,
         message: 'Access denied. Invalid token.',
@@ -33,20 +40,29 @@ const verifyWebhookToken = async (req, res, next) => {
 
     // 4. Check if the found source is marked as active
     if (!source.isActive) {
-      console.warn(`Webhook blocked: Source is inactive: ${source.name}`);
+      logger.warn(`Webhook blocked: Source is inactive: ${source.name}`);
       return res.status(HTTP_STATUS.FORBIDDEN).json({
         success: false,
         message: `Source '${source.name}' is inactive.`,
       });
     }
 
+    // 4b. Some sources only accept the token in the header
+    if (source.config?.requireHeaderToken && !headerToken) {
+      logger.warn(`Webhook blocked: Token must be sent in a header: ${source.name}`);
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: `Send the token in the ${TOKEN_HEADER} header.`,
+      });
+    }
+
     // 5. Success! Attach the source to the request object
     // The controller can now access 'req.source' to know
     // which website sent the lead.
     req.source = source;
     next();
   } catch (error) {
-    console.error('Error in verifyWebhookToken middleware:', error.message);
+    logger.error('Error in verifyWebhookToken middleware:', error.message);
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Internal server error during authentication.',
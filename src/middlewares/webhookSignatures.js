@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+import { HTTP_STATUS } from '../utils/constants.js';
+
+// Reject TikTok signatures older than this, to stop replayed requests
+const TIKTOK_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Compares two signatures in constant time.
+ */
+const safeEqual = (a, b) => {
+  const given = Buffer.from(String(a), 'utf8');
+  const wanted = Buffer.from(String(b), 'utf8');
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+};
+
+/**
+ * Sends the standard 401 response for a failed signature check.
+ */
+const reject = (req, res, reason) => {
+  logger.warn(`Webhook blocked: ${reason} (${req.source.name}).`);
+  return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+    success: false,
+    message: reason,
+  });
+};
+
+/**
+ * What a signature check does for a Source without its secret: the
+ * request is rejected, unless the Source opts out of signatures with
+ * 'config.allowUnsignedWebhooks' (e.g. while its secret is being set
+ * up). Every unsigned request let through that way is logged.
+ *
+ * @param {string} secretName - The missing setting, for the logs.
+ */
+export const handleMissingSecret = (req, res, next, secretName) => {
+  if (req.source.config?.allowUnsignedWebhooks === true) {
+    logger.warn(
+      `Unsigned webhook accepted for source '${req.source.name}': no ${secretName} is set.`
+    );
+    return next();
+  }
+  return reject(req, res, `Source has no ${secretName} configured.`);
+};
+
+/**
+ * Middleware to validate the 'TikTok-Signature' header.
+ * The header looks like 't=1633174587,s=<hex>', where the signature is
+ * an HMAC-SHA256 of '<t>.<raw body>' keyed with the app secret.
+ *
+ * Uses the Source's 'config.tiktokWebhookSecret'. Without one,
+ * requests are rejected (see handleMissingSecret()).
+ *
+ * Must run after 'verifyWebhookToken', which attaches 'req.source'.
+ */
+export const verifyTikTokSignature = (req, res, next) => {
+  const secret = req.source.config?.tiktokWebhookSecret;
+  if (!secret) return handleMissingSecret(req, res, next, 'tiktokWebhookSecret');
+
+  const parts = Object.fromEntries(
+    (req.get('TikTok-Signature') || '')
+      .split(',')
+      .map((part) => part.trim().split('=', 2))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.s || !req.rawBody) {
+    return reject(req, res, 'Missing or malformed signature.');
+  }
+
+  const age = Math.abs(Date.now() / 1000 - timestamp);
+  if (age > TIKTOK_MAX_AGE_SECONDS) {
+    return reject(req, res, 'Signature timestamp is too old.');
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${parts.t}.${req.rawBody.toString('utf8')}`)
+    .digest('hex');
+
+  if (!safeEqual(parts.s, expected)) {
+    return reject(req, res, 'Invalid signature.');
+  }
+  next();
+};
+
+/**
+ * Middleware to validate the 'X-Snap-Signature' header: an
+ * HMAC-SHA256 of the raw body keyed with the shared webhook secret,
+ * sent as hex or base64.
+ *
+ * Uses the Source's 'config.snapchatWebhookSecret'. Without one,
+ * requests are rejected (see handleMissingSecret()).
+ *
+ * Must run after 'verifyWebhookToken', which attaches 'req.source'.
+ */
+export const verifySnapchatSignature = (req, res, next) => {
+  const secret = req.source.config?.snapchatWebhookSecret;
+  if (!secret) return handleMissingSecret(req, res, next, 'snapchatWebhookSecret');
+
+  const signature = (req.get('X-Snap-Signature') || '').trim();
+  if (!signature || !req.rawBody) {
+    return reject(req, res, 'Missing signature.');
+  }
+
+  const digest = crypto.createHmac('sha256', secret).update(req.rawBody).digest();
+  if (
+    !safeEqual(signature, digest.toString('hex')) &&
+    !safeEqual(signature, digest.toString('base64'))
+  ) {
+    return reject(req, res, 'Invalid signature.');
+  }
+  next();
+};
+
+/**
+ * Middleware to validate the 'google_key' that Google Ads sends in
+ * the body of every lead form webhook. It must match the key entered
+ * in the Google Ads form settings, stored as 'config.googleKey'.
+ *
+ * Unlike the checks above this one can't be opted out of: Google always
+ * sends a key, so a Source without one is not set up yet. The key is removed
+ * from the body so it isn't stored with the webhook event or lead.
+ *
+ * Must run after 'verifyWebhookToken', which attaches 'req.source'.
+ */
+export const verifyGoogleKey = (req, res, next) => {
+  const expected = req.source.config?.googleKey;
+  if (!expected) {
+    return reject(req, res, 'Source has no Google key configured.');
+  }
+
+  const key = req.body?.google_key;
+  if (!key || !safeEqual(key, expected)) {
+    return reject(req, res, 'Invalid google_key.');
+  }
+
+  delete req.body.google_key;
+  next();
+};
@@ -0,0 +1,172 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { HTTP_STATUS } from '../utils/constants.js';
+import {
+  verifyTikTokSignature,
+  verifySnapchatSignature,
+  verifyGoogleKey,
+} from './webhookSignatures.js';
+
+const SECRET = 'webhook-secret';
+
+/**
+ * A minimal Express response that records what was sent.
+ */
+const fakeRes = () => {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const fakeReq = ({ config = {}, headers = {}, rawBody, body } = {}) => ({
+  source: { name: 'Signature Test', config },
+  rawBody,
+  body,
+  get: (name) => headers[name.toLowerCase()],
+});
+
+/**
+ * Runs a middleware and returns whether it called next(), and the response.
+ */
+const run = (middleware, req) => {
+  const next = mock.fn();
+  const res = fakeRes();
+  middleware(req, res, next);
+  return { passed: next.mock.callCount() === 1, res };
+};
+
+const hmac = (payload, secret = SECRET) =>
+  crypto.createHmac('sha256', secret).update(payload).digest();
+
+describe('verifyTikTokSignature', () => {
+  const config = { tiktokWebhookSecret: SECRET };
+  const rawBody = Buffer.from('{"lead_data":{}}');
+  const now = () => Math.floor(Date.now() / 1000);
+  const header = (t, secret) =>
+    `t=${t},s=${hmac(`${t}.${rawBody.toString('utf8')}`, secret).toString('hex')}`;
+
+  it('accepts a fresh, valid signature', () => {
+    const req = fakeReq({ config, rawBody, headers: { 'tiktok-signature': header(now()) } });
+    assert.equal(run(verifyTikTokSignature, req).passed, true);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const req = fakeReq({
+      config,
+      rawBody,
+      headers: { 'tiktok-signature': header(now(), 'nope') },
+    });
+    const { passed, res } = run(verifyTikTokSignature, req);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, HTTP_STATUS.UNAUTHORIZED);
+    assert.equal(res.body.message, 'Invalid signature.');
+  });
+
+  it('rejects an old signature', () => {
+    const req = fakeReq({
+      config,
+      rawBody,
+      headers: { 'tiktok-signature': header(now() - 10 * 60) },
+    });
+    const { passed, res } = run(verifyTikTokSignature, req);
+    assert.equal(passed, false);
+    assert.equal(res.body.message, 'Signature timestamp is too old.');
+  });
+
+  it('rejects a missing or malformed header', () => {
+    for (const value of [undefined, 'garbage', `t=${now()}`, 's=abc']) {
+      const req = fakeReq({ config, rawBody, headers: { 'tiktok-signature': value } });
+      assert.equal(run(verifyTikTokSignature, req).passed, false, String(value));
+    }
+  });
+
+  it('rejects every request for sources without a secret', () => {
+    const { passed, res } = run(verifyTikTokSignature, fakeReq({ rawBody }));
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, HTTP_STATUS.UNAUTHORIZED);
+    assert.match(res.body.message, /no tiktokWebhookSecret/);
+  });
+
+  it('lets unsigned requests through for sources that opt out', () => {
+    const req = fakeReq({ config: { allowUnsignedWebhooks: true }, rawBody });
+    assert.equal(run(verifyTikTokSignature, req).passed, true);
+  });
+});
+
+describe('verifySnapchatSignature', () => {
+  const config = { snapchatWebhookSecret: SECRET };
+  const rawBody = Buffer.from('{"lead":{}}');
+
+  it('accepts hex and base64 signatures', () => {
+    for (const encoding of ['hex', 'base64']) {
+      const req = fakeReq({
+        config,
+        rawBody,
+        headers: { 'x-snap-signature': hmac(rawBody).toString(encoding) },
+      });
+      assert.equal(run(verifySnapchatSignature, req).passed, true, encoding);
+    }
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const req = fakeReq({
+      config,
+      rawBody,
+      headers: { 'x-snap-signature': hmac(rawBody, 'nope').toString('hex') },
+    });
+    const { passed, res } = run(verifySnapchatSignature, req);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, HTTP_STATUS.UNAUTHORIZED);
+  });
+
+  it('rejects a missing signature', () => {
+    assert.equal(run(verifySnapchatSignature, fakeReq({ config, rawBody })).passed, false);
+  });
+
+  it('rejects every request for sources without a secret', () => {
+    const { passed, res } = run(verifySnapchatSignature, fakeReq({ rawBody }));
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, HTTP_STATUS.UNAUTHORIZED);
+  });
+
+  it('lets unsigned requests through for sources that opt out', () => {
+    const req = fakeReq({ config: { allowUnsignedWebhooks: true }, rawBody });
+    assert.equal(run(verifySnapchatSignature, req).passed, true);
+  });
+
+  it('still checks the signature once a secret is set', () => {
+    const req = fakeReq({ config: { ...config, allowUnsignedWebhooks: true }, rawBody });
+    assert.equal(run(verifySnapchatSignature, req).passed, false);
+  });
+});
+
+describe('verifyGoogleKey', () => {
+  const config = { googleKey: 'google-key' };
+
+  it('accepts the configured key and removes it from the body', () => {
+    const req = fakeReq({ config, body: { google_key: 'google-key', lead_id: '1' } });
+    assert.equal(run(verifyGoogleKey, req).passed, true);
+    assert.deepEqual(req.body, { lead_id: '1' });
+  });
+
+  it('rejects a wrong or missing key', () => {
+    for (const body of [{ google_key: 'guess' }, { lead_id: '1' }, undefined]) {
+      const { passed, res } = run(verifyGoogleKey, fakeReq({ config, body }));
+      assert.equal(passed, false);
+      assert.equal(res.statusCode, HTTP_STATUS.UNAUTHORIZED);
+    }
+  });
+
+  it('rejects every request for sources without a key', () => {
+    const req = fakeReq({ body: { google_key: 'google-key' } });
+    assert.equal(run(verifyGoogleKey, req).passed, false);
+  });
+});
@@ -1,8 +1,84 @@
 import mongoose from 'mongoose';
-import { JOB_TYPES } from '../utils/constants.js'; // We'll add JOB_TYPES to constants.js
+import { JOB_TYPES, JOB_ERROR_CLASSES } from '../utils/constants.js'; // We'll add JOB_TYPES to constants.js
+import { getJobType } from '../jobs/registry.js';
 
 const { Schema } = mongoose;
 
+/**
+ * One entry in a job's history.
+ */
+const jobEventSchema = new Schema(
+  {
+    // RECOVERED: the lease expired and the job was requeued (or failed)
+    event: {
+      type: String,
+      enum: ['RECOVERED'],
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    // The attempt the event belongs to
+    attempt: {
+      type: Number,
+      default: null,
+    },
+    // The worker that held the job
+    workerId: {
+      type: String,
+      default: null,
+    },
+    message: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * One failed attempt, kept in the job's error history.
+ */
+const attemptErrorSchema = new Schema(
+  {
+    attempt: {
+      type: Number,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    // How the worker treated it (see lib/jobErrors.js)
+    errorClass: {
+      type: String,
+      enum: Object.values(JOB_ERROR_CLASSES),
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // HTTP status of the failed API call, if any
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    // The API's Retry-After, for rate limits
+    retryAfterMs: {
+      type: Number,
+      default: null,
+    },
+    // The worker that ran the attempt
+    workerId: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Defines the schema for a background job, stored in MongoDB.
  * This allows us to use Mongo as a simple, persistent queue
@@ -14,7 +90,36 @@ const jobSchema = new Schema(
     lead: {
       type: Schema.Types.ObjectId,
       ref: 'Lead',
-      required: true,
+      // Jobs that create the lead themselves (e.g. FETCH_META_LEAD)
+      // only have a source and a payload. Their job types are
+      // registered as 'leadless' (see jobs/registry.js).
+      required: function () {
+        return !getJobType(this.type)?.leadless;
+      },
+      default: null,
+    },
+    // The source for jobs that don't have a lead yet
+    source: {
+      type: Schema.Types.ObjectId,
+      ref: 'Source',
+      default: null,
+    },
+    // The stored webhook request, for PROCESS_WEBHOOK_EVENT jobs
+    webhookEvent: {
+      type: Schema.Types.ObjectId,
+      ref: 'WebhookEvent',
+      default: null,
+    },
+    // The uploaded file, for IMPORT_LEADS jobs
+    leadImport: {
+      type: Schema.Types.ObjectId,
+      ref: 'LeadImport',
+      default: null,
+    },
+    // Input data for jobs that don't have a lead yet
+    payload: {
+      type: Schema.Types.Mixed,
+      default: null,
     },
     // The type of job to perform
     type: {
@@ -22,10 +127,13 @@ const jobSchema = new Schema(
       required: true,
       enum: Object.values(JOB_TYPES),
     },
-    // The current status of the job
+    // The current status of the job.
+    // DEAD_LETTER: out of attempts, or failed with a permanent error;
+    // it waits there until an admin requeues it. ('FAILED' is the
+    // dead-letter status of jobs from before it existed.)
     status: {
       type: String,
-      enum: ['QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED'],
+      enum: ['QUEUED', 'PROCESSING', 'COMPLETED', 'DEAD_LETTER', 'FAILED'],
       default: 'QUEUED',
     },
     // Number of times we have attempted to run this job
@@ -38,11 +146,39 @@ const jobSchema = new Schema(
       type: String,
       default: null,
     },
+    // Every failed attempt, oldest first
+    attemptErrors: {
+      type: [attemptErrorSchema],
+      default: [],
+    },
+    // When the job went to the dead-letter queue
+    deadLetteredAt: {
+      type: Date,
+      default: null,
+    },
     // When the job should be processed (allows for delayed jobs)
     runAt: {
       type: Date,
       default: Date.now,
     },
+    // --- Lease ---
+    // The worker running the job, and until when it holds it. The
+    // worker renews the lease while the job runs; if it dies, the
+    // lease runs out and the job is requeued (see lib/worker.js).
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Notable events in the job's life, e.g. being recovered from a
+    // worker that stopped mid-job
+    history: {
+      type: [jobEventSchema],
+      default: [],
+    },
   },
   {
     timestamps: true, // createdAt, updatedAt
@@ -58,6 +194,10 @@ jobSchema.index({
 });
 // Index to find jobs related to a specific lead
 jobSchema.index({ lead: 1 });
+// Finds running jobs whose lease has expired
+jobSchema.index({ status: 1, lockedUntil: 1 });
+// The dead-letter queue, newest first
+jobSchema.index({ status: 1, deadLetteredAt: -1 });
 
 const Job = mongoose.model('Job', jobSchema);
 
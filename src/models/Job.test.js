@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { JOB_TYPES } from '../utils/constants.js';
+import { registerJobType } from '../jobs/registry.js';
+import Job from './Job.js';
+
+const handler = async () => {};
+registerJobType(JOB_TYPES.PUSH_TO_BITRIX, { handler, leadStatusField: 'bitrixStatus' });
+registerJobType(JOB_TYPES.IMPORT_LEADS, { handler, leadless: true });
+
+describe('Job', () => {
+  it('requires a lead for lead job types', () => {
+    const error = new Job({ type: JOB_TYPES.PUSH_TO_BITRIX }).validateSync();
+    assert.ok(error?.errors.lead);
+    assert.equal(
+      new Job({ type: JOB_TYPES.PUSH_TO_BITRIX, lead: new mongoose.Types.ObjectId() }).validateSync(),
+      undefined
+    );
+  });
+
+  it('takes leadless job types from the registry', () => {
+    const job = new Job({ type: JOB_TYPES.IMPORT_LEADS, leadImport: new mongoose.Types.ObjectId() });
+    assert.equal(job.validateSync(), undefined);
+  });
+});
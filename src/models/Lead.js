@@ -41,6 +41,13 @@ const leadSchema = new Schema(
       default: null,
     },
     // --- END NEW FIELDS ---
+    // Any other form answers, keyed by canonical name
+    // e.g. { preferred_contact_time: 'Evening' }
+    customFields: {
+      type: Map,
+      of: String,
+      default: {},
+    },
     // --- Source & Tracking ---
     source: {
       type: String,
@@ -62,6 +69,23 @@ const leadSchema = new Schema(
       trim: true,
       default: 'N/A',
     },
+    // The platform's own ID for this lead (Meta leadgen_id, TikTok
+    // lead_id, ...). Unique per source, so a redelivery is never
+    // stored twice.
+    platformLeadId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Times the platform delivered this lead again after it was stored
+    replayCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplayAt: {
+      type: Date,
+      default: null,
+    },
     formName: {
       type: String,
       trim: true,
@@ -72,6 +96,40 @@ const leadSchema = new Schema(
       trim: true,
       default: 'N/A',
     },
+
+    // --- Ad Hierarchy ---
+    // campaign > ad set (TikTok "ad group", Snapchat "ad squad") > ad,
+    // plus the platform's lead form ID
+    campaignId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    adSetId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    adSetName: {
+      type: String,
+      trim: true,
+      default: 'N/A',
+    },
+    adId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    adName: {
+      type: String,
+      trim: true,
+      default: 'N/A',
+    },
+    formId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
     
     // --- Core Lead Info ---
     name: {
@@ -90,6 +148,59 @@ const leadSchema = new Schema(
       trim: true,
       default: null,
     },
+    // The phone number exactly as the form sent it
+    // ('phone' holds the E.164 version when it is valid)
+    phoneRaw: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Country detected from the phone number, e.g. 'AE'
+    phoneCountry: {
+      type: String,
+      default: null,
+    },
+    // false if the number failed E.164 validation (null if no phone)
+    phoneValid: {
+      type: Boolean,
+      default: null,
+    },
+    // E.164 digits of 'phone' (no '+'), used for duplicate matching
+    phoneNormalized: {
+      type: String,
+      default: null,
+    },
+
+    // --- Duplicate Tracking ---
+    // Points at the original lead when this one is a resubmission
+    duplicateOf: {
+      type: Schema.Types.ObjectId,
+      ref: 'Lead',
+      default: null,
+    },
+
+    // --- Spam Screening ---
+    // Score and reasons from screening (see lib/spamCheck.js). Leads
+    // at or over the source's threshold get status 'spam'.
+    spam: {
+      score: { type: Number, default: 0 },
+      reasons: { type: [String], default: [] },
+      // An admin's decision on a held lead
+      review: {
+        type: String,
+        enum: ['RELEASED', 'CONFIRMED', null],
+        default: null,
+      },
+      reviewedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+      reviewedAt: { type: Date, default: null },
+    },
+
+    // The bulk import that created this lead, if any
+    leadImport: {
+      type: Schema.Types.ObjectId,
+      ref: 'LeadImport',
+      default: null,
+    },
 
     // --- UTM & Marketing Data ---
     utm: {
@@ -99,6 +210,19 @@ const leadSchema = new Schema(
       term: { type: String, trim: true },
       content: { type: String, trim: true },
     },
+    // --- Click IDs & Landing Page ---
+    // Read from hidden form fields, Elementor's 'meta' block and the
+    // ad platforms (see lib/attribution.js)
+    attribution: {
+      gclid: { type: String, trim: true },
+      fbclid: { type: String, trim: true },
+      ttclid: { type: String, trim: true },
+      scCid: { type: String, trim: true }, // Snapchat's 'ScCid'
+      pageUrl: { type: String, trim: true },
+      referrer: { type: String, trim: true },
+      ip: { type: String, trim: true },
+      userAgent: { type: String, trim: true },
+    },
     
     // --- Timestamps (as per your plan) ---
     // We can use a virtual for the UAE timestamp
@@ -119,12 +243,12 @@ const leadSchema = new Schema(
     },
     sheetStatus: {
       type: String,
-      enum: ['PENDING', 'SUCCESS', 'FAILED'],
+      enum: ['PENDING', 'SUCCESS', 'FAILED', 'SKIPPED'],
       default: 'PENDING',
     },
     bitrixStatus: {
       type: String,
-      enum: ['PENDING', 'SUCCESS', 'FAILED'],
+      enum: ['PENDING', 'SUCCESS', 'FAILED', 'SKIPPED'],
       default: 'PENDING',
     },
     error: {
@@ -159,9 +283,23 @@ leadSchema.virtual('timestampUae').get(function () {
 });
 
 // --- Indexes for Performance ---
-leadSchema.index({ phone: 1, sourceId: 1, createdAt: -1 }); // For duplicate checking
+leadSchema.index({ phoneNormalized: 1, sourceId: 1, createdAt: -1 }); // For duplicate checking
+leadSchema.index({ email: 1, sourceId: 1, createdAt: -1 }); // For duplicate checking
+leadSchema.index({ duplicateOf: 1 }); // For the duplicates view
+leadSchema.index({ leadImport: 1 }, { sparse: true }); // Leads of one import
 leadSchema.index({ sourceId: 1 });
+// Ad-level filters on the lead table
+leadSchema.index({ campaignId: 1, createdAt: -1 });
+leadSchema.index({ adSetId: 1, createdAt: -1 });
+leadSchema.index({ adId: 1, createdAt: -1 });
+leadSchema.index({ formId: 1, createdAt: -1 });
+// One lead per platform lead ID and source (leads without one are exempt)
+leadSchema.index(
+  { sourceId: 1, platformLeadId: 1 },
+  { unique: true, partialFilterExpression: { platformLeadId: { $type: 'string' } } }
+);
 leadSchema.index({ status: 1, createdAt: -1 }); // For the worker to find jobs
+leadSchema.index({ 'attribution.ip': 1, createdAt: -1 }, { sparse: true }); // Spam: repeated IPs
 leadSchema.index({ createdAt: -1 }); // For sorting the main lead table
 
 // --- THIS IS THE NEW VALIDATION RULE ---
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * A bulk lead import from an uploaded CSV/XLSX file.
+ *
+ * The file is parsed on upload and its rows are kept as LeadImportRow
+ * documents; an IMPORT_LEADS job then creates the leads in the
+ * background, recording its progress so an admin can follow along
+ * (and so a retried job resumes where it stopped).
+ */
+const leadImportSchema = new Schema(
+  {
+    // The Source the imported leads are filed under
+    source: {
+      type: Schema.Types.ObjectId,
+      ref: 'Source',
+      required: [true, 'Import must have a source'],
+    },
+    // The admin who uploaded the file
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    fileName: { type: String, trim: true, default: null },
+    // Column headers, in file order
+    headers: { type: [String], default: [] },
+    // Which column fills each Lead field, e.g. { field: 'phone', column: 'Mobile No.' }
+    // (a list, since fields like 'utm.source' can't be Map keys).
+    // Columns that aren't mapped are kept as custom fields.
+    mapping: {
+      type: [
+        {
+          _id: false,
+          field: { type: String, required: true },
+          column: { type: String, required: true },
+        },
+      ],
+      default: [],
+    },
+    // Don't create leads that duplicate an existing one
+    skipDuplicates: { type: Boolean, default: false },
+    // Queue the Sheets/Bitrix jobs for imported leads
+    runJobs: { type: Boolean, default: false },
+
+    status: {
+      type: String,
+      enum: ['QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED'],
+      default: 'QUEUED',
+    },
+    // --- Progress ---
+    totalRows: { type: Number, default: 0 },
+    processedRows: { type: Number, default: 0 },
+    importedCount: { type: Number, default: 0 },
+    duplicateCount: { type: Number, default: 0 }, // Imported, but marked duplicate
+    skippedCount: { type: Number, default: 0 }, // Duplicates not imported
+    rejectedCount: { type: Number, default: 0 }, // See LeadImportRow.error
+    lastError: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// --- Indexes ---
+leadImportSchema.index({ createdAt: -1 }); // For the imports list
+leadImportSchema.index({ source: 1, createdAt: -1 });
+
+const LeadImport = mongoose.model('LeadImport', leadImportSchema);
+
+export default LeadImport;
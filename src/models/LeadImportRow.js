@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * One data row of a bulk lead import (see LeadImport).
+ *
+ * Rows are kept in their own collection rather than on the import,
+ * so a large or wide file can't push the import past MongoDB's
+ * document size limit.
+ */
+const leadImportRowSchema = new Schema(
+  {
+    leadImport: {
+      type: Schema.Types.ObjectId,
+      ref: 'LeadImport',
+      required: [true, 'Import row must belong to an import'],
+    },
+    // Row number as seen in the spreadsheet (the header is row 1)
+    row: { type: Number, required: true },
+    // The row's values, in header order
+    cells: { type: [String], default: [] },
+    // Why the row was rejected (null if it wasn't), for the error report
+    error: { type: String, default: null },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// --- Indexes ---
+// Rows are read back in file order, and each row is stored once
+leadImportRowSchema.index({ leadImport: 1, row: 1 }, { unique: true });
+
+const LeadImportRow = mongoose.model('LeadImportRow', leadImportRowSchema);
+
+export default LeadImportRow;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import { LEAD_SOURCES } from '../utils/constants.js';
+
+const { Schema } = mongoose;
+
+/**
+ * A chat message linked to a lead, e.g. a WhatsApp message from a
+ * click-to-WhatsApp ad. The first message from a number creates the
+ * lead; every message (including that one) is stored here.
+ */
+const leadMessageSchema = new Schema(
+  {
+    lead: {
+      type: Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: [true, 'Message must belong to a lead'],
+    },
+    source: {
+      type: Schema.Types.ObjectId,
+      ref: 'Source',
+      required: [true, 'Message must have a source'],
+    },
+    // The channel the message came in on
+    channel: {
+      type: String,
+      required: true,
+      enum: {
+        values: [LEAD_SOURCES.WHATSAPP],
+        message: 'Invalid message channel',
+      },
+    },
+    // The platform's message ID (e.g. 'wamid.HBgL...'), used to ignore
+    // redeliveries of the same message
+    externalId: {
+      type: String,
+      required: [true, 'Message ID is required'],
+    },
+    // The sender, as the platform identifies them (WhatsApp: wa_id)
+    from: { type: String, default: null },
+    // e.g. 'text', 'image', 'button', 'interactive'
+    type: { type: String, default: null },
+    // The text of the message (or caption), if it has one
+    text: { type: String, default: null },
+    // When the user sent it
+    sentAt: { type: Date, default: Date.now },
+    // The original message object from the webhook
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// --- Indexes ---
+leadMessageSchema.index({ channel: 1, externalId: 1 }, { unique: true }); // Ignore redeliveries
+leadMessageSchema.index({ lead: 1, sentAt: 1 }); // For the lead detail view
+
+const LeadMessage = mongoose.model('LeadMessage', leadMessageSchema);
+
+export default LeadMessage;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * A lock shared by every process (web servers and workers), e.g. the
+ * scheduler's leader lock. A lock is held by its 'owner' until
+ * 'expiresAt'; holders renew it while they need it, so a crashed
+ * process's locks simply run out (see lib/distributedLock.js).
+ */
+const lockSchema = new Schema(
+  {
+    // What is locked, e.g. 'scheduler:leader'
+    name: {
+      type: String,
+      required: [true, 'Lock name is required'],
+      unique: true,
+      trim: true,
+    },
+    // The process holding it (host:pid)
+    owner: {
+      type: String,
+      required: [true, 'Lock owner is required'],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // createdAt, updatedAt
+  }
+);
+
+const Lock = mongoose.model('Lock', lockSchema);
+
+export default Lock;
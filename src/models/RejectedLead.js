@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { LEAD_SOURCES } from '../utils/constants.js';
+
+const { Schema } = mongoose;
+
+/**
+ * A submission the intake rejected (no phone and no email), kept for
+ * review instead of being dropped. An admin can fill in the missing
+ * fields and promote it to a real Lead, or discard it.
+ */
+const rejectedLeadSchema = new Schema(
+  {
+    // The source (website/ad account) it came from
+    source: {
+      type: Schema.Types.ObjectId,
+      ref: 'Source',
+      required: [true, 'Rejected lead source is required'],
+    },
+    // The Lead 'source' it would have had
+    platform: {
+      type: String,
+      required: [true, 'Rejected lead platform is required'],
+      enum: {
+        values: Object.values(LEAD_SOURCES),
+        message: 'Invalid lead platform',
+      },
+    },
+    // Why the intake rejected it
+    reason: {
+      type: String,
+      default: null,
+    },
+    // What the normalizer made of it (name, formName, customFields, ...).
+    // Admin edits are saved here before promoting.
+    normalized: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    // The original, untouched data
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    // When the lead was submitted
+    timestampUtc: {
+      type: Date,
+      default: Date.now,
+    },
+    // PENDING -> PROMOTED | DISCARDED
+    status: {
+      type: String,
+      enum: ['PENDING', 'PROMOTED', 'DISCARDED'],
+      default: 'PENDING',
+    },
+    // The Lead it was promoted to
+    lead: {
+      type: Schema.Types.ObjectId,
+      ref: 'Lead',
+      default: null,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // createdAt, updatedAt
+  }
+);
+
+// --- Indexes ---
+// The review queue, newest first, filtered by status or source
+rejectedLeadSchema.index({ status: 1, createdAt: -1 });
+rejectedLeadSchema.index({ source: 1, createdAt: -1 });
+
+const RejectedLead = mongoose.model('RejectedLead', rejectedLeadSchema);
+
+export default RejectedLead;
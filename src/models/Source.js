@@ -1,9 +1,109 @@
 import mongoose from 'mongoose';
 import { v4 as uuidv4 } from 'uuid';
-import { LEAD_SOURCES } from '../utils/constants.js';
+import {
+  LEAD_SOURCES,
+  JOB_TYPES,
+  DEFAULT_PHONE_COUNTRY,
+  DEFAULT_SPAM_THRESHOLD,
+} from '../utils/constants.js';
+import { MAPPABLE_LEAD_FIELDS, FIELD_TRANSFORMS } from '../lib/fieldMapping.js';
 
 const { Schema } = mongoose;
 
+/**
+ * Checks that an (optional) string compiles as a regular expression.
+ */
+const isValidPattern = (v) => {
+  if (!v) return true;
+  try {
+    new RegExp(v);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * One rule of a Source's field mapping. It says which incoming form
+ * fields (by name, id or title) fill a Lead field, and how to clean
+ * the value on the way.
+ * e.g. { target: 'budget', from: ['field_3f2a', 'Your Budget'], transforms: ['trim'] }
+ */
+const fieldMappingSchema = new Schema(
+  {
+    // The Lead field to fill, e.g. 'userType' or 'utm.campaign'
+    target: {
+      type: String,
+      required: [true, 'Mapping target is required'],
+      enum: {
+        values: MAPPABLE_LEAD_FIELDS,
+        message: 'Invalid mapping target',
+      },
+    },
+    // Incoming field names, ids or titles (case-insensitive)
+    from: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: 'Mapping needs at least one incoming field',
+      },
+    },
+    // If set, all matching fields are joined with this separator
+    // (e.g. ' ' to build a name from split first/last name fields)
+    join: { type: String, default: null },
+    // Transforms applied in order
+    transforms: {
+      type: [{ type: String, enum: FIELD_TRANSFORMS }],
+      default: [],
+    },
+    // Used by the 'regex' transform
+    pattern: {
+      type: String,
+      default: null,
+      validate: { validator: isValidPattern, message: 'Invalid regex pattern' },
+    },
+    flags: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+// A regex whose first capture group holds the value
+const emailPatternField = {
+  type: String,
+  default: null,
+  validate: { validator: isValidPattern, message: 'Invalid regex pattern' },
+};
+
+/**
+ * How to read lead notifications from one sender (e.g. a property
+ * portal). Patterns run over the subject and plain-text body; the
+ * first capture group is the value.
+ * e.g. { name: 'Bayut', senders: ['@bayut.com'],
+ *        fields: { phone: 'Mobile:\\s*(\\+?[\\d ]+)' } }
+ */
+const emailTemplateSchema = new Schema(
+  {
+    name: { type: String, trim: true, required: [true, 'Template name is required'] },
+    // Sender addresses or domains ('@portal.com') this template applies to
+    senders: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: 'Template needs at least one sender',
+      },
+    },
+    // Only use this template when the subject matches (optional)
+    subjectPattern: emailPatternField,
+    fields: {
+      name: emailPatternField,
+      email: emailPatternField,
+      phone: emailPatternField,
+      listingReference: emailPatternField,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Stores information about each unique lead source, such as
  * a specific WordPress site, a Meta Ad Account, or a TikTok App.
@@ -50,6 +150,99 @@ const sourceSchema = new Schema(
       sheetId: { type: String, trim: true, default: null },
       sheetName: { type: String, trim: true, default: 'Leads' },
       bitrixPipelineId: { type: String, trim: true, default: null },
+      // Meta only: Page Access Token used to fetch leads from the Graph API
+      metaPageAccessToken: { type: String, trim: true, default: null },
+      // Meta/WhatsApp: token Meta echoes back in the GET verification handshake
+      metaVerifyToken: { type: String, trim: true, default: null },
+      // Meta/WhatsApp: App Secret used to check X-Hub-Signature-256
+      metaAppSecret: { type: String, trim: true, default: null },
+      // TikTok only: app secret used to check the TikTok-Signature header
+      tiktokWebhookSecret: { type: String, trim: true, default: null },
+      // Snapchat only: shared secret used to check X-Snap-Signature
+      snapchatWebhookSecret: { type: String, trim: true, default: null },
+      // Google only: the 'google_key' set in the Google Ads lead form
+      googleKey: { type: String, trim: true, default: null },
+      // Meta/WhatsApp/TikTok/Snapchat: accept webhooks without a
+      // signature while the secret above isn't set. Off by default:
+      // unsigned webhooks are rejected.
+      allowUnsignedWebhooks: { type: Boolean, default: false },
+      // Generic only: JSON paths to read each Lead field from, e.g.
+      // { email: 'contact.email', phone: 'contact.phones[0]' }.
+      // Unset paths fall back to flat keys ('name', 'email', ...).
+      payloadPaths: {
+        // Path to an array of leads, if one request holds several
+        leads: { type: String, trim: true, default: null },
+        name: { type: String, trim: true, default: null },
+        firstName: { type: String, trim: true, default: null },
+        lastName: { type: String, trim: true, default: null },
+        email: { type: String, trim: true, default: null },
+        phone: { type: String, trim: true, default: null },
+        userType: { type: String, trim: true, default: null },
+        propertyType: { type: String, trim: true, default: null },
+        budget: { type: String, trim: true, default: null },
+        bedrooms: { type: String, trim: true, default: null },
+        formName: { type: String, trim: true, default: null },
+        campaignName: { type: String, trim: true, default: null },
+        campaignId: { type: String, trim: true, default: null },
+        adSetName: { type: String, trim: true, default: null },
+        adSetId: { type: String, trim: true, default: null },
+        adName: { type: String, trim: true, default: null },
+        adId: { type: String, trim: true, default: null },
+        formId: { type: String, trim: true, default: null },
+        timestamp: { type: String, trim: true, default: null },
+        utm: {
+          source: { type: String, trim: true, default: null },
+          medium: { type: String, trim: true, default: null },
+          campaign: { type: String, trim: true, default: null },
+          term: { type: String, trim: true, default: null },
+          content: { type: String, trim: true, default: null },
+        },
+      },
+      // Email only: parsing templates, tried in order by sender
+      emailTemplates: { type: [emailTemplateSchema], default: [] },
+      // Email only: a local maildir folder or mbox file to poll
+      mailboxPath: { type: String, trim: true, default: null },
+      // Reject webhooks that send the token in the URL instead of
+      // the X-Webhook-Token header
+      requireHeaderToken: { type: Boolean, default: false },
+      // Custom field key (or attribution label like 'gclid',
+      // 'page_url') -> Bitrix user field, e.g.
+      // { preferred_contact_time: 'UF_CRM_1700000000' }
+      bitrixCustomFields: { type: Map, of: String, default: {} },
+      // Country used for phone numbers sent without a '+' prefix
+      defaultCountry: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{2}$/, 'Default country must be a 2-letter ISO code'],
+        default: DEFAULT_PHONE_COUNTRY,
+      },
+      // A lead with the same phone/email within this many hours is
+      // marked as a duplicate. 0 disables duplicate detection.
+      duplicateWindowHours: { type: Number, min: 0, default: 24 },
+      // 'source' only matches leads from this source, 'all' matches any
+      duplicateScope: { type: String, enum: ['source', 'all'], default: 'source' },
+      // Job types that still run for duplicates (none by default)
+      duplicateJobTypes: {
+        type: [{ type: String, enum: Object.values(JOB_TYPES) }],
+        default: [],
+      },
+      // Spam score at which a lead is held for review. 0 turns spam
+      // screening off for this source.
+      spamThreshold: { type: Number, min: 0, default: DEFAULT_SPAM_THRESHOLD },
+      // Extra honeypot field names (hidden fields only bots fill in)
+      honeypotFields: { type: [{ type: String, trim: true }], default: [] },
+    },
+    // Declarative field mapping for this source's forms.
+    // Fields without a rule fall back to the platform's heuristics.
+    fieldMappings: {
+      type: [fieldMappingSchema],
+      default: [],
+    },
+    // Email only: how far into the mbox file we have read
+    mailboxOffset: {
+      type: Number,
+      default: 0,
     },
     // Simple counter for leads from this source
     leadCount: {
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import { LEAD_SOURCES } from '../utils/constants.js';
+
+const { Schema } = mongoose;
+
+/**
+ * Raw inbox of every inbound webhook request.
+ * Each request is stored here *before* we reply 200, and then
+ * processed by a PROCESS_WEBHOOK_EVENT job. If the process dies after
+ * replying, the job (or a manual replay) still creates the lead.
+ */
+const webhookEventSchema = new Schema(
+  {
+    // The source (website/ad account) that sent the request
+    source: {
+      type: Schema.Types.ObjectId,
+      ref: 'Source',
+      required: [true, 'Webhook event source is required'],
+    },
+    // Which platform's normalizer handles this event
+    platform: {
+      type: String,
+      required: [true, 'Webhook event platform is required'],
+      enum: {
+        values: Object.values(LEAD_SOURCES),
+        message: 'Invalid webhook platform',
+      },
+    },
+    // Request headers (credentials removed)
+    headers: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    // Query string parameters (credentials removed)
+    query: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    // The parsed request body, exactly as received
+    body: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // RECEIVED -> PROCESSING -> PROCESSED | FAILED
+    // PARTIAL means some leads of a batched delivery failed.
+    // REPLAYED means every lead in it was already stored (the
+    // platform redelivered it), so nothing was created.
+    status: {
+      type: String,
+      enum: ['RECEIVED', 'PROCESSING', 'PROCESSED', 'PARTIAL', 'REPLAYED', 'FAILED'],
+      default: 'RECEIVED',
+    },
+    // Number of times we have tried to process this event
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Number of times an admin has replayed this event
+    replayCount: {
+      type: Number,
+      default: 0,
+    },
+    // Leads handled / failed on the last run; 'replayed' counts the
+    // handled leads that were already stored
+    result: {
+      processed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      replayed: { type: Number, default: 0 },
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // createdAt, updatedAt
+  }
+);
+
+// --- Indexes ---
+// The admin list, newest first, filtered by status or source
+webhookEventSchema.index({ receivedAt: -1 });
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+webhookEventSchema.index({ source: 1, receivedAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getDeadLetterJobs,
+  getJobById,
+  requeueJob,
+} from '../controllers/jobController.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * --- Job (Dead-Letter Queue) Routes ---
+ *
+ * All routes in this file are protected by the 'authMiddleware'
+ * and are prefixed with /api/jobs
+ */
+
+// Apply auth middleware to all routes in this file
+router.use(authMiddleware);
+
+// GET /api/jobs/dead-letter
+// Lists jobs that ran out of attempts or failed permanently
+router.get('/dead-letter', getDeadLetterJobs);
+
+// GET /api/jobs/:jobId
+// Fetches a single job, with the error of every failed attempt
+router.get('/:jobId', getJobById);
+
+// POST /api/jobs/:jobId/requeue
+// Moves a dead-lettered job back into the queue
+router.post('/:jobId/requeue', requeueJob);
+
+export default router;
@@ -4,7 +4,18 @@ import {
   createLead,
   retryLeadJobs,
   getLeadById,
+  getLeadDuplicates,
+  releaseSpam,
+  confirmSpam,
 } from '../controllers/leadController.js';
+import {
+  previewLeadImport,
+  createLeadImport,
+  getAllLeadImports,
+  getLeadImportById,
+  downloadLeadImportErrors,
+} from '../controllers/leadImportController.js';
+import importUpload from '../middlewares/importUpload.js';
 import { authMiddleware } from '../middlewares/authMiddleware.js'; // We'll create this soon
 
 const router = express.Router();
@@ -27,10 +38,44 @@ router.get('/', getAllLeads);
 // Manually creates a new lead from the admin panel
 router.post('/', createLead);
 
+// --- Bulk Import (before the /:leadId routes) ---
+
+// POST /api/leads/import/preview
+// Reads an uploaded CSV/XLSX and suggests a column mapping
+router.post('/import/preview', importUpload, previewLeadImport);
+
+// POST /api/leads/import
+// Uploads a CSV/XLSX and starts a background import
+router.post('/import', importUpload, createLeadImport);
+
+// GET /api/leads/import
+// Lists imports with their progress
+router.get('/import', getAllLeadImports);
+
+// GET /api/leads/import/:importId/errors
+// Downloads the rejected rows of an import as CSV
+router.get('/import/:importId/errors', downloadLeadImportErrors);
+
+// GET /api/leads/import/:importId
+// Fetches the progress of an import
+router.get('/import/:importId', getLeadImportById);
+
 // POST /api/leads/:leadId/retry
 // Retries all failed jobs for a specific lead
 router.post('/:leadId/retry', retryLeadJobs);
 
+// POST /api/leads/:leadId/spam/release
+// Sends a lead held as spam on as a real lead (queues its jobs)
+router.post('/:leadId/spam/release', releaseSpam);
+
+// POST /api/leads/:leadId/spam/confirm
+// Confirms a held lead is spam (it stays out of Sheets/Bitrix)
+router.post('/:leadId/spam/confirm', confirmSpam);
+
+// GET /api/leads/:leadId/duplicates
+// Fetches the original lead and all duplicates linked to it
+router.get('/:leadId/duplicates', getLeadDuplicates);
+
 // GET /api/leads/:leadId
 // Fetches a single lead by its ID
 router.get('/:leadId', getLeadById);
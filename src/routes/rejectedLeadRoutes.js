@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  getAllRejectedLeads,
+  getRejectedLeadById,
+  updateRejectedLead,
+  promoteRejectedLead,
+  discardRejectedLead,
+} from '../controllers/rejectedLeadController.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * --- Rejected Lead (Review Queue) Routes ---
+ *
+ * All routes in this file are protected by the 'authMiddleware'
+ * and are prefixed with /api/rejected-leads
+ */
+
+// Apply auth middleware to all routes in this file
+router.use(authMiddleware);
+
+// GET /api/rejected-leads
+// Lists rejected submissions (with pagination and filtering)
+router.get('/', getAllRejectedLeads);
+
+// GET /api/rejected-leads/:rejectedLeadId
+// Fetches a single rejected submission, including its raw payload
+router.get('/:rejectedLeadId', getRejectedLeadById);
+
+// PUT /api/rejected-leads/:rejectedLeadId
+// Saves corrections (name, email, phone, ...) to the normalized guess
+router.put('/:rejectedLeadId', updateRejectedLead);
+
+// POST /api/rejected-leads/:rejectedLeadId/promote
+// Creates a real Lead from it (runs the Sheets/Bitrix jobs)
+router.post('/:rejectedLeadId/promote', promoteRejectedLead);
+
+// POST /api/rejected-leads/:rejectedLeadId/discard
+// Discards it (the record is kept as DISCARDED)
+router.post('/:rejectedLeadId/discard', discardRejectedLead);
+
+export default router;
@@ -16,9 +16,11 @@ router.use(authMiddleware);
 
 // GET /api/reports/kpis
 // Fetches the main KPI data for the dashboard
+// (?clickId=gclid|fbclid|ttclid|scCid, ?pageUrl=, ?referrer=)
 router.get('/kpis', getDashboardKpis);
 
-// Fetches data for the dashboard line chart
+// GET /api/reports/leads-over-time
+// Fetches data for the dashboard line chart (same filters as /kpis)
 router.get('/leads-over-time', getLeadsOverTime);
 // --- END NEW ROUTE ---
 
@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  getAllWebhookEvents,
+  getWebhookEventById,
+  replayWebhookEvent,
+  replayManyWebhookEvents,
+} from '../controllers/webhookEventController.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * --- Webhook Event (Inbox) Routes ---
+ *
+ * All routes in this file are protected by the 'authMiddleware'
+ * and are prefixed with /api/webhook-events
+ */
+
+// Apply auth middleware to all routes in this file
+router.use(authMiddleware);
+
+// GET /api/webhook-events
+// Lists raw webhook requests (with pagination and filtering)
+router.get('/', getAllWebhookEvents);
+
+// POST /api/webhook-events/replay
+// Replays many events, by ID or by filter
+router.post('/replay', replayManyWebhookEvents);
+
+// GET /api/webhook-events/:eventId
+// Fetches a single raw webhook request, including its body
+router.get('/:eventId', getWebhookEventById);
+
+// POST /api/webhook-events/:eventId/replay
+// Replays a single event through its platform's normalizer
+router.post('/:eventId/replay', replayWebhookEvent);
+
+export default router;
@@ -1,11 +1,17 @@
 import express from 'express';
-import { handleElementorWebhook } from '../controllers/webhook/elementorController.js';
 import verifyWebhookToken from '../middlewares/verifyWebhookToken.js';
-// We will add these as we build them in Phase 2
-import { handleMetaWebhook } from '../controllers/webhook/metaController.js';
-import { handleTikTokWebhook } from '../controllers/webhook/tiktokController.js';
-import { handleSnapchatWebhook } from '../controllers/webhook/snapchatController.js';
-// import { metaAuth } from '../middlewares/metaAuth.js';
+import acceptWebhook from '../middlewares/acceptWebhook.js';
+import readRawEmail from '../middlewares/readRawEmail.js';
+import { LEAD_SOURCES } from '../utils/constants.js';
+import {
+  verifyMetaChallenge,
+  verifyMetaSignature,
+} from '../middlewares/metaAuth.js';
+import {
+  verifyTikTokSignature,
+  verifySnapchatSignature,
+  verifyGoogleKey,
+} from '../middlewares/webhookSignatures.js';
 
 const router = express.Router();
 
@@ -14,60 +20,124 @@ const router = express.Router();
  *
  * These routes are the public-facing endpoints for receiving
  * lead data from third-party platforms.
+ *
+ * Every POST ends in 'acceptWebhook', which stores the raw request
+ * in the WebhookEvent inbox before replying 200. A background job then
+ * runs it through the platform's controller (see lib/webhookInbox.js).
  */
 
 // -----------------------------------------------------------------
 // Phase 1: Elementor
 // -----------------------------------------------------------------
 // URL: POST /api/webhooks/elementor?token=YOUR_SITE_TOKEN
+// (or send the token in an 'X-Webhook-Token' header instead)
 //
 // 1. 'verifyWebhookToken' runs first to check the ?token query.
-// 2. If valid, 'handleElementorWebhook' processes the form data.
+// 2. If valid, 'acceptWebhook' stores the form data for processing.
 //
 router.post(
   '/elementor',
   verifyWebhookToken, // Middleware to check the token
-  handleElementorWebhook // Controller to process the lead
+  acceptWebhook(LEAD_SOURCES.ELEMENTOR) // Store the lead for processing
 );
 
 // -----------------------------------------------------------------
 // Phase 2: Meta (Facebook/Instagram)
 // -----------------------------------------------------------------
-// --- NEWLY ADDED ---
+// URL: GET /api/webhooks/meta?token=YOUR_META_SOURCE_TOKEN
+// GET is for the one-time webhook verification challenge.
+// Meta sends hub.verify_token, which must match the Source's metaVerifyToken.
+router.get(
+  '/meta',
+  verifyWebhookToken, // Identify the source from ?token
+  verifyMetaChallenge // Echo hub.challenge back to Meta
+);
+
 // URL: POST /api/webhooks/meta?token=YOUR_META_SOURCE_TOKEN
-// We re-use verifyWebhookToken for simplicity.
+// POST receives the actual lead data.
 router.post(
   '/meta',
   verifyWebhookToken, // Middleware to check the token
-  handleMetaWebhook // Controller to process the lead
+  verifyMetaSignature, // Check X-Hub-Signature-256 against the App Secret
+  acceptWebhook(LEAD_SOURCES.META) // Store the lead for processing
 );
-// GET is for the one-time webhook verification challenge
-// router.get('/meta', metaAuth, (req, res) => {
-//   console.log('Meta webhook verification challenge received.');
-//   res.status(200).send(req.query['hub.challenge']);
-// });
-//
-// POST receives the actual lead data
-// router.post('/meta', metaAuth, handleMetaWebhook);
 
 // -----------------------------------------------------------------
 // Phase 2: TikTok
 // -----------------------------------------------------------------
-// router.post('/tiktok', handleTikTokWebhook);
 router.post(
   '/tiktok',
   verifyWebhookToken, // Use our simple token auth
-  handleTikTokWebhook // Controller to process the lead
+  verifyTikTokSignature, // Check TikTok-Signature against the Source's secret
+  acceptWebhook(LEAD_SOURCES.TIKTOK) // Store the lead for processing
 );
 
 // -----------------------------------------------------------------
 // Phase 2: Snapchat
 // -----------------------------------------------------------------
-// router.post('/snapchat', handleSnapchatWebhook);
 router.post(
   '/snapchat',
   verifyWebhookToken, // Use our simple token auth
-  handleSnapchatWebhook // Controller to process the lead
+  verifySnapchatSignature, // Check X-Snap-Signature against the Source's secret
+  acceptWebhook(LEAD_SOURCES.SNAPCHAT) // Store the lead for processing
+);
+
+// -----------------------------------------------------------------
+// Google Ads lead form assets
+// -----------------------------------------------------------------
+// URL: POST /api/webhooks/google?token=YOUR_GOOGLE_SOURCE_TOKEN
+// Set this URL and the Source's googleKey in the Google Ads form settings.
+router.post(
+  '/google',
+  verifyWebhookToken, // Use our simple token auth
+  verifyGoogleKey, // Check google_key in the body against the Source
+  acceptWebhook(LEAD_SOURCES.GOOGLE) // Store the lead for processing
+);
+
+// -----------------------------------------------------------------
+// WhatsApp Cloud API (click-to-WhatsApp ads)
+// -----------------------------------------------------------------
+// URL: GET /api/webhooks/whatsapp?token=YOUR_WHATSAPP_SOURCE_TOKEN
+// Same verification handshake as Meta (uses the Source's metaVerifyToken).
+router.get(
+  '/whatsapp',
+  verifyWebhookToken, // Identify the source from ?token
+  verifyMetaChallenge // Echo hub.challenge back to Meta
+);
+
+// URL: POST /api/webhooks/whatsapp?token=YOUR_WHATSAPP_SOURCE_TOKEN
+// The first message from a number creates a lead; later ones are
+// attached to it.
+router.post(
+  '/whatsapp',
+  verifyWebhookToken, // Middleware to check the token
+  verifyMetaSignature, // Check X-Hub-Signature-256 against the App Secret
+  acceptWebhook(LEAD_SOURCES.WHATSAPP) // Store the messages for processing
+);
+
+// -----------------------------------------------------------------
+// Email (portal lead notifications)
+// -----------------------------------------------------------------
+// URL: POST /api/webhooks/email (token in 'X-Webhook-Token' or ?token)
+// For mail forwarders: the body is the raw RFC822 message. Mails can
+// also be picked up from a local mailbox (see lib/emailPoller.js).
+router.post(
+  '/email',
+  verifyWebhookToken, // Use our simple token auth
+  readRawEmail, // Read the raw message into { raw }
+  acceptWebhook(LEAD_SOURCES.EMAIL) // Store the mail for processing
+);
+
+// -----------------------------------------------------------------
+// Generic JSON
+// -----------------------------------------------------------------
+// URL: POST /api/webhooks/generic (token in 'X-Webhook-Token' or ?token)
+// For landing pages and tools we have no dedicated integration for.
+// The Source's 'config.payloadPaths' says where each field lives.
+router.post(
+  '/generic',
+  verifyWebhookToken, // Use our simple token auth
+  acceptWebhook(LEAD_SOURCES.GENERIC) // Store the lead for processing
 );
 
 export default router;
\ No newline at end of file
@@ -1,40 +1,30 @@
+import mongoose from 'mongoose';
 import app from './app.js';
 import env from './config/env.js';
 import logger from './config/logger.js';
 import connectDB from './config/database.js';
 import { seedAdminUser } from './controllers/authController.js';
-import cron from 'node-cron'; // --- ADDED ---
-import { processNextJob } from './lib/worker.js'; // --- ADDED ---
+import { startWorkerPool } from './lib/workerPool.js';
+import { startScheduler, stopScheduler } from './lib/scheduler.js';
+import './lib/scheduledTasks.js';
 
 const PORT = env.PORT || 5001;
-let isWorkerRunning = false; // Flag to prevent cron overlap
 
 /**
- * --- CRON JOB (Our new worker) ---
- * We will run the job processor every 30 seconds.
+ * Stops taking requests and jobs, lets the running jobs finish,
+ * then exits (e.g. when the host restarts us on a deploy).
  */
-cron.schedule('*/30 * * * * *', async () => {
-  if (isWorkerRunning) {
-    // Don't start a new job run if the previous one is still going
-    return;
-  }
-  
-  isWorkerRunning = true;
-  logger.info('CronWorker: Checking for new jobs...');
-  try {
-    // Keep processing jobs until the queue is empty
-    let jobFound = true;
-    while (jobFound) {
-      jobFound = await processNextJob();
-    }
-  } catch (error) {
-    logger.error('CronWorker: Unhandled error in job processing loop:', error);
-  }
-  isWorkerRunning = false;
-});
+const shutdown = async (signal, server, pool) => {
+  logger.info(`Received ${signal}. Shutting down...`);
+  server.close();
+  await Promise.all([pool.stop(), stopScheduler()]);
+  await mongoose.disconnect();
+  process.exit(0);
+};
 
 /**
- * Starts the Express web server and the cron worker.
+ * Starts the Express web server, the background worker pool and the
+ * scheduler (recurring tasks run on whichever process leads).
  */
 const startServer = async () => {
   try {
@@ -45,11 +35,17 @@ const startServer = async () => {
     await seedAdminUser();
 
     // 3. Start listening for HTTP requests
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`--- Server running in ${env.NODE_ENV} mode ---`);
       logger.info(`API listening on http://localhost:${PORT}`);
-      logger.info('Worker cron job started. Will run every 30 seconds.'); // --- ADDED ---
     });
+
+    // 4. Start processing background jobs
+    const pool = startWorkerPool();
+    await startScheduler();
+
+    process.once('SIGTERM', () => shutdown('SIGTERM', server, pool));
+    process.once('SIGINT', () => shutdown('SIGINT', server, pool));
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -9,6 +9,10 @@ export const LEAD_SOURCES = {
   META: 'meta',
   TIKTOK: 'tiktok',
   SNAPCHAT: 'snapchat',
+  GOOGLE: 'google', // Google Ads lead form assets
+  WHATSAPP: 'whatsapp', // Click-to-WhatsApp conversations (Cloud API)
+  EMAIL: 'email', // Lead notification emails (e.g. property portals)
+  GENERIC: 'generic', // Any JSON webhook, read with per-source paths
   MANUAL: 'manual', // For leads added via the admin dashboard
 };
 
@@ -21,6 +25,7 @@ export const LEAD_STATUSES = {
   SUCCESS: 'success', // All jobs (Sheets, Bitrix) completed successfully
   FAILED: 'failed', // One or more jobs failed and require manual review
   DUPLICATE: 'duplicate', // Identified as a duplicate lead
+  SPAM: 'spam', // Held back by spam screening until an admin reviews it
 };
 
 // --- NEWLY ADDED ---
@@ -28,11 +33,36 @@ export const LEAD_STATUSES = {
 export const JOB_TYPES = {
   APPEND_TO_SHEETS: 'append_to_sheets',
   PUSH_TO_BITRIX: 'push_to_bitrix',
+  // Retries a Meta lead whose Graph API fetch failed at intake
+  FETCH_META_LEAD: 'fetch_meta_lead',
+  // Runs a stored WebhookEvent through its platform's normalizer
+  PROCESS_WEBHOOK_EVENT: 'process_webhook_event',
+  // Creates the leads of an uploaded CSV/XLSX file
+  IMPORT_LEADS: 'import_leads',
   // We can add more jobs later, like:
   // SEND_WHATSAPP_ALERT: 'send_whatsapp_alert',
 };
 // --- END NEW ---
 
+// How a failed job attempt is retried (see lib/jobErrors.js)
+export const JOB_ERROR_CLASSES = {
+  RETRYABLE: 'retryable', // Network errors, timeouts, 5xx: retry with backoff
+  RATE_LIMITED: 'rate_limited', // 429 and quota errors: retry after Retry-After
+  PERMANENT: 'permanent', // Validation, auth, not found: retrying won't help
+};
+
+// Job statuses of the dead-letter queue: jobs that ran out of attempts
+// or hit a permanent error ('FAILED' is where older jobs ended up).
+export const DEAD_LETTER_JOB_STATUSES = ['DEAD_LETTER', 'FAILED'];
+
+// Country used to read phone numbers that have no international
+// prefix, unless the Source sets its own 'config.defaultCountry'.
+export const DEFAULT_PHONE_COUNTRY = 'AE';
+
+// Spam score at which a lead is held for review, unless the Source
+// sets its own 'config.spamThreshold' (see lib/spamCheck.js).
+export const DEFAULT_SPAM_THRESHOLD = 60;
+
 // HTTP Status Codes
 export const HTTP_STATUS = {
   OK: 200,
@@ -42,5 +72,6 @@ export const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
   INTERNAL_SERVER_ERROR: 500,
 };
\ No newline at end of file
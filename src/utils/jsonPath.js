@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Minimal JSON path helpers for configurable payloads.
+ * Paths use dot notation with optional array indexes, e.g.
+ * 'data.contact.email', 'answers[0].value' or 'answers.0.value'.
+ */
+
+/**
+ * Splits a path into its keys.
+ * e.g. 'answers[0].value' -> ['answers', '0', 'value']
+ */
+const toKeys = (path) =>
+  String(path)
+    .replace(/\[(\w+)\]/g, '.$1')
+    .split('.')
+    .map((key) => key.trim())
+    .filter(Boolean);
+
+/**
+ * Reads the value at a path.
+ * @param {object} obj - The object to read from.
+ * @param {string} path - The path, e.g. 'lead.contact.phone'.
+ * @returns {*} - The value, or undefined if any step is missing.
+ */
+export const getValueAtPath = (obj, path) => {
+  if (!path) return undefined;
+  let current = obj;
+  for (const key of toKeys(path)) {
+    if (current === null || current === undefined) return undefined;
+    current = current[key];
+  }
+  return current;
+};
+
+/**
+ * Flattens an object into { 'dotted.path': primitiveValue } pairs.
+ * Arrays use numeric keys, e.g. 'answers.0.value'.
+ * @param {object} obj - The object to flatten.
+ * @param {number} [maxDepth] - How deep to go (guards huge payloads).
+ * @returns {object}
+ */
+export const flattenObject = (obj, maxDepth = 5) => {
+  const flat = {};
+  const walk = (value, prefix, depth) => {
+    if (value === null || typeof value !== 'object') {
+      if (prefix) flat[prefix] = value;
+      return;
+    }
+    if (depth >= maxDepth) return;
+    for (const key of Object.keys(value)) {
+      walk(value[key], prefix ? `${prefix}.${key}` : key, depth + 1);
+    }
+  };
+  walk(obj, '', 0);
+  return flat;
+};
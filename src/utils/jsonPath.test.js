@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getValueAtPath, flattenObject } from './jsonPath.js';
+
+const payload = {
+  lead: { contact: { email: 'jane@example.com', phone: null } },
+  answers: [{ value: 'Villa' }, { value: '3' }],
+};
+
+describe('getValueAtPath', () => {
+  it('reads dotted paths', () => {
+    assert.equal(getValueAtPath(payload, 'lead.contact.email'), 'jane@example.com');
+    assert.equal(getValueAtPath(payload, ' lead . contact . phone '), null);
+  });
+
+  it('reads array indexes in either notation', () => {
+    assert.equal(getValueAtPath(payload, 'answers[1].value'), '3');
+    assert.equal(getValueAtPath(payload, 'answers.0.value'), 'Villa');
+  });
+
+  it('returns undefined for missing steps or an empty path', () => {
+    assert.equal(getValueAtPath(payload, 'lead.company.name'), undefined);
+    assert.equal(getValueAtPath(payload, 'lead.contact.phone.country'), undefined);
+    assert.equal(getValueAtPath(payload, ''), undefined);
+    assert.equal(getValueAtPath(null, 'lead'), undefined);
+  });
+});
+
+describe('flattenObject', () => {
+  it('flattens nested objects and arrays into dotted paths', () => {
+    assert.deepEqual(flattenObject(payload), {
+      'lead.contact.email': 'jane@example.com',
+      'lead.contact.phone': null,
+      'answers.0.value': 'Villa',
+      'answers.1.value': '3',
+    });
+  });
+
+  it('stops at the maximum depth', () => {
+    assert.deepEqual(flattenObject({ a: { b: { c: 1 } }, d: 2 }, 2), { d: 2 });
+  });
+
+  it('returns an empty object for primitives', () => {
+    assert.deepEqual(flattenObject('text'), {});
+  });
+});
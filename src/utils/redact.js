@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Helpers to keep secrets out of our logs.
+ */
+
+// Query parameters that carry credentials
+const SENSITIVE_PARAMS = ['token', 'access_token', 'hub.verify_token'];
+
+// Request headers that carry credentials
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'x-webhook-token'];
+
+/**
+ * Replaces the value of credential query parameters in a URL.
+ * e.g. '/api/webhooks/meta?token=abc123' -> '/api/webhooks/meta?token=[REDACTED]'
+ * @param {string} url - The request URL (path + query string).
+ * @returns {string} - The URL, safe to log.
+ */
+export const redactUrl = (url) => {
+  if (!url || !url.includes('?')) return url;
+  const [path, query] = url.split('?', 2);
+  const redacted = query
+    .split('&')
+    .map((pair) => {
+      const [rawKey] = pair.split('=', 1);
+      let key = rawKey;
+      try {
+        key = decodeURIComponent(rawKey);
+      } catch {
+        // Leave malformed keys as they are
+      }
+      return SENSITIVE_PARAMS.includes(key) ? `${rawKey}=[REDACTED]` : pair;
+    })
+    .join('&');
+  return `${path}?${redacted}`;
+};
+
+/**
+ * Shortens a token to its first characters, for log messages.
+ * @param {string} token
+ * @returns {string} - e.g. '3f2a…'
+ */
+export const maskToken = (token) => {
+  if (!token) return '';
+  return `${String(token).slice(0, 4)}…`;
+};
+
+/**
+ * Returns a copy of an object without its credential keys.
+ * Used to store request headers and query strings safely.
+ * @param {object} values - e.g. req.headers or req.query.
+ * @returns {object}
+ */
+export const omitSensitive = (values) => {
+  const safe = {};
+  for (const key in values || {}) {
+    const lower = key.toLowerCase();
+    if (SENSITIVE_PARAMS.includes(lower) || SENSITIVE_HEADERS.includes(lower)) {
+      continue;
+    }
+    safe[key] = values[key];
+  }
+  return safe;
+};
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactUrl, maskToken, omitSensitive } from './redact.js';
+
+describe('redactUrl', () => {
+  it('hides credential query parameters', () => {
+    assert.equal(
+      redactUrl('/api/webhooks/meta?token=abc123&hub.mode=subscribe&hub.verify_token=xyz'),
+      '/api/webhooks/meta?token=[REDACTED]&hub.mode=subscribe&hub.verify_token=[REDACTED]'
+    );
+  });
+
+  it('matches URL-encoded parameter names', () => {
+    assert.equal(
+      redactUrl('/api/leads?access%5Ftoken=abc'),
+      '/api/leads?access%5Ftoken=[REDACTED]'
+    );
+  });
+
+  it('leaves other URLs alone', () => {
+    assert.equal(redactUrl('/api/leads?page=2'), '/api/leads?page=2');
+    assert.equal(redactUrl('/api/leads'), '/api/leads');
+    assert.equal(redactUrl('/api/leads?%E0%A4%A=1'), '/api/leads?%E0%A4%A=1');
+  });
+});
+
+describe('maskToken', () => {
+  it('keeps only the first characters', () => {
+    assert.equal(maskToken('3f2a9c8b7d'), '3f2a…');
+    assert.equal(maskToken(null), '');
+  });
+});
+
+describe('omitSensitive', () => {
+  it('drops credential headers and parameters, whatever their case', () => {
+    assert.deepEqual(
+      omitSensitive({
+        'content-type': 'application/json',
+        Authorization: 'Bearer abc',
+        'X-Webhook-Token': 'abc',
+        token: 'abc',
+        page: '2',
+      }),
+      { 'content-type': 'application/json', page: '2' }
+    );
+  });
+
+  it('returns an empty object for missing values', () => {
+    assert.deepEqual(omitSensitive(undefined), {});
+  });
+});